@@ -0,0 +1,139 @@
+/**
+ * Service worker
+ *
+ * Keeps the app shell (index.html and the hashed bundles Vite builds) in
+ * the Cache Storage, so the app loads without a connection and reloads
+ * don't re-download it. Search results aren't cached here - the app keeps
+ * its last result sets in IndexedDB itself (see src/utils/offlineStore.js).
+ *
+ * - Page loads: network first, falling back to the cached index.html
+ *   (every route is the same single-page app)
+ * - /assets/*: cache first - file names change with their contents
+ * - Other same-origin files, fonts and avatars: served from the cache
+ *   while a fresh copy is fetched for next time
+ *
+ * Registered in production builds only (see src/main.jsx). Bump VERSION to
+ * drop every cache on the next visit.
+ */
+
+const VERSION = 'v2'
+const SHELL_CACHE = `psakhno-shell-${VERSION}`
+const RUNTIME_CACHE = `psakhno-runtime-${VERSION}`
+const OPAQUE_CACHE = `psakhno-opaque-${VERSION}`
+
+// Avatars and fonts kept for offline use, oldest dropped first
+const RUNTIME_CACHE_LIMIT = 300
+
+// Opaque responses (cross-origin without CORS) count as several MB each
+// towards the origin's storage quota, whatever their size - keeping many
+// would crowd out the IndexedDB snapshots, so only a few are kept
+const OPAQUE_CACHE_LIMIT = 20
+
+const SHELL_FILES = ['/', '/manifest.webmanifest', '/favicon.svg', '/psakhno_favicon_optimized.png', '/icon-192.png', '/icon-512.png']
+
+const CROSS_ORIGIN_CACHED = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com', 'https://avatars.githubusercontent.com']
+
+/**
+ * The shell files plus the bundles the current index.html points at
+ * (they were loaded before this worker took over, so it never saw them)
+ */
+async function precacheShell() {
+    const cache = await caches.open(SHELL_CACHE)
+    const response = await fetch('/', { cache: 'no-cache' })
+    const html = await response.clone().text()
+    const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1])
+
+    await cache.put('/', response)
+    await cache.addAll([...SHELL_FILES.filter(path => path !== '/'), ...assets])
+}
+
+async function trimCache(name, limit) {
+    const cache = await caches.open(name)
+    const keys = await cache.keys()
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)))
+}
+
+async function networkFirstPage(request) {
+    const cache = await caches.open(SHELL_CACHE)
+    try {
+        const response = await fetch(request)
+        if (response.ok) cache.put('/', response.clone())
+        return response
+    } catch {
+        return (await cache.match('/')) || Response.error()
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request)
+    if (cached) return cached
+
+    const response = await fetch(request)
+    if (response.ok) {
+        const cache = await caches.open(SHELL_CACHE)
+        cache.put(request, response.clone())
+    }
+    return response
+}
+
+async function staleWhileRevalidate(request, event) {
+    const cached = await caches.match(request)
+
+    const refresh = fetch(request)
+        .then(async response => {
+            // Opaque responses report status 0, so they never count as ok
+            const [name, limit] = response.type === 'opaque'
+                ? [OPAQUE_CACHE, OPAQUE_CACHE_LIMIT]
+                : [RUNTIME_CACHE, RUNTIME_CACHE_LIMIT]
+            if (response.ok || response.type === 'opaque') {
+                const cache = await caches.open(name)
+                await cache.put(request, response.clone())
+                await trimCache(name, limit)
+            }
+            return response
+        })
+        .catch(() => cached || Response.error())
+
+    if (cached) {
+        event.waitUntil(refresh)
+        return cached
+    }
+    return refresh
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precacheShell().then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys()
+        await Promise.all(names
+            .filter(name => name.startsWith('psakhno-') && ![SHELL_CACHE, RUNTIME_CACHE, OPAQUE_CACHE].includes(name))
+            .map(name => caches.delete(name)))
+        await self.clients.claim()
+    })())
+})
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event
+    if (request.method !== 'GET') return
+
+    const url = new URL(request.url)
+
+    if (url.origin === self.location.origin) {
+        if (request.mode === 'navigate') {
+            event.respondWith(networkFirstPage(request))
+        } else if (url.pathname.startsWith('/assets/')) {
+            event.respondWith(cacheFirst(request))
+        } else {
+            event.respondWith(staleWhileRevalidate(request, event))
+        }
+        return
+    }
+
+    // The auth server and GitHub's API are left alone - the app caches what it needs
+    if (CROSS_ORIGIN_CACHED.includes(url.origin)) {
+        event.respondWith(staleWhileRevalidate(request, event))
+    }
+})
@@ -0,0 +1,341 @@
+/**
+ * Achievements
+ *
+ * Badges and streaks worked out from a GitHub user's public pull requests
+ * to other people's repositories. Computed here rather than in the browser
+ * so the same results back both the dashboard and a shareable SVG badge
+ * that anyone can embed in a README.
+ *
+ * Results are cached per user for an hour (served stale for a day while
+ * refreshing), so a popular README badge costs a handful of GitHub
+ * requests an hour at most. Uncached users are looked up at most 5 a
+ * minute (429 beyond that), and repository lookups share the proxy's cache.
+ *
+ * Routes:
+ *   GET /achievements/:login            -> { login, achievements, streak, stats, computed_at }
+ *   GET /achievements/:login/badge.svg  -> README badge, e.g. "psankho | 5 achievements · 4-week streak"
+ *
+ * Environment:
+ *   GITHUB_TOKEN - raises the search limit from 10 to 30 requests/minute
+ */
+
+const express = require('express')
+const { createCache } = require('./cache')
+const { getRepo } = require('./githubProxy')
+const { createRateLimit } = require('./rateLimit')
+const { escapeXml } = require('./xml')
+
+const GITHUB_API = 'https://api.github.com'
+const DAY_MS = 24 * 60 * 60 * 1000
+const WEEK_MS = 7 * DAY_MS
+
+// GitHub usernames: alphanumerics and single hyphens, at most 39 characters
+const LOGIN_PATTERN = /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i
+
+// Repositories looked up for their language - the most recent ones are enough
+const MAX_LANGUAGE_LOOKUPS = 20
+
+// Hacktoberfest-style goal: this many pull requests opened during October
+const HACKTOBERFEST_GOAL = 4
+
+const cache = createCache({ ttl: 60 * 60 * 1000, staleTtl: DAY_MS, maxEntries: 1000 })
+
+// Each uncached user costs 3 searches (plus repository lookups) on the shared
+// GITHUB_TOKEN, whose 30 searches/minute the issue proxy needs too
+const loadLimit = createRateLimit({ limit: 5, windowMs: 60 * 1000 })
+
+class GitHubError extends Error {
+    constructor(status, path) {
+        super(`GitHub responded ${status} for ${path}`)
+        this.status = status
+    }
+}
+
+// Too many uncached users were looked up lately - try again in `retryAfter` seconds
+class BusyError extends Error {
+    constructor(retryAfter) {
+        super('Too many achievement lookups right now')
+        this.status = 429
+        this.retryAfter = retryAfter
+    }
+}
+
+async function githubGet(path) {
+    const headers = {
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'psakhno-auth-server'
+    }
+    if (process.env.GITHUB_TOKEN) headers['Authorization'] = `Bearer ${process.env.GITHUB_TOKEN}`
+
+    const response = await fetch(`${GITHUB_API}${path}`, { headers })
+    if (!response.ok) throw new GitHubError(response.status, path)
+    return response.json()
+}
+
+const searchPath = (query, params = '') => `/search/issues?q=${encodeURIComponent(query)}${params}`
+
+// Weeks are counted from a Monday so they line up with calendar weeks
+const weekIndex = (timestamp) => Math.floor((timestamp - 4 * DAY_MS) / WEEK_MS)
+
+/**
+ * Current and longest run of consecutive weeks with a pull request opened
+ * The current streak survives until a whole week passes without one.
+ */
+function contributionStreak(timestamps, now) {
+    const weeks = [...new Set(timestamps.map(weekIndex))].sort((a, b) => a - b)
+
+    let longest = 0
+    let run = 0
+    weeks.forEach((week, i) => {
+        run = i > 0 && week === weeks[i - 1] + 1 ? run + 1 : 1
+        longest = Math.max(longest, run)
+    })
+
+    const thisWeek = weekIndex(now)
+    const last = weeks[weeks.length - 1]
+    const current = last === thisWeek || last === thisWeek - 1 ? run : 0
+
+    return { current, longest }
+}
+
+/**
+ * Work out every achievement from the collected GitHub data
+ *
+ * `pullRequests` are the most recent search results, `firstPullRequest` and
+ * `firstMerged` the oldest of each (or null), `languages` maps repository
+ * full_name -> primary language.
+ */
+function computeAchievements({ pullRequests, totals, firstPullRequest, firstMerged, languages }, now = Date.now()) {
+    const created = pullRequests.map(pr => Date.parse(pr.created_at))
+    const repos = [...new Set(pullRequests.map(pr => pr.repository_url.split('/repos/')[1]))]
+    const distinctLanguages = [...new Set(repos.map(repo => languages[repo]).filter(Boolean))]
+    const streak = contributionStreak(created, now)
+
+    // Pull requests opened in October, per year
+    const octobers = {}
+    pullRequests.forEach(pr => {
+        const date = new Date(pr.created_at)
+        if (date.getUTCMonth() === 9) octobers[date.getUTCFullYear()] = (octobers[date.getUTCFullYear()] || 0) + 1
+    })
+    const hacktoberfestYear = Object.keys(octobers).find(year => octobers[year] >= HACKTOBERFEST_GOAL)
+    const thisOctober = octobers[new Date(now).getUTCFullYear()] || 0
+
+    const achievements = [
+        {
+            id: 'first-pr',
+            icon: '🎉',
+            name: 'First Steps',
+            description: 'Open your first pull request to someone else\'s project',
+            earned: totals.pullRequests > 0,
+            earnedAt: firstPullRequest?.created_at || null,
+            progress: [Math.min(totals.pullRequests, 1), 1]
+        },
+        {
+            id: 'first-merge',
+            icon: '🏆',
+            name: 'Merged!',
+            description: 'Get your first pull request merged',
+            earned: totals.merged > 0,
+            earnedAt: firstMerged?.pull_request?.merged_at || null,
+            progress: [Math.min(totals.merged, 1), 1]
+        },
+        {
+            id: 'five-merged',
+            icon: '🖐️',
+            name: 'High Five',
+            description: 'Get five pull requests merged',
+            earned: totals.merged >= 5,
+            earnedAt: null,
+            progress: [Math.min(totals.merged, 5), 5]
+        },
+        {
+            id: 'explorer',
+            icon: '🧭',
+            name: 'Explorer',
+            description: 'Contribute to five different repositories',
+            earned: repos.length >= 5,
+            earnedAt: null,
+            progress: [Math.min(repos.length, 5), 5]
+        },
+        {
+            id: 'polyglot',
+            icon: '🗣️',
+            name: 'Polyglot',
+            description: 'Contribute to projects in three languages',
+            earned: distinctLanguages.length >= 3,
+            earnedAt: null,
+            progress: [Math.min(distinctLanguages.length, 3), 3],
+            detail: distinctLanguages.join(', ') || null
+        },
+        {
+            id: 'streak-4',
+            icon: '🔥',
+            name: 'On Fire',
+            description: 'Open a pull request every week for four weeks in a row',
+            earned: streak.longest >= 4,
+            earnedAt: null,
+            progress: [Math.min(Math.max(streak.current, streak.longest), 4), 4]
+        },
+        {
+            id: 'hacktoberfest',
+            icon: '🎃',
+            name: 'Hacktoberfest',
+            description: `Open ${HACKTOBERFEST_GOAL} pull requests during October`,
+            earned: Boolean(hacktoberfestYear),
+            earnedAt: null,
+            // Before completing it, progress is this year's October so far
+            progress: [hacktoberfestYear ? HACKTOBERFEST_GOAL : Math.min(thisOctober, HACKTOBERFEST_GOAL), HACKTOBERFEST_GOAL],
+            detail: hacktoberfestYear ? `Completed in ${hacktoberfestYear}` : null
+        }
+    ]
+
+    return {
+        achievements,
+        streak,
+        stats: {
+            pullRequests: totals.pullRequests,
+            merged: totals.merged,
+            repos: repos.length,
+            languages: distinctLanguages
+        }
+    }
+}
+
+/**
+ * Collect the GitHub data for `login` and compute the achievements
+ */
+async function loadAchievements(login) {
+    const outside = `type:pr author:${login} -user:${login}`
+    const [recent, first, merged] = await Promise.all([
+        githubGet(searchPath(outside, '&sort=created&order=desc&per_page=100')),
+        githubGet(searchPath(outside, '&sort=created&order=asc&per_page=1')),
+        githubGet(searchPath(`${outside} is:merged`, '&sort=created&order=asc&per_page=1'))
+    ])
+
+    // One lookup per repository, most recently contributed to first
+    const repos = [...new Set(recent.items.map(pr => pr.repository_url.split('/repos/')[1]))].slice(0, MAX_LANGUAGE_LOOKUPS)
+    const languages = {}
+    await Promise.all(repos.map(async repo => {
+        try {
+            languages[repo] = (await getRepo(repo)).language
+        } catch {
+            // Deleted or private since - just doesn't count towards languages
+        }
+    }))
+
+    return {
+        login,
+        ...computeAchievements({
+            pullRequests: recent.items,
+            totals: { pullRequests: recent.total_count, merged: merged.total_count },
+            firstPullRequest: first.items[0] || null,
+            firstMerged: merged.items[0] || null,
+            languages
+        }),
+        computed_at: new Date().toISOString()
+    }
+}
+
+/**
+ * Cached achievements for `login`
+ * GitHub answers 422 to searches for users that don't exist.
+ */
+async function getAchievements(login) {
+    const { value } = await cache.get(login.toLowerCase(), async () => {
+        if (!loadLimit.take()) throw new BusyError(loadLimit.retryAfter())
+        return { value: await loadAchievements(login), cacheable: true }
+    })
+    return value
+}
+
+// ==============================================
+// BADGE
+// ==============================================
+
+// Rough width of 11px Verdana text, as used by shields.io-style badges
+const textWidth = (text) => Math.round(text.length * 6.5 + 10)
+
+/**
+ * Two-part flat badge: grey label on the left, coloured message on the right
+ */
+function renderBadge(label, message, color) {
+    const labelWidth = textWidth(label)
+    const messageWidth = textWidth(message)
+    const width = labelWidth + messageWidth
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${escapeXml(`${label}: ${message}`)}">
+<title>${escapeXml(`${label}: ${message}`)}</title>
+<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+<g clip-path="url(#r)">
+<rect width="${labelWidth}" height="20" fill="#555"/>
+<rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/>
+</g>
+<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+<text x="${labelWidth / 2}" y="14">${escapeXml(label)}</text>
+<text x="${labelWidth + messageWidth / 2}" y="14">${escapeXml(message)}</text>
+</g>
+</svg>`
+}
+
+function badgeMessage({ achievements, streak }) {
+    const earned = achievements.filter(achievement => achievement.earned).length
+    const parts = [`${earned}/${achievements.length} achievements`]
+    if (streak.current >= 2) parts.push(`${streak.current}-week streak`)
+    return parts.join(' · ')
+}
+
+// ==============================================
+// ROUTES
+// ==============================================
+
+const router = express.Router()
+
+router.get('/:login', async (req, res) => {
+    const { login } = req.params
+    if (!LOGIN_PATTERN.test(login)) {
+        return res.status(400).json({ error: 'Invalid GitHub username' })
+    }
+
+    try {
+        res.json(await getAchievements(login))
+    } catch (error) {
+        if (error.status === 422) {
+            return res.status(404).json({ error: 'No GitHub user with that name' })
+        }
+        if (error instanceof BusyError) {
+            res.set('Retry-After', String(error.retryAfter))
+            return res.status(429).json({ error: 'Too many lookups right now - try again in a minute' })
+        }
+        console.error(`[Achievements] ${login} failed:`, error.message)
+        res.status(502).json({ error: 'Failed to reach GitHub' })
+    }
+})
+
+/**
+ * GET /achievements/:login/badge.svg
+ * Always answers with an SVG (grey on failure) so READMEs never show a broken image
+ */
+router.get('/:login/badge.svg', async (req, res) => {
+    const { login } = req.params
+    res.type('image/svg+xml')
+
+    if (!LOGIN_PATTERN.test(login)) {
+        return res.status(400).send(renderBadge('psankho', 'invalid user', '#9f9f9f'))
+    }
+
+    try {
+        const result = await getAchievements(login)
+        res.set('Cache-Control', 'public, max-age=3600')
+        res.send(renderBadge('psankho', badgeMessage(result), '#8b5cf6'))
+    } catch (error) {
+        if (error instanceof BusyError) {
+            res.set('Cache-Control', 'no-cache').set('Retry-After', String(error.retryAfter))
+            return res.status(429).send(renderBadge('psankho', 'try again later', '#9f9f9f'))
+        }
+        if (error.status !== 422) console.error(`[Achievements] Badge for ${login} failed:`, error.message)
+        res.set('Cache-Control', 'no-cache')
+        res.status(error.status === 422 ? 404 : 502).send(renderBadge('psankho', error.status === 422 ? 'unknown user' : 'unavailable', '#9f9f9f'))
+    }
+})
+
+module.exports = { router, computeAchievements, contributionStreak }
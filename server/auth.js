@@ -0,0 +1,64 @@
+/**
+ * Signed-in User Middleware
+ *
+ * Works out which GitHub user is behind a request's session (see
+ * sessions.js), for the routes that store data per user. Tokens are checked against GitHub once
+ * and the answer is cached for a few minutes, so a burst of requests costs
+ * a single lookup.
+ */
+
+const crypto = require('crypto')
+const { createCache } = require('./cache')
+
+const userCache = createCache({ ttl: 5 * 60 * 1000 })
+
+// Tokens are only ever kept in memory as a hash
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+/**
+ * The GitHub user ({ id, login }) a token belongs to, or null if it's invalid
+ */
+async function getUserForToken(token) {
+    const { value } = await userCache.get(hashToken(token), async () => {
+        const response = await fetch('https://api.github.com/user', {
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Accept': 'application/vnd.github.v3+json'
+            }
+        })
+
+        if (!response.ok) {
+            // Only a definite "bad token" is worth remembering
+            return { value: null, cacheable: response.status === 401 }
+        }
+
+        const user = await response.json()
+        return { value: { id: user.id, login: user.login }, cacheable: true }
+    })
+    return value
+}
+
+/**
+ * Express middleware: sets req.user, or answers 401 when the request has no
+ * session or its token no longer works
+ * Needs loadSession (sessions.js) to have run first.
+ */
+async function requireUser(req, res, next) {
+    if (!req.session) {
+        return res.status(401).json({ error: 'Sign in with GitHub first' })
+    }
+
+    try {
+        const user = await getUserForToken(req.session.token)
+        if (!user) {
+            return res.status(401).json({ error: 'Token expired or invalid' })
+        }
+        req.user = user
+        next()
+    } catch (error) {
+        console.error('[Auth] Could not verify token:', error.message)
+        res.status(502).json({ error: 'Failed to reach GitHub' })
+    }
+}
+
+module.exports = { requireUser, getUserForToken }
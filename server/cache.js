@@ -0,0 +1,76 @@
+/**
+ * Response Cache
+ *
+ * A small in-memory cache for GitHub responses with:
+ * - TTL: entries younger than `ttl` are served as-is
+ * - Stale-while-revalidate: entries younger than `ttl + staleTtl` are served
+ *   immediately while a fresh copy is fetched in the background
+ * - Request coalescing: concurrent loads of the same key share one upstream call
+ *
+ * Usage:
+ *   const cache = createCache({ ttl: 60_000, staleTtl: 300_000 })
+ *   const { value, status } = await cache.get(key, () => fetchSomething())
+ *   // status is 'HIT', 'STALE' or 'MISS'
+ */
+
+function createCache({ ttl, staleTtl = 0, maxEntries = 500 }) {
+    // key -> { value, storedAt }
+    const entries = new Map()
+
+    // key -> Promise of the value currently being loaded
+    const inFlight = new Map()
+
+    /**
+     * Run the loader once per key at a time, storing the result if it is cacheable.
+     * Loaders return { value, cacheable } so error responses can be passed
+     * through without being cached.
+     */
+    function load(key, loader) {
+        if (inFlight.has(key)) return inFlight.get(key)
+
+        const promise = loader()
+            .then(({ value, cacheable }) => {
+                if (cacheable) set(key, value)
+                return value
+            })
+            .finally(() => inFlight.delete(key))
+
+        inFlight.set(key, promise)
+        return promise
+    }
+
+    function set(key, value) {
+        // Map keeps insertion order, so re-inserting marks the key as most recent
+        entries.delete(key)
+        entries.set(key, { value, storedAt: Date.now() })
+
+        // Evict the oldest entries once we're over the limit
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value)
+        }
+    }
+
+    async function get(key, loader) {
+        const entry = entries.get(key)
+        const age = entry ? Date.now() - entry.storedAt : Infinity
+
+        if (age < ttl) {
+            return { value: entry.value, status: 'HIT' }
+        }
+
+        if (age < ttl + staleTtl) {
+            // Serve the stale copy now and refresh in the background
+            load(key, loader).catch(err => {
+                console.error(`[Cache] Background refresh failed for ${key}:`, err.message)
+            })
+            return { value: entry.value, status: 'STALE' }
+        }
+
+        const value = await load(key, loader)
+        return { value, status: 'MISS' }
+    }
+
+    return { get, size: () => entries.size }
+}
+
+module.exports = { createCache }
@@ -0,0 +1,156 @@
+/**
+ * Server Configuration
+ *
+ * Everything the auth server needs to know about where it runs, read from
+ * environment variables (or server/.env) once at startup and checked
+ * before anything listens. Invalid settings are all reported together and
+ * the server refuses to start, rather than failing later on a sign-in.
+ *
+ * Environment:
+ *   NODE_ENV              - 'development' (default) or 'production'
+ *   PORT                  - port to listen on (default: 3002)
+ *   ALLOWED_ORIGINS       - comma-separated frontend origins allowed to send
+ *                           the session cookie (CORS with credentials) and
+ *                           to make changes, e.g. https://psankho.vercel.app
+ *                           (default in development: http://localhost:5173,
+ *                           http://localhost:5174; required in production)
+ *   ALLOWED_REDIRECT_URIS - comma-separated URIs GitHub may send users back
+ *                           to after signing in (default: ALLOWED_ORIGINS,
+ *                           as the frontend redirects to its own origin)
+ *   GITHUB_CLIENT_ID, GITHUB_CLIENT_SECRET
+ *                         - the OAuth app (required in production)
+ *
+ * Production only allows https:// origins and redirect URIs.
+ *
+ * Usage:
+ *   const { getConfig } = require('./config')
+ *   getConfig().allowedOrigins.includes(origin)
+ */
+
+const DEFAULT_PORT = 3002
+const DEV_ORIGINS = 'http://localhost:5173,http://localhost:5174'
+const MODES = ['development', 'production']
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid server configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`)
+        this.problems = problems
+    }
+}
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean)
+
+/**
+ * Check one entry of an origin or redirect URI list
+ * Returns the normalised value, or null after recording a problem.
+ */
+function parseUrl(value, { name, originOnly, production }, problems) {
+    let url
+    try {
+        url = new URL(value)
+    } catch {
+        problems.push(`${name}: "${value}" is not a valid URL`)
+        return null
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        problems.push(`${name}: "${value}" must use http:// or https://`)
+        return null
+    }
+    if (production && url.protocol !== 'https:') {
+        problems.push(`${name}: "${value}" must use https:// in production`)
+        return null
+    }
+    if (originOnly && (url.pathname !== '/' || url.search || url.hash)) {
+        problems.push(`${name}: "${value}" must be an origin only (scheme, host and port - no path)`)
+        return null
+    }
+    if (url.hash) {
+        problems.push(`${name}: "${value}" must not contain a #fragment`)
+        return null
+    }
+
+    return originOnly ? url.origin : url.toString()
+}
+
+/**
+ * Read and validate the configuration from `env`
+ * Throws a ConfigError listing every problem found.
+ */
+function loadConfig(env = process.env) {
+    const problems = []
+
+    const mode = env.NODE_ENV || 'development'
+    if (!MODES.includes(mode)) {
+        problems.push(`NODE_ENV: "${mode}" must be one of ${MODES.join(', ')}`)
+    }
+    const production = mode === 'production'
+
+    const port = env.PORT === undefined ? DEFAULT_PORT : Number(env.PORT)
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        problems.push(`PORT: "${env.PORT}" must be a whole number between 1 and 65535`)
+    }
+
+    if (production && !env.ALLOWED_ORIGINS) {
+        problems.push('ALLOWED_ORIGINS: required in production (the frontend\'s origin, e.g. https://psankho.vercel.app)')
+    }
+    const allowedOrigins = splitList(env.ALLOWED_ORIGINS || (production ? '' : DEV_ORIGINS))
+        .map(origin => parseUrl(origin, { name: 'ALLOWED_ORIGINS', originOnly: true, production }, problems))
+        .filter(Boolean)
+
+    const allowedRedirectUris = env.ALLOWED_REDIRECT_URIS
+        ? splitList(env.ALLOWED_REDIRECT_URIS)
+            .map(uri => parseUrl(uri, { name: 'ALLOWED_REDIRECT_URIS', originOnly: false, production }, problems))
+            .filter(Boolean)
+        : allowedOrigins.map(origin => `${origin}/`)
+
+    const github = {
+        clientId: env.GITHUB_CLIENT_ID || null,
+        clientSecret: env.GITHUB_CLIENT_SECRET || null
+    }
+    if (production && (!github.clientId || !github.clientSecret)) {
+        problems.push('GITHUB_CLIENT_ID and GITHUB_CLIENT_SECRET: required in production')
+    }
+
+    if (problems.length > 0) throw new ConfigError(problems)
+
+    return Object.freeze({
+        mode,
+        production,
+        port,
+        allowedOrigins,
+        allowedRedirectUris,
+        github: Object.freeze(github)
+    })
+}
+
+let current = null
+
+/**
+ * The configuration, loaded from process.env on first use
+ */
+function getConfig() {
+    if (!current) current = loadConfig()
+    return current
+}
+
+/**
+ * Whether `origin` is one of the configured frontends
+ */
+function isAllowedOrigin(origin) {
+    return Boolean(origin) && getConfig().allowedOrigins.includes(origin)
+}
+
+/**
+ * Whether GitHub may send users back to `uri` after signing in
+ * Compared after normalising, so `https://a.dev` and `https://a.dev/` match.
+ */
+function isAllowedRedirectUri(uri) {
+    try {
+        return getConfig().allowedRedirectUris.includes(new URL(uri).toString())
+    } catch {
+        return false
+    }
+}
+
+module.exports = { getConfig, loadConfig, ConfigError, isAllowedOrigin, isAllowedRedirectUri }
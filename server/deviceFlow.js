@@ -0,0 +1,138 @@
+/**
+ * GitHub Device Flow
+ *
+ * Sign-in without a redirect: GitHub hands out a short user code, the user
+ * types it in at github.com/login/device on any device (their phone, say),
+ * and this server polls GitHub until they approve. Useful where the OAuth
+ * redirect can't come back to the app - a kiosk, or the app opened via a
+ * LAN IP that isn't a registered callback URL.
+ *
+ * The device code itself never leaves this server: the frontend gets an
+ * opaque id for the login and polls with that. Logins in progress live in
+ * memory only, like OAuth states (see oauthState.js).
+ *
+ * Needs "Enable Device Flow" ticked in the GitHub OAuth app's settings.
+ * https://docs.github.com/en/apps/oauth-apps/building-oauth-apps/authorizing-oauth-apps#device-flow
+ */
+
+const crypto = require('crypto')
+
+// Upper bound on device logins in progress, so the map can't be grown without limit
+const MAX_PENDING = 1000
+
+// id -> { deviceCode, interval, expiresAt, nextPollAt }
+const pending = new Map()
+
+function pruneExpired(now) {
+    for (const [id, login] of pending) {
+        if (login.expiresAt <= now) pending.delete(id)
+    }
+    // Oldest first (Map keeps insertion order)
+    while (pending.size >= MAX_PENDING) {
+        pending.delete(pending.keys().next().value)
+    }
+}
+
+// GitHub answered, but refused (e.g. device flow isn't enabled for the app)
+class DeviceFlowError extends Error {}
+
+async function postToGitHub(url, params) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        },
+        body: JSON.stringify(params)
+    })
+    return response.json()
+}
+
+/**
+ * Ask GitHub for a device and user code
+ * Resolves to { id, user_code, verification_uri, expires_in, interval };
+ * throws a DeviceFlowError with GitHub's description if it refuses.
+ */
+async function startDeviceLogin(clientId, scope) {
+    const data = await postToGitHub('https://github.com/login/device/code', { client_id: clientId, scope })
+    if (data.error) {
+        throw new DeviceFlowError(data.error_description || data.error)
+    }
+
+    const now = Date.now()
+    pruneExpired(now)
+
+    const id = crypto.randomBytes(32).toString('hex')
+    pending.set(id, {
+        deviceCode: data.device_code,
+        interval: data.interval,
+        expiresAt: now + data.expires_in * 1000,
+        nextPollAt: now
+    })
+
+    return {
+        id,
+        user_code: data.user_code,
+        verification_uri: data.verification_uri,
+        expires_in: data.expires_in,
+        interval: data.interval
+    }
+}
+
+/**
+ * Check once whether the user has approved login `id`
+ *
+ * Resolves to one of:
+ *   { status: 'pending', interval }  - not yet; ask again in `interval` seconds
+ *   { status: 'complete', token, scope } - approved (the login is used up)
+ *   { status: 'failed', error, code } - expired, denied or unknown; start over
+ *
+ * Polls arriving faster than GitHub allows are answered 'pending' without
+ * asking GitHub, so a hasty client can't get the app's device flow throttled.
+ */
+async function pollDeviceLogin(clientId, id) {
+    const login = typeof id === 'string' ? pending.get(id) : null
+    const now = Date.now()
+
+    if (!login || login.expiresAt <= now) {
+        if (login) pending.delete(id)
+        return { status: 'failed', error: 'This sign-in code has expired. Please start again.', code: 'expired_token' }
+    }
+    if (now < login.nextPollAt) {
+        return { status: 'pending', interval: login.interval }
+    }
+
+    login.nextPollAt = now + login.interval * 1000
+    const data = await postToGitHub('https://github.com/login/oauth/access_token', {
+        client_id: clientId,
+        device_code: login.deviceCode,
+        grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+    })
+
+    if (data.access_token) {
+        pending.delete(id)
+        return { status: 'complete', token: data.access_token, scope: data.scope }
+    }
+
+    switch (data.error) {
+        case 'authorization_pending':
+            return { status: 'pending', interval: login.interval }
+        case 'slow_down':
+            // GitHub wants a longer gap from now on
+            login.interval = data.interval || login.interval + 5
+            login.nextPollAt = now + login.interval * 1000
+            return { status: 'pending', interval: login.interval }
+        case 'access_denied':
+            pending.delete(id)
+            return { status: 'failed', error: 'Sign-in was cancelled on GitHub.', code: 'access_denied' }
+        default:
+            pending.delete(id)
+            return {
+                status: 'failed',
+                error: data.error_description || 'Sign-in with a code failed. Please start again.',
+                code: data.error || 'device_flow_failed'
+            }
+    }
+}
+
+module.exports = { startDeviceLogin, pollDeviceLogin, DeviceFlowError }
@@ -0,0 +1,212 @@
+/**
+ * Issue Feeds
+ *
+ * Any issue search as a feed, for following new issues in a feed reader.
+ * The filters are the ones the app searches with (see shared/searchQuery.js), and
+ * searches go through the proxy's search cache (see githubProxy.js), so
+ * feed readers polling the same search cost one GitHub call a minute at most.
+ *
+ * Routes:
+ *   GET /feeds/issues.atom  -> Atom feed of the newest matching open issues
+ *   GET /feeds/issues.json  -> the same as a JSON Feed (https://jsonfeed.org/version/1.1)
+ *
+ * Query parameters (all optional):
+ *   q          - search text
+ *   language   - repository language, e.g. rust
+ *   labels     - comma-separated labels (beginner labels include their synonyms, 'any' all of them)
+ *   categories - comma-separated category keywords, e.g. "docker OR kubernetes OR cloud"
+ *   popularity - repository stars, e.g. stars:>1000
+ *   unassigned - 1 for issues nobody is assigned to
+ *   nopr       - 1 for issues without a linked pull request
+ *
+ * Environment:
+ *   GITHUB_TOKEN - raises the search limit from 10 to 30 requests/minute
+ */
+
+const express = require('express')
+const { getConfig } = require('./config')
+const { searchIssues } = require('./githubProxy')
+const { escapeXml } = require('./xml')
+
+// The app's own query building - an ES module, so it's loaded with import()
+const searchQuery = import('../shared/searchQuery.js')
+
+// Results asked for per query - the app's page size, so identical searches share a cache entry
+const PER_QUERY = 20
+const MAX_ITEMS = 50
+
+// Issue bodies are cut to this length in feed entries
+const SUMMARY_LENGTH = 1000
+
+const LANGUAGE_PATTERN = /^[\w+#.-]{1,30}$/
+const POPULARITY_PATTERN = /^stars:[<>]\d{1,7}$/
+const CATEGORY_PATTERN = /^[\w .-]{1,100}$/
+
+const splitList = (value) => (typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean).slice(0, 20) : [])
+
+/**
+ * The app's filter state from the query string
+ * Returns null if anything is malformed.
+ */
+function parseFilters(query) {
+    const text = (value) => (typeof value === 'string' ? value.trim() : '')
+    const filters = {
+        searchQuery: text(query.q).slice(0, 200),
+        language: text(query.language),
+        popularity: text(query.popularity),
+        unassignedOnly: query.unassigned === '1',
+        noLinkedPR: query.nopr === '1',
+        selectedLabels: splitList(query.labels).map(label => label.slice(0, 50)),
+        selectedCategories: splitList(query.categories)
+    }
+
+    if (filters.language && !LANGUAGE_PATTERN.test(filters.language)) return null
+    if (filters.popularity && !POPULARITY_PATTERN.test(filters.popularity)) return null
+    if (!filters.selectedCategories.every(category => CATEGORY_PATTERN.test(category))) return null
+    return filters
+}
+
+/**
+ * Feed title, e.g. "Open issues: rust · good first issue · stars:>1000 · unassigned"
+ */
+function describeFilters(filters) {
+    const parts = [
+        filters.searchQuery && `"${filters.searchQuery}"`,
+        filters.language,
+        ...filters.selectedLabels,
+        ...filters.selectedCategories.map(category => category.split(' OR ')[0]),
+        filters.popularity,
+        filters.unassignedOnly && 'unassigned',
+        filters.noLinkedPR && 'no linked PR'
+    ].filter(Boolean)
+    return `Open issues: ${parts.join(' · ') || 'all'}`
+}
+
+/**
+ * Newest issues across every query of the search, each once
+ */
+async function findIssues(filters) {
+    const { buildIssueQueries } = await searchQuery
+    const pages = await Promise.all(buildIssueQueries(filters).map(query => searchIssues(query, PER_QUERY)))
+
+    const seen = new Set()
+    return pages
+        .flatMap(page => page.items || [])
+        .filter(issue => {
+            if (seen.has(issue.id)) return false
+            seen.add(issue.id)
+            return true
+        })
+        .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at))
+        .slice(0, MAX_ITEMS)
+}
+
+// "owner/repo" from an issue's repository_url
+const repoName = (issue) => issue.repository_url.split('/').slice(-2).join('/')
+
+const entryTitle = (issue) => `[${repoName(issue)}] ${issue.title} (#${issue.number})`
+
+const summary = (issue) => {
+    const body = (issue.body || '').trim()
+    return body.length > SUMMARY_LENGTH ? `${body.slice(0, SUMMARY_LENGTH)}…` : body
+}
+
+function renderAtom({ title, feedUrl, homeUrl, issues }) {
+    const updated = issues.length > 0
+        ? new Date(Math.max(...issues.map(issue => Date.parse(issue.updated_at)))).toISOString()
+        : new Date().toISOString()
+
+    const entries = issues.map(issue => `  <entry>
+    <id>${escapeXml(issue.html_url)}</id>
+    <title>${escapeXml(entryTitle(issue))}</title>
+    <link href="${escapeXml(issue.html_url)}"/>
+    <published>${issue.created_at}</published>
+    <updated>${issue.updated_at}</updated>
+    <author><name>${escapeXml(issue.user?.login || 'ghost')}</name></author>
+${issue.labels.map(label => `    <category term="${escapeXml(label.name)}"/>`).join('\n')}
+    <summary type="text">${escapeXml(summary(issue))}</summary>
+  </entry>`)
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feedUrl)}</id>
+  <title>${escapeXml(title)}</title>
+  <link rel="self" href="${escapeXml(feedUrl)}"/>
+  <link rel="alternate" href="${escapeXml(homeUrl)}"/>
+  <updated>${updated}</updated>
+  <generator>psankho</generator>
+${entries.join('\n')}
+</feed>
+`
+}
+
+function renderJsonFeed({ title, feedUrl, homeUrl, issues }) {
+    return {
+        version: 'https://jsonfeed.org/version/1.1',
+        title,
+        home_page_url: homeUrl,
+        feed_url: feedUrl,
+        items: issues.map(issue => ({
+            id: issue.html_url,
+            url: issue.html_url,
+            title: entryTitle(issue),
+            content_text: summary(issue),
+            date_published: issue.created_at,
+            date_modified: issue.updated_at,
+            authors: issue.user ? [{ name: issue.user.login, url: issue.user.html_url, avatar: issue.user.avatar_url }] : [],
+            tags: issue.labels.map(label => label.name)
+        }))
+    }
+}
+
+/**
+ * Handler for one feed format: parses the filters, runs the search and renders it
+ */
+function feedHandler(type, render) {
+    return async (req, res) => {
+        const filters = parseFilters(req.query)
+        if (!filters) {
+            return res.status(400).json({ error: 'Invalid filters' })
+        }
+
+        // Behind a hosting proxy the original scheme is in X-Forwarded-Proto
+        const protocol = req.get('x-forwarded-proto')?.split(',')[0] || req.protocol
+
+        try {
+            const issues = await findIssues(filters)
+            res.set('Cache-Control', 'public, max-age=300')
+            res.type(type).send(render({
+                title: describeFilters(filters),
+                feedUrl: `${protocol}://${req.get('host')}${req.originalUrl}`,
+                homeUrl: `${getConfig().allowedOrigins[0]}/`,
+                issues
+            }))
+        } catch (error) {
+            if (error.name === 'QueryTooComplexError') {
+                return res.status(400).json({ error: error.message })
+            }
+            if (error.status === 400) {
+                return res.status(400).json({ error: error.message })
+            }
+            if (error.status === 422) {
+                return res.status(400).json({ error: 'GitHub rejected this search' })
+            }
+            console.error('[Feeds] Search failed:', error.message)
+            res.status(502).json({ error: 'Failed to reach GitHub' })
+        }
+    }
+}
+
+const router = express.Router()
+
+/**
+ * GET /feeds/issues.atom
+ */
+router.get('/issues.atom', feedHandler('application/atom+xml', renderAtom))
+
+/**
+ * GET /feeds/issues.json
+ */
+router.get('/issues.json', feedHandler('application/feed+json', (feed) => JSON.stringify(renderJsonFeed(feed), null, 2)))
+
+module.exports = { router, parseFilters }
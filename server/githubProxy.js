@@ -0,0 +1,319 @@
+/**
+ * GitHub API Proxy
+ *
+ * Caching proxy for the public GitHub lookups the frontend makes on every
+ * search. Routing them through here means:
+ * - Identical queries from anonymous visitors are answered from one cache
+ *   (signed-in users, whose own token is used, each get their own entries)
+ * - Anonymous visitors share the server's token instead of their own
+ *   10 requests/minute IP limit. They choose what it searches for, so that
+ *   token must have no scopes (public data only); searches for private
+ *   repositories are refused without a session all the same
+ * - Rate-limit headers are still passed through so the UI can show them
+ *
+ * Routes:
+ *   GET /api/search/issues        -> GET https://api.github.com/search/issues
+ *   GET /api/search/repositories  -> GET https://api.github.com/search/repositories
+ *   GET /api/repos/:owner/:repo   -> GET https://api.github.com/repos/:owner/:repo
+ *   GET /api/repos/:owner/:repo/{readme, community/profile, issues, issues/comments, contents/...}
+ *                                 -> the same path on GitHub (repository page lookups)
+ *   GET  /api/github/*            -> any GET on the GitHub API, as the signed-in user
+ *   POST /api/github/graphql      -> the GraphQL API, as the signed-in user
+ *   PUT|DELETE /api/github/user/starred/:owner/:repo        -> star / unstar
+ *   PUT|DELETE /api/github/repos/:owner/:repo/subscription  -> watch / unwatch
+ *   POST /api/github/repos/:owner/:repo/issues/:number/comments -> comment on an issue
+ *
+ * The write routes only work for users who granted the optional
+ * public_repo scope; everything else GitHub can do is not forwarded.
+ *
+ * The /api/github routes are uncached and need a session (see sessions.js):
+ * they're how the frontend makes calls with the user's own token without
+ * ever holding it.
+ *
+ * GitHub media types (`Accept: application/vnd.github.*`) are passed through,
+ * so e.g. a README can be fetched as rendered HTML.
+ *
+ * searchIssues() and getRepo() make the same lookups through the same
+ * caches for other server modules (see feeds.js and achievements.js).
+ */
+
+const express = require('express')
+const { createCache } = require('./cache')
+
+const GITHUB_API = 'https://api.github.com'
+
+// Headers copied from GitHub's response onto ours
+const PASSTHROUGH_HEADERS = [
+    'link',
+    'x-ratelimit-limit',
+    'x-ratelimit-remaining',
+    'x-ratelimit-reset',
+    'x-ratelimit-used',
+    'x-ratelimit-resource',
+    'retry-after'
+]
+
+// Search results change often; repository metadata much less so
+const searchCache = createCache({ ttl: 60 * 1000, staleTtl: 5 * 60 * 1000 })
+const repoCache = createCache({ ttl: 10 * 60 * 1000, staleTtl: 60 * 60 * 1000 })
+
+// The characters GitHub allows in owner and repository names
+const NAME_PATTERN = /^[A-Za-z0-9_.-]+$/
+
+// Search qualifiers asking for private or internal repositories
+const PRIVATE_QUALIFIER = /(^|[\s(])-?(is|visibility):(private|internal)\b/i
+
+const PRIVATE_SEARCH_MESSAGE = 'Searching private repositories needs you to sign in'
+
+/**
+ * Pick the token for an upstream call: the signed-in user's own,
+ * otherwise the server-held GITHUB_TOKEN (if configured)
+ */
+function resolveToken(req) {
+    return req.session?.token || process.env.GITHUB_TOKEN || null
+}
+
+/**
+ * The GitHub media type the client asked for, if it asked for one
+ */
+function resolveAccept(req) {
+    const accept = req.headers.accept || ''
+    return accept.startsWith('application/vnd.github') ? accept : 'application/vnd.github.v3+json'
+}
+
+/**
+ * Whose view of GitHub a cached response is: responses fetched with a
+ * user's own token can include their private repositories, so they're
+ * only ever served back to that user
+ */
+function cacheOwner(req) {
+    return req.session ? `user:${req.session.user.id}` : 'shared'
+}
+
+/**
+ * Cache key for a GitHub path + query string + media type, per owner
+ * Params are sorted so `?a=1&b=2` and `?b=2&a=1` share an entry.
+ */
+function cacheKey(path, query, accept, owner = 'shared') {
+    const params = new URLSearchParams(query)
+    params.sort()
+    return `${owner} ${path}?${params.toString()} ${accept}`
+}
+
+/**
+ * A path segment that can't climb out of where it's put: fetch() resolves
+ * `.` and `..`, so `/repos/../user` would reach /user with the server's token
+ */
+const isPlainSegment = (segment) => segment !== '.' && segment !== '..'
+
+/**
+ * GitHub path of a repository, plus any `subPath` below it
+ * (e.g. 'contents/docs/README.md'), or null if a part isn't a plain name
+ */
+function repoPath(owner, repo, subPath = null) {
+    if (![owner, repo].every(name => NAME_PATTERN.test(name) && isPlainSegment(name))) return null
+
+    const segments = subPath ? subPath.split('/') : []
+    if (!segments.every(isPlainSegment)) return null
+
+    return [`/repos/${owner}/${repo}`, ...segments.map(encodeURIComponent)].join('/')
+}
+
+/**
+ * Does the search in `query` ask for private repositories? Never run those
+ * with the server's GITHUB_TOKEN - only the user's own token may see them
+ */
+function isPrivateSearch(query) {
+    return PRIVATE_QUALIFIER.test(query.get('q') || '')
+}
+
+/**
+ * Copy the headers we pass through from a GitHub response
+ */
+function keptHeaders(response) {
+    const kept = {}
+    PASSTHROUGH_HEADERS.forEach(name => {
+        const value = response.headers.get(name)
+        if (value) kept[name] = value
+    })
+    return kept
+}
+
+/**
+ * Fetch from GitHub and package the parts of the response we keep
+ */
+async function fetchFromGitHub(path, query, token, accept) {
+    const url = `${GITHUB_API}${path}?${query.toString()}`
+    const headers = {
+        'Accept': accept,
+        'User-Agent': 'psakhno-auth-server'
+    }
+    if (token) headers['Authorization'] = `Bearer ${token}`
+
+    const response = await fetch(url, { headers })
+
+    return {
+        value: {
+            status: response.status,
+            headers: keptHeaders(response),
+            body: await response.text()
+        },
+        // Only successful responses are cached; errors go straight back to the caller
+        cacheable: response.ok
+    }
+}
+
+/**
+ * Rewrite GitHub's `Link` header so pagination links point back at this proxy
+ * (relative to the server, e.g. `/api/search/issues?q=...&page=2`)
+ */
+function rewriteLinkHeader(link, prefix = '/api') {
+    return link.split(GITHUB_API).join(prefix)
+}
+
+/**
+ * Build an Express handler that proxies `githubPath(req)` through `cache`
+ * (a null path is answered with 400)
+ */
+function proxyHandler(cache, githubPath) {
+    return async (req, res) => {
+        const path = githubPath(req)
+        if (!path) {
+            return res.status(400).json({ message: 'Not a valid repository path' })
+        }
+        // Use the raw query string rather than Express's parsed req.query
+        const query = new URLSearchParams(req.url.split('?')[1] || '')
+        if (!req.session && isPrivateSearch(query)) {
+            return res.status(400).json({ message: PRIVATE_SEARCH_MESSAGE })
+        }
+        const accept = resolveAccept(req)
+        const key = cacheKey(path, query, accept, cacheOwner(req))
+
+        try {
+            const { value, status } = await cache.get(key, () =>
+                fetchFromGitHub(path, query, resolveToken(req), accept)
+            )
+
+            Object.entries(value.headers).forEach(([name, headerValue]) => {
+                res.set(name, name === 'link' ? rewriteLinkHeader(headerValue) : headerValue)
+            })
+            res.set('X-Cache', status)
+            res.status(value.status).type(accept.includes('html') ? 'text/html' : 'application/json').send(value.body)
+        } catch (error) {
+            console.error(`[Proxy] ${path} failed:`, error.message)
+            res.status(502).json({ message: 'Failed to reach GitHub' })
+        }
+    }
+}
+
+/**
+ * Forward a call to GitHub with the session's token, uncached
+ * The path and query string are whatever follows /api/github.
+ */
+async function sessionPassthrough(req, res) {
+    if (!req.session) {
+        return res.status(401).json({ message: 'Sign in with GitHub first' })
+    }
+
+    const path = req.url.slice('/github'.length)
+    const headers = {
+        'Accept': resolveAccept(req),
+        'Authorization': `Bearer ${req.session.token}`,
+        'User-Agent': 'psakhno-auth-server'
+    }
+    // Starring takes no body at all (GitHub wants Content-Length: 0)
+    const hasBody = req.method !== 'GET' && req.body && Object.keys(req.body).length > 0
+    if (hasBody) headers['Content-Type'] = 'application/json'
+
+    try {
+        const response = await fetch(`${GITHUB_API}${path}`, {
+            method: req.method,
+            headers,
+            body: hasBody ? JSON.stringify(req.body) : undefined
+        })
+
+        Object.entries(keptHeaders(response)).forEach(([name, value]) => {
+            res.set(name, name === 'link' ? rewriteLinkHeader(value, '/api/github') : value)
+        })
+        res.set('Cache-Control', 'private, no-store')
+        res.status(response.status)
+            .type(response.headers.get('content-type') || 'application/json')
+            .send(await response.text())
+    } catch (error) {
+        console.error(`[Proxy] Session call to ${path.split('?')[0]} failed:`, error.message)
+        res.status(502).json({ message: 'Failed to reach GitHub' })
+    }
+}
+
+/**
+ * GET `path` through `cache` with the server's token, for other server modules
+ * Keys match the proxy routes', so the app's identical lookups share entries.
+ * Resolves to GitHub's parsed response; rejects with `status` set on errors
+ * (400 for searches of private repositories).
+ */
+async function cachedGet(cache, path, params = new URLSearchParams()) {
+    if (isPrivateSearch(params)) {
+        const error = new Error(PRIVATE_SEARCH_MESSAGE)
+        error.status = 400
+        throw error
+    }
+    const accept = 'application/vnd.github.v3+json'
+
+    const { value } = await cache.get(cacheKey(path, params, accept), () =>
+        fetchFromGitHub(path, params, process.env.GITHUB_TOKEN || null, accept)
+    )
+    if (value.status !== 200) {
+        const error = new Error(`GitHub responded ${value.status} for ${path}`)
+        error.status = value.status
+        throw error
+    }
+    return JSON.parse(value.body)
+}
+
+/**
+ * Newest open issues for one search query, from the same cache as /api/search/issues
+ */
+function searchIssues(query, perPage) {
+    const params = new URLSearchParams({ q: query, sort: 'created', order: 'desc', per_page: String(perPage), page: '1' })
+    return cachedGet(searchCache, '/search/issues', params)
+}
+
+/**
+ * A repository ("owner/name"), from the same cache as /api/repos/:owner/:repo
+ */
+function getRepo(fullName) {
+    const [owner = '', repo = ''] = fullName.split('/')
+    const path = repoPath(owner, repo)
+    if (!path) {
+        const error = new Error(`Not a repository name: ${fullName}`)
+        error.status = 400
+        return Promise.reject(error)
+    }
+    return cachedGet(repoCache, path)
+}
+
+const router = express.Router()
+
+router.get('/search/issues', proxyHandler(searchCache, () => '/search/issues'))
+router.get('/search/repositories', proxyHandler(searchCache, () => '/search/repositories'))
+router.get('/repos/:owner/:repo', proxyHandler(repoCache, (req) => repoPath(req.params.owner, req.params.repo)))
+
+// Repository page lookups - only these read-only sub-resources are proxied
+router.get(/^\/repos\/([^/]+)\/([^/]+)\/(readme|community\/profile|issues|issues\/comments|contents\/.+)$/, proxyHandler(repoCache, (req) =>
+    repoPath(req.params[0], req.params[1], req.params[2])
+))
+
+// Calls made as the signed-in user
+router.get(/^\/github\/.+/, sessionPassthrough)
+router.post('/github/graphql', sessionPassthrough)
+
+// The few actions taken for the user (need the public_repo scope)
+const STAR_PATH = /^\/github\/user\/starred\/[^/]+\/[^/]+$/
+const SUBSCRIPTION_PATH = /^\/github\/repos\/[^/]+\/[^/]+\/subscription$/
+router.put(STAR_PATH, sessionPassthrough)
+router.delete(STAR_PATH, sessionPassthrough)
+router.put(SUBSCRIPTION_PATH, sessionPassthrough)
+router.delete(SUBSCRIPTION_PATH, sessionPassthrough)
+router.post(/^\/github\/repos\/[^/]+\/[^/]+\/issues\/\d+\/comments$/, sessionPassthrough)
+
+module.exports = { router, searchIssues, getRepo }
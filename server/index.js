@@ -6,53 +6,223 @@
  * keeping your Client Secret safe on the server side.
  * 
  * OAuth Flow:
- * 1. Frontend redirects user to GitHub login
- * 2. GitHub redirects back with an authorization code
- * 3. Frontend sends code to this server
- * 4. Server exchanges code for access token (using secret)
- * 5. Server returns access token to frontend
+ * 1. Frontend asks this server for the login URL, which carries a fresh
+ *    single-use `state` (see oauthState.js), and redirects to GitHub
+ * 2. GitHub redirects back with an authorization code and the same state
+ * 3. Frontend checks the state against the one it stored, then sends both here
+ * 4. Server checks and uses up the state, then exchanges the code for an
+ *    access token (using secret)
+ * 5. Server keeps the token in a session and sets an httpOnly cookie for
+ *    it (see sessions.js) - the frontend only ever gets the user's profile
+ *
+ * Where a redirect back to the app can't work, users can sign in with a
+ * code instead (GitHub's device flow, see deviceFlow.js); it ends in the
+ * same kind of session.
+ *
+ * It also proxies and caches the public GitHub lookups the frontend makes
+ * (see githubProxy.js), so anonymous visitors share one cached result set,
+ * and forwards the signed-in user's own GitHub calls with their token.
  */
 
 // Load environment variables from .env file
 require('dotenv').config()
 
+// Check the configuration before anything else - a server that would turn
+// away every sign-in shouldn't start at all
+const { getConfig, ConfigError, isAllowedOrigin, isAllowedRedirectUri } = require('./config')
+let config
+try {
+    config = getConfig()
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error
+    console.error(`\n❌ ${error.message}\n\nSee server/config.js for every setting.\n`)
+    process.exit(1)
+}
+
 const express = require('express')
 const cors = require('cors')
+const githubProxy = require('./githubProxy')
+const savedItems = require('./savedItems')
+const presets = require('./presets')
+const feeds = require('./feeds')
+const trending = require('./trending')
+const achievements = require('./achievements')
+const { issueState, consumeState } = require('./oauthState')
+const { startDeviceLogin, pollDeviceLogin, DeviceFlowError } = require('./deviceFlow')
+const { loadSession, startSession, endSession } = require('./sessions')
 
 const app = express()
-const PORT = 3002  // Changed from 3001 to avoid conflicts
 
 // ==============================================
 // MIDDLEWARE SETUP
 // ==============================================
 
-// Enable CORS - allows frontend to make requests to this server
-// For development: allow all origins
+// Enable CORS - only for the frontends in ALLOWED_ORIGINS, which may send
+// the session cookie along (credentials). Other sites get no CORS headers,
+// so browsers won't let them read anything from this server.
 app.use(cors({
-    origin: '*',
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
-    credentials: false
+    origin: (origin, callback) => callback(null, isAllowedOrigin(origin)),
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type'],
+    // Let the frontend read pagination and rate-limit info from proxied responses
+    exposedHeaders: [
+        'Link',
+        'Retry-After',
+        'X-Cache',
+        'X-RateLimit-Limit',
+        'X-RateLimit-Remaining',
+        'X-RateLimit-Reset',
+        'X-RateLimit-Used',
+        'X-RateLimit-Resource'
+    ],
+    credentials: true
 }))
 
+// Requests that change something must come from one of our frontends.
+// CORS only stops other sites reading the answer, not sending the request
+// (with the cookie, in production where it has to be SameSite=None).
+app.use((req, res, next) => {
+    const origin = req.headers.origin
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || !origin || isAllowedOrigin(origin)) {
+        return next()
+    }
+    console.warn(`[Auth] Blocked ${req.method} ${req.path} from ${origin}`)
+    res.status(403).json({ error: 'Requests from this site are not allowed' })
+})
+
+// Look up the signed-in user's session (req.session) from the cookie
+app.use(loadSession)
+
 // Parse JSON request bodies
 app.use(express.json())
 
+// ==============================================
+// GITHUB API PROXY
+// ==============================================
+
+// Cached search and repository lookups (see githubProxy.js)
+app.use('/api', githubProxy.router)
+
+// ==============================================
+// SAVED ISSUES
+// ==============================================
+
+// Per-user saved issues and repositories (see savedItems.js)
+app.use('/saved', savedItems)
+
+// Per-user saved searches (see presets.js)
+app.use('/presets', presets)
+
+// ==============================================
+// FEEDS
+// ==============================================
+
+// Atom and JSON feeds of any issue search (see feeds.js)
+app.use('/feeds', feeds.router)
+
+// ==============================================
+// TRENDING
+// ==============================================
+
+// Stars gained per day/week/month, from periodic snapshots (see trending.js)
+app.use('/trending', trending.router)
+
+// ==============================================
+// ACHIEVEMENTS
+// ==============================================
+
+// Badges and streaks per GitHub user, plus an embeddable SVG badge (see achievements.js)
+app.use('/achievements', achievements.router)
+
 // ==============================================
 // GITHUB OAUTH ENDPOINTS
 // ==============================================
 
+// Scopes asked for at sign-in
+const OAUTH_SCOPE = 'read:user'
+
+// Scopes the user can opt in to on top: public_repo lets the app star,
+// watch and comment on public repositories for them
+const OPTIONAL_SCOPES = ['public_repo']
+
+/**
+ * The scope string to ask GitHub for, with the optional scopes in
+ * `requested` (comma or space separated) - or null if any isn't allowed
+ */
+function scopeFor(requested) {
+    const extra = typeof requested === 'string' ? requested.split(/[\s,]+/).filter(Boolean) : []
+    if (extra.some(scope => !OPTIONAL_SCOPES.includes(scope))) return null
+    return [OAUTH_SCOPE, ...new Set(extra)].join(' ')
+}
+
+// Scopes as GitHub lists them, in token responses ("read:user,public_repo")
+// and X-OAuth-Scopes headers ("public_repo, read:user")
+const parseScopes = (scope) => (scope || '').split(/[\s,]+/).filter(Boolean)
+
+/**
+ * Look up the user behind a new token, start their session and answer
+ * with the user and granted scopes - shared by the redirect and device
+ * sign-in flows
+ */
+async function signIn(req, res, token, scope) {
+    // Fetch user info to keep in the session and return
+    const userResponse = await fetch('https://api.github.com/user', {
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/vnd.github.v3+json'
+        }
+    })
+
+    // A revoked token (or one revoked mid device flow) gets no session
+    if (!userResponse.ok) {
+        console.error(`[Auth] GitHub responded ${userResponse.status} for /user`)
+        return res.status(401).json({ error: 'GitHub did not accept the sign-in. Please try again.' })
+    }
+
+    const userData = await userResponse.json()
+    const user = {
+        id: userData.id,
+        login: userData.login,
+        name: userData.name,
+        avatar_url: userData.avatar_url
+    }
+
+    // GitHub's header is the final word on what the token can do
+    const scopes = parseScopes(userResponse.headers.get('x-oauth-scopes') ?? scope)
+
+    // Signing in again (e.g. to grant more access) replaces any session this browser already had
+    endSession(req, res)
+    startSession(res, token, user, scopes)
+    console.log(`[Auth] Session started for ${user.login} (${scopes.join(', ')})`)
+
+    // The token stays here - the browser only gets the cookie
+    res.json({ user, scopes })
+}
+
 /**
  * GET /auth/github
- * Returns the GitHub OAuth URL for the frontend to redirect to
+ * Returns the GitHub OAuth URL for the frontend to redirect to, and the
+ * single-use `state` in it for the frontend to check on the way back
+ *
+ * `redirect_uri` must be one of ALLOWED_REDIRECT_URIS, so nobody can use
+ * this server to send a user's sign-in somewhere else. `scope` may ask for
+ * the optional scopes (OPTIONAL_SCOPES) on top of read:user.
  */
 app.get('/auth/github', (req, res) => {
-    const clientId = process.env.GITHUB_CLIENT_ID
+    const { clientId } = config.github
     const redirectUri = req.query.redirect_uri
 
     console.log('[Auth] Login requested')
     if (redirectUri) console.log(`[Auth] Using redirect_uri: ${redirectUri}`)
 
+    if (redirectUri !== undefined && (typeof redirectUri !== 'string' || !isAllowedRedirectUri(redirectUri))) {
+        console.warn(`[Auth] Rejected redirect_uri not in ALLOWED_REDIRECT_URIS: ${redirectUri}`)
+        return res.status(400).json({
+            error: 'This site isn\'t allowed to sign in with this server.',
+            code: 'invalid_redirect_uri'
+        })
+    }
+
     if (!clientId) {
         console.error('[Auth] Error: GITHUB_CLIENT_ID not set')
         return res.status(500).json({
@@ -60,32 +230,49 @@ app.get('/auth/github', (req, res) => {
         })
     }
 
+    const scope = scopeFor(req.query.scope)
+    if (!scope) {
+        return res.status(400).json({ error: `Only these extra scopes can be requested: ${OPTIONAL_SCOPES.join(', ')}` })
+    }
+
     // GitHub OAuth authorization URL with required scopes
-    let githubAuthUrl = `https://github.com/login/oauth/authorize?client_id=${clientId}&scope=read:user`
+    const state = issueState(redirectUri || null)
+    let githubAuthUrl = `https://github.com/login/oauth/authorize?client_id=${clientId}&scope=${encodeURIComponent(scope)}&state=${state}`
 
     // Add redirect_uri if provided
     if (redirectUri) {
         githubAuthUrl += `&redirect_uri=${encodeURIComponent(redirectUri)}`
     }
 
-    res.json({ url: githubAuthUrl })
+    res.json({ url: githubAuthUrl, state })
 })
 
 /**
  * POST /auth/github/callback
- * Exchanges the authorization code for an access token
+ * Exchanges the authorization code for an access token and starts a session
  * 
- * This is the key security step: the Client Secret stays on the server
+ * This is the key security step: the Client Secret stays on the server.
+ * The `state` must be one issued by GET /auth/github and not used before,
+ * which turns away forged and replayed callbacks. The redirect URI the
+ * login started with goes along with the code, and GitHub checks it matches.
  */
 app.post('/auth/github/callback', async (req, res) => {
-    const { code } = req.body
+    const { code, state } = req.body
 
     if (!code) {
         return res.status(400).json({ error: 'Authorization code is required' })
     }
 
-    const clientId = process.env.GITHUB_CLIENT_ID
-    const clientSecret = process.env.GITHUB_CLIENT_SECRET
+    const login = consumeState(state)
+    if (!login) {
+        console.warn('[Auth] Rejected callback with an unknown, expired or reused state')
+        return res.status(400).json({
+            error: 'This sign-in link is invalid, expired or was already used. Please sign in again.',
+            code: 'invalid_state'
+        })
+    }
+
+    const { clientId, clientSecret } = config.github
 
     if (!clientId || !clientSecret) {
         return res.status(500).json({
@@ -104,7 +291,8 @@ app.post('/auth/github/callback', async (req, res) => {
             body: JSON.stringify({
                 client_id: clientId,
                 client_secret: clientSecret,
-                code: code
+                code: code,
+                ...(login.redirectUri && { redirect_uri: login.redirectUri })
             })
         })
 
@@ -117,28 +305,7 @@ app.post('/auth/github/callback', async (req, res) => {
             })
         }
 
-        // Fetch user info to return with the token
-        const userResponse = await fetch('https://api.github.com/user', {
-            headers: {
-                'Authorization': `Bearer ${tokenData.access_token}`,
-                'Accept': 'application/vnd.github.v3+json'
-            }
-        })
-
-        const userData = await userResponse.json()
-
-        // Return both token and user info
-        res.json({
-            access_token: tokenData.access_token,
-            token_type: tokenData.token_type,
-            scope: tokenData.scope,
-            user: {
-                id: userData.id,
-                login: userData.login,
-                name: userData.name,
-                avatar_url: userData.avatar_url
-            }
-        })
+        await signIn(req, res, tokenData.access_token, tokenData.scope)
 
     } catch (error) {
         console.error('OAuth callback error:', error)
@@ -147,22 +314,83 @@ app.post('/auth/github/callback', async (req, res) => {
 })
 
 /**
- * GET /auth/verify
- * Verifies if an access token is still valid
+ * POST /auth/device
+ * Starts a device-flow sign-in (see deviceFlow.js): returns the code for
+ * the user to enter at `verification_uri`, and the `id` to poll with
+ *
+ * No redirect URI is involved, so this works from any origin the server
+ * allows - e.g. the app opened via a LAN IP on a phone. Takes the same
+ * optional `scope` as GET /auth/github, in the JSON body.
  */
-app.get('/auth/verify', async (req, res) => {
-    const authHeader = req.headers.authorization
+app.post('/auth/device', async (req, res) => {
+    const { clientId } = config.github
+    if (!clientId) {
+        return res.status(500).json({ error: 'Server configuration error: GITHUB_CLIENT_ID not set' })
+    }
+
+    const scope = scopeFor(req.body?.scope)
+    if (!scope) {
+        return res.status(400).json({ error: `Only these extra scopes can be requested: ${OPTIONAL_SCOPES.join(', ')}` })
+    }
+
+    try {
+        const login = await startDeviceLogin(clientId, scope)
+        console.log('[Auth] Device sign-in started')
+        res.json(login)
+    } catch (error) {
+        console.error('[Auth] Device sign-in could not start:', error.message)
+        res.status(502).json({
+            error: error instanceof DeviceFlowError
+                ? `GitHub refused to start a sign-in with a code: ${error.message}`
+                : 'Failed to reach GitHub'
+        })
+    }
+})
+
+/**
+ * POST /auth/device/poll
+ * Checks whether the user has entered and approved their code
+ *
+ * Answers { status: 'pending', interval } until they have, then starts the
+ * session like the redirect callback does and answers { user }.
+ * Expired or denied logins answer 400 with a `code`.
+ */
+app.post('/auth/device/poll', async (req, res) => {
+    try {
+        const result = await pollDeviceLogin(config.github.clientId, req.body?.id)
+
+        if (result.status === 'pending') {
+            return res.json({ status: 'pending', interval: result.interval })
+        }
+        if (result.status === 'failed') {
+            return res.status(400).json({ error: result.error, code: result.code })
+        }
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({ valid: false, error: 'No token provided' })
+        await signIn(req, res, result.token, result.scope)
+    } catch (error) {
+        console.error('[Auth] Device sign-in poll failed:', error.message)
+        res.status(502).json({ error: 'Failed to reach GitHub' })
     }
+})
 
-    const token = authHeader.split(' ')[1]
+/**
+ * GET /auth/verify
+ * Checks the session's token is still valid and returns the user and the
+ * scopes the token has
+ *
+ * A token GitHub rejects ends the session. If GitHub can't be reached the
+ * user from the session is returned, so a GitHub outage doesn't sign
+ * anyone out.
+ */
+app.get('/auth/verify', async (req, res) => {
+    if (!req.session) {
+        return res.json({ valid: false, error: 'Not signed in' })
+    }
 
     try {
         const response = await fetch('https://api.github.com/user', {
             headers: {
-                'Authorization': `Bearer ${token}`,
+                'Authorization': `Bearer ${req.session.token}`,
                 'Accept': 'application/vnd.github.v3+json'
             }
         })
@@ -176,14 +404,57 @@ app.get('/auth/verify', async (req, res) => {
                     login: user.login,
                     name: user.name,
                     avatar_url: user.avatar_url
-                }
+                },
+                scopes: parseScopes(response.headers.get('x-oauth-scopes') ?? req.session.scopes.join(','))
             })
-        } else {
+        } else if (response.status === 401) {
+            endSession(req, res)
             res.json({ valid: false, error: 'Token expired or invalid' })
+        } else {
+            res.json({ valid: true, user: req.session.user, scopes: req.session.scopes })
+        }
+    } catch (error) {
+        console.error('[Auth] Could not verify session:', error.message)
+        res.json({ valid: true, user: req.session.user, scopes: req.session.scopes })
+    }
+})
+
+/**
+ * POST /auth/logout
+ * Ends the session and revokes the app's grant on GitHub, so the token
+ * (and any other token this app holds for the user) stops working
+ */
+app.post('/auth/logout', async (req, res) => {
+    const session = endSession(req, res)
+    if (!session) {
+        return res.json({ ok: true })
+    }
+
+    const { clientId, clientSecret } = config.github
+
+    try {
+        // https://docs.github.com/en/rest/apps/oauth-applications#delete-an-app-authorization
+        const response = await fetch(`https://api.github.com/applications/${clientId}/grant`, {
+            method: 'DELETE',
+            headers: {
+                'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`,
+                'Accept': 'application/vnd.github.v3+json',
+                'User-Agent': 'psakhno-auth-server'
+            },
+            body: JSON.stringify({ access_token: session.token })
+        })
+
+        // 404: already revoked on GitHub's side
+        if (!response.ok && response.status !== 404) {
+            console.error(`[Auth] Revoking grant for ${session.user.login} failed with ${response.status}`)
         }
+        console.log(`[Auth] Signed out ${session.user.login}`)
     } catch (error) {
-        res.status(500).json({ valid: false, error: 'Failed to verify token' })
+        console.error('[Auth] Could not revoke grant:', error.message)
     }
+
+    // The session is gone either way
+    res.json({ ok: true })
 })
 
 /**
@@ -194,7 +465,9 @@ app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
         timestamp: new Date().toISOString(),
-        github_configured: !!(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET)
+        mode: config.mode,
+        github_configured: !!(config.github.clientId && config.github.clientSecret),
+        proxy_token_configured: !!process.env.GITHUB_TOKEN
     })
 })
 
@@ -202,19 +475,49 @@ app.get('/health', (req, res) => {
 // START SERVER
 // ==============================================
 
-app.listen(PORT, () => {
+app.listen(config.port, () => {
     console.log(`
-🚀 PSAKHNO Auth Server running on port ${PORT}
+🚀 PSAKHNO Auth Server running on port ${config.port} (${config.mode})
 
 Endpoints:
   GET  /health              - Health check
   GET  /auth/github         - Get GitHub OAuth URL
-  POST /auth/github/callback - Exchange code for token
-  GET  /auth/verify         - Verify access token
+  POST /auth/github/callback - Exchange code for a session
+  POST /auth/device         - Start a sign-in with a code (device flow)
+  POST /auth/device/poll    - Check a device sign-in, start its session
+  GET  /auth/verify         - Verify the session
+  POST /auth/logout         - End the session and revoke the GitHub grant
+  GET  /api/search/issues   - Cached issue search
+  GET  /api/search/repositories - Cached repository search
+  GET  /api/repos/:owner/:repo  - Cached repository lookup
+  GET  /api/github/*        - GitHub API as the signed-in user
+  POST /api/github/graphql  - GitHub GraphQL API as the signed-in user
+  PUT|DELETE /api/github/user/starred/:owner/:repo - Star / unstar (public_repo)
+  PUT|DELETE /api/github/repos/:owner/:repo/subscription - Watch / unwatch (public_repo)
+  POST /api/github/repos/:owner/:repo/issues/:number/comments - Comment (public_repo)
+  GET  /saved               - Saved issues of the signed-in user
+  PUT  /saved               - Sync saved issues
+  GET  /presets             - Saved searches of the signed-in user
+  PUT  /presets             - Sync saved searches
+  GET  /feeds/issues.atom   - Atom feed of an issue search
+  GET  /feeds/issues.json   - JSON Feed of an issue search
+  GET  /trending            - Repositories ranked by stars gained
+  GET  /achievements/:login - Achievements and streaks of a GitHub user
+  GET  /achievements/:login/badge.svg - Shareable README badge
+
+Allowed origins:       ${config.allowedOrigins.join(', ')}
+Allowed redirect URIs: ${config.allowedRedirectUris.join(', ')}
 
 Make sure you have set:
-  - GITHUB_CLIENT_ID
-  - GITHUB_CLIENT_SECRET
-  - FRONTEND_URL (default: http://localhost:5174)
+  - GITHUB_CLIENT_ID${config.github.clientId ? '' : ' (missing - sign-in won\'t work)'}
+  - GITHUB_CLIENT_SECRET${config.github.clientSecret ? '' : ' (missing - sign-in won\'t work)'}
+  - GITHUB_TOKEN (optional, used for proxied requests from signed-out visitors)
+  - ALLOWED_ORIGINS / ALLOWED_REDIRECT_URIS / NODE_ENV / PORT (see config.js)
+  - SESSION_TTL_DAYS (optional, idle days before a session expires; default: 30)
+  - DATA_DIR (optional, where saved data is kept; default: server/data)
+  - TRENDING_INTERVAL_HOURS (optional, time between star snapshots; default: 6)
   `)
+
+    // Start collecting star history for /trending
+    trending.startTrendingJob()
 })
@@ -0,0 +1,65 @@
+/**
+ * OAuth State
+ *
+ * The `state` parameter that ties a GitHub callback to a login this server
+ * started. Every login gets a fresh random value, which the frontend keeps
+ * in sessionStorage and GitHub hands back with the code:
+ * - a callback whose state the frontend didn't store is a forged request (CSRF)
+ * - a callback whose state this server didn't issue, or already used, is
+ *   rejected here, so a leaked or replayed callback URL is worthless
+ *
+ * Each state also remembers the redirect URI its login was started with,
+ * which GitHub wants to see again when the code is exchanged.
+ *
+ * States live in memory only; a login in progress when the server restarts
+ * simply has to be started again.
+ */
+
+const crypto = require('crypto')
+
+// How long the user has to finish signing in on GitHub
+const STATE_TTL_MS = 10 * 60 * 1000
+
+// Upper bound on logins in progress, so the map can't be grown without limit
+const MAX_PENDING = 10000
+
+// state -> { expiresAt, redirectUri }
+const pending = new Map()
+
+function pruneExpired(now) {
+    for (const [state, { expiresAt }] of pending) {
+        if (expiresAt <= now) pending.delete(state)
+    }
+    // Oldest first (Map keeps insertion order)
+    while (pending.size >= MAX_PENDING) {
+        pending.delete(pending.keys().next().value)
+    }
+}
+
+/**
+ * A new single-use state value for one login, sent back to `redirectUri`
+ * (null when GitHub should use the OAuth app's default callback URL)
+ */
+function issueState(redirectUri = null) {
+    const now = Date.now()
+    pruneExpired(now)
+
+    const state = crypto.randomBytes(32).toString('hex')
+    pending.set(state, { expiresAt: now + STATE_TTL_MS, redirectUri })
+    return state
+}
+
+/**
+ * Check and use up a state value
+ * Returns { redirectUri } only the first time a state this server issued
+ * comes back, within the TTL; null otherwise.
+ */
+function consumeState(state) {
+    if (typeof state !== 'string' || !pending.has(state)) return null
+
+    const { expiresAt, redirectUri } = pending.get(state)
+    pending.delete(state)
+    return expiresAt > Date.now() ? { redirectUri } : null
+}
+
+module.exports = { issueState, consumeState }
@@ -0,0 +1,69 @@
+/**
+ * Search Presets Sync
+ *
+ * Keeps each signed-in user's saved searches (named combinations of the
+ * issue filters) on the server, so they follow the user across devices.
+ * Synced like saved issues (see syncedList.js): the frontend pushes its
+ * localStorage copy, the newest copy of each preset wins, and removals are
+ * kept as tombstones for a while.
+ *
+ * Routes (all need a signed-in session):
+ *   GET /presets  -> { presets }
+ *   PUT /presets  -> merge { presets } into the stored list, returns the merged { presets }
+ */
+
+const { createSyncedListRouter } = require('./syncedList')
+
+const MAX_PRESETS = 100
+const MAX_LIST_LENGTH = 20
+const SORTS = ['created', 'updated', 'comments', 'reactions', 'responsive']
+
+const text = (value, max = 200) => (typeof value === 'string' ? value.slice(0, max) : '')
+
+const textList = (value) => (Array.isArray(value)
+    ? value.filter(item => typeof item === 'string').slice(0, MAX_LIST_LENGTH).map(item => item.slice(0, 100))
+    : [])
+
+/**
+ * Keep only the filters the issue search knows about, with sane types
+ */
+function sanitizeFilters(filters = {}) {
+    return {
+        searchQuery: text(filters.searchQuery),
+        language: text(filters.language, 50),
+        sortBy: SORTS.includes(filters.sortBy) ? filters.sortBy : 'created',
+        selectedLabels: textList(filters.selectedLabels),
+        selectedCategories: textList(filters.selectedCategories),
+        popularity: text(filters.popularity, 50),
+        unassignedOnly: filters.unassignedOnly === true,
+        noLinkedPR: filters.noLinkedPR === true
+    }
+}
+
+/**
+ * Returns null for anything that isn't a usable preset
+ */
+function sanitizePreset(preset) {
+    if (!preset || typeof preset.id !== 'string' || !text(preset.name).trim()) return null
+
+    return {
+        id: text(preset.id, 100),
+        name: text(preset.name, 100).trim(),
+        filters: sanitizeFilters(preset.filters),
+        createdAt: Number(preset.createdAt) || Date.now(),
+        updatedAt: Number(preset.updatedAt) || Date.now(),
+        deleted: preset.deleted === true
+    }
+}
+
+module.exports = createSyncedListRouter({
+    storeName: 'presets',
+    field: 'presets',
+    key: 'id',
+    sanitize: sanitizePreset,
+    // In the order they were made
+    compare: (a, b) => a.createdAt - b.createdAt,
+    limit: MAX_PRESETS,
+    limitMessage: `You can keep up to ${MAX_PRESETS} saved searches`,
+    logTag: 'Presets'
+})
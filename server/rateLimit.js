@@ -0,0 +1,42 @@
+/**
+ * Rate Limit
+ *
+ * Sliding-window limit on how often something expensive may happen, e.g.
+ * how many uncached users the achievements routes look up per minute, so
+ * they can't eat the search budget the issue proxy shares.
+ *
+ * Usage:
+ *   const limit = createRateLimit({ limit: 5, windowMs: 60_000 })
+ *   if (!limit.take()) res.set('Retry-After', limit.retryAfter()).status(429)
+ */
+
+function createRateLimit({ limit, windowMs }) {
+    // Times of the uses still inside the window, oldest first
+    const uses = []
+
+    function prune(now) {
+        while (uses.length > 0 && uses[0] <= now - windowMs) uses.shift()
+    }
+
+    /**
+     * Use one slot if there's one free - returns whether there was
+     */
+    function take(now = Date.now()) {
+        prune(now)
+        if (uses.length >= limit) return false
+        uses.push(now)
+        return true
+    }
+
+    /**
+     * Seconds until the next slot frees up (0 if one is free now)
+     */
+    function retryAfter(now = Date.now()) {
+        prune(now)
+        return uses.length < limit ? 0 : Math.ceil((uses[0] + windowMs - now) / 1000)
+    }
+
+    return { take, retryAfter }
+}
+
+module.exports = { createRateLimit }
@@ -0,0 +1,57 @@
+/**
+ * Saved Issues Sync
+ *
+ * Keeps each signed-in user's saved issues and repositories (with their
+ * status and notes) on the server, so they follow the user across devices.
+ * Synced like every per-user list (see syncedList.js): the frontend pushes
+ * its localStorage copy, the newest copy of each item wins, and removed
+ * items are kept as tombstones for a while.
+ *
+ * Routes (all need a signed-in session):
+ *   GET /saved  -> { items }
+ *   PUT /saved  -> merge { items } into the stored list, returns the merged { items }
+ */
+
+const { createSyncedListRouter } = require('./syncedList')
+
+const MAX_ITEMS = 500
+const MAX_NOTES_LENGTH = 5000
+const STATUSES = ['interested', 'working', 'pr-opened', 'done']
+
+const text = (value, max = 500) => (typeof value === 'string' ? value.slice(0, max) : '')
+
+/**
+ * Keep only the fields we know about, with sane types
+ * Returns null for anything that isn't a usable item.
+ */
+function sanitizeItem(item) {
+    if (!item || typeof item.key !== 'string' || !['issue', 'repo'].includes(item.type)) return null
+
+    return {
+        key: text(item.key, 300),
+        type: item.type,
+        title: text(item.title),
+        url: text(item.url),
+        repo: text(item.repo, 200),
+        number: Number.isInteger(item.number) ? item.number : null,
+        description: text(item.description),
+        language: text(item.language, 50),
+        status: STATUSES.includes(item.status) ? item.status : 'interested',
+        notes: text(item.notes, MAX_NOTES_LENGTH),
+        savedAt: Number(item.savedAt) || Date.now(),
+        updatedAt: Number(item.updatedAt) || Date.now(),
+        deleted: item.deleted === true
+    }
+}
+
+module.exports = createSyncedListRouter({
+    storeName: 'saved-items',
+    field: 'items',
+    key: 'key',
+    sanitize: sanitizeItem,
+    // Most recently saved first
+    compare: (a, b) => b.savedAt - a.savedAt,
+    limit: MAX_ITEMS,
+    limitMessage: `You can save up to ${MAX_ITEMS} items`,
+    logTag: 'Saved'
+})
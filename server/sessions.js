@@ -0,0 +1,132 @@
+/**
+ * Sessions
+ *
+ * Signed-in users get an httpOnly cookie holding a random session id; the
+ * GitHub access token stays here on the server, next to the session. The
+ * browser never sees the token, so a script injected into the page can't
+ * steal it - GitHub calls that need it go through this server instead
+ * (see githubProxy.js).
+ *
+ * Sessions are kept under a hash of their id (like tokens in auth.js), in
+ * a JSON store so a restart doesn't sign everyone out, and expire after
+ * SESSION_TTL_DAYS without use.
+ *
+ * Usage:
+ *   app.use(loadSession)                 // sets req.session ({ token, user, scopes }) or null
+ *   startSession(res, token, user, scopes) // on sign-in
+ *   endSession(req, res)                 // on sign-out
+ *
+ * Environment:
+ *   SESSION_TTL_DAYS - idle days before a session expires (default: 30)
+ *
+ * In production (see config.js) the cookie is Secure and SameSite=None,
+ * for a frontend served from another site than this server.
+ */
+
+const crypto = require('crypto')
+const { createStore } = require('./store')
+const { getConfig } = require('./config')
+
+const store = createStore('sessions')
+
+const COOKIE_NAME = 'psakhno_session'
+const DAY_MS = 24 * 60 * 60 * 1000
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_DAYS) || 30) * DAY_MS
+
+// How stale lastSeenAt may get before a request writes it back, so
+// browsing doesn't rewrite the store on every request
+const TOUCH_INTERVAL_MS = 60 * 60 * 1000
+
+const hashId = (id) => crypto.createHash('sha256').update(id).digest('hex')
+
+/**
+ * Cookie attributes - cross-site in production (the frontend and this
+ * server live on different domains), same-site on localhost
+ */
+function cookieOptions() {
+    const { production } = getConfig()
+    return {
+        httpOnly: true,
+        secure: production,
+        sameSite: production ? 'none' : 'lax',
+        path: '/'
+    }
+}
+
+/**
+ * The session id from the request's Cookie header, if it has one
+ */
+function readSessionId(req) {
+    const header = req.headers.cookie || ''
+    for (const part of header.split(';')) {
+        const [name, ...value] = part.trim().split('=')
+        if (name === COOKIE_NAME) return decodeURIComponent(value.join('='))
+    }
+    return null
+}
+
+/**
+ * Express middleware: sets req.session to { token, user, scopes } for a
+ * live session, or null
+ */
+function loadSession(req, res, next) {
+    req.session = null
+
+    const id = readSessionId(req)
+    if (!id) return next()
+
+    const key = hashId(id)
+    const session = store.get(key)
+    const now = Date.now()
+
+    if (!session || now - session.lastSeenAt > SESSION_TTL_MS) {
+        if (session) store.delete(key)
+        res.clearCookie(COOKIE_NAME, cookieOptions())
+        return next()
+    }
+
+    if (now - session.lastSeenAt > TOUCH_INTERVAL_MS) {
+        store.set(key, { ...session, lastSeenAt: now })
+    }
+
+    req.session = { key, token: session.token, user: session.user, scopes: session.scopes || [] }
+    next()
+}
+
+/**
+ * Create a session for a freshly signed-in user and set its cookie
+ * `scopes` are the OAuth scopes GitHub granted the token.
+ */
+function startSession(res, token, user, scopes = []) {
+    const id = crypto.randomBytes(32).toString('hex')
+    const now = Date.now()
+
+    store.set(hashId(id), { token, user, scopes, createdAt: now, lastSeenAt: now })
+    res.cookie(COOKIE_NAME, id, { ...cookieOptions(), maxAge: SESSION_TTL_MS })
+}
+
+/**
+ * Forget the request's session (if any) and clear its cookie
+ * Returns the ended session, so its token can still be revoked.
+ */
+function endSession(req, res) {
+    const session = req.session
+    if (session) store.delete(session.key)
+    res.clearCookie(COOKIE_NAME, cookieOptions())
+    return session
+}
+
+/**
+ * Drop expired sessions - run now and then so abandoned ones don't pile up
+ */
+function pruneSessions() {
+    const cutoff = Date.now() - SESSION_TTL_MS
+    store.keys().forEach(key => {
+        if (store.get(key).lastSeenAt < cutoff) store.delete(key)
+    })
+}
+
+pruneSessions()
+setInterval(pruneSessions, DAY_MS).unref()
+
+module.exports = { loadSession, startSession, endSession }
@@ -0,0 +1,82 @@
+/**
+ * JSON File Store
+ *
+ * Minimal persistence for the few things the server keeps between restarts
+ * (saved issues, ...). Each store is a single JSON object in
+ * DATA_DIR/<name>.json (default: server/data), loaded on first use and
+ * written back shortly after every change.
+ *
+ * Writes go to a temporary file that is then renamed into place, so a crash
+ * mid-write never leaves a half-written store behind.
+ *
+ * Usage:
+ *   const store = createStore('saved-items')
+ *   store.set('12345', [...])
+ *   store.get('12345')
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data')
+
+// Batch bursts of changes into one write
+const WRITE_DELAY_MS = 500
+
+function createStore(name) {
+    const file = path.join(DATA_DIR, `${name}.json`)
+    let data = null
+    let writeTimer = null
+
+    function load() {
+        if (data) return data
+
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'))
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`[Store] Could not read ${file}, starting empty:`, error.message)
+            }
+            data = {}
+        }
+        return data
+    }
+
+    function flush() {
+        clearTimeout(writeTimer)
+        writeTimer = null
+
+        try {
+            fs.mkdirSync(DATA_DIR, { recursive: true })
+            const tmpFile = `${file}.tmp`
+            fs.writeFileSync(tmpFile, JSON.stringify(data))
+            fs.renameSync(tmpFile, file)
+        } catch (error) {
+            console.error(`[Store] Could not write ${file}:`, error.message)
+        }
+    }
+
+    function scheduleWrite() {
+        if (!writeTimer) writeTimer = setTimeout(flush, WRITE_DELAY_MS)
+    }
+
+    return {
+        get(key) {
+            return load()[key]
+        },
+        set(key, value) {
+            load()[key] = value
+            scheduleWrite()
+        },
+        delete(key) {
+            delete load()[key]
+            scheduleWrite()
+        },
+        keys() {
+            return Object.keys(load())
+        },
+        flush
+    }
+}
+
+module.exports = { createStore }
@@ -0,0 +1,65 @@
+/**
+ * Synced Lists
+ *
+ * Per-user lists the frontend keeps in localStorage and syncs here so they
+ * follow the user across devices - saved issues (savedItems.js) and saved
+ * searches (presets.js). The frontend pushes its whole copy; both sides
+ * merge entry by entry, keeping whichever copy was updated last, with
+ * tombstones for removed entries (see shared/syncedList.js).
+ *
+ * Usage:
+ *   module.exports = createSyncedListRouter({
+ *       storeName: 'saved-items', field: 'items', key: 'key',
+ *       sanitize: sanitizeItem, compare: (a, b) => b.savedAt - a.savedAt,
+ *       limit: 500, limitMessage: 'You can save up to 500 items', logTag: 'Saved'
+ *   })
+ *
+ * Routes (all need a signed-in session):
+ *   GET /  -> { [field] }
+ *   PUT /  -> merge { [field] } into the stored list, returns the merged { [field] }
+ */
+
+const express = require('express')
+const { requireUser } = require('./auth')
+const { createStore } = require('./store')
+
+// Merging is shared with the app (ES module, hence the dynamic import)
+const syncedList = import('../shared/syncedList.js')
+
+/**
+ * Router for one kind of synced list
+ * `sanitize` returns a clean entry, or null for anything unusable;
+ * `limit` caps the entries that aren't removed.
+ */
+function createSyncedListRouter({ storeName, field, key, sanitize, compare, limit, limitMessage, logTag }) {
+    const store = createStore(storeName)
+    const router = express.Router()
+
+    router.use(requireUser)
+
+    router.get('/', (req, res) => {
+        res.json({ [field]: store.get(req.user.id) || [] })
+    })
+
+    router.put('/', async (req, res) => {
+        if (!Array.isArray(req.body?.[field])) {
+            return res.status(400).json({ error: `Expected { ${field}: [...] }` })
+        }
+
+        const { mergeSyncedLists } = await syncedList
+        const incoming = req.body[field].map(sanitize).filter(Boolean)
+        const merged = mergeSyncedLists(store.get(req.user.id) || [], incoming, { key, compare })
+
+        if (merged.filter(entry => !entry.deleted).length > limit) {
+            return res.status(413).json({ error: limitMessage })
+        }
+
+        store.set(req.user.id, merged)
+        console.log(`[${logTag}] ${req.user.login}: ${merged.length} ${field}`)
+        res.json({ [field]: merged })
+    })
+
+    return router
+}
+
+module.exports = { createSyncedListRouter }
@@ -0,0 +1,81 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { computeAchievements, contributionStreak } = require('../achievements')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const WEEK_MS = 7 * DAY_MS
+// A Wednesday
+const NOW = Date.UTC(2025, 0, 15, 12)
+
+test('counts consecutive weeks with a pull request', () => {
+    assert.deepEqual(contributionStreak([NOW, NOW - WEEK_MS, NOW - 2 * WEEK_MS, NOW - 2 * WEEK_MS - DAY_MS], NOW), { current: 3, longest: 3 })
+})
+
+test('a streak stays current through the week after the last pull request', () => {
+    assert.deepEqual(contributionStreak([NOW - WEEK_MS], NOW), { current: 1, longest: 1 })
+    assert.deepEqual(contributionStreak([NOW - 2 * WEEK_MS], NOW), { current: 0, longest: 1 })
+})
+
+test('remembers the longest streak after a gap', () => {
+    const old = [10, 9, 8, 7].map(weeks => NOW - weeks * WEEK_MS)
+    assert.deepEqual(contributionStreak([...old, NOW], NOW), { current: 1, longest: 4 })
+    assert.deepEqual(contributionStreak([], NOW), { current: 0, longest: 0 })
+})
+
+const pullRequest = (repo, createdAt) => ({
+    created_at: new Date(createdAt).toISOString(),
+    repository_url: `https://api.github.com/repos/${repo}`
+})
+
+const earned = (result) => result.achievements.filter(achievement => achievement.earned).map(achievement => achievement.id)
+
+test('awards nothing to someone without pull requests', () => {
+    const result = computeAchievements({
+        pullRequests: [],
+        totals: { pullRequests: 0, merged: 0 },
+        firstPullRequest: null,
+        firstMerged: null,
+        languages: {}
+    }, NOW)
+
+    assert.deepEqual(earned(result), [])
+    assert.deepEqual(result.stats, { pullRequests: 0, merged: 0, repos: 0, languages: [] })
+})
+
+test('awards achievements from the pull requests and totals', () => {
+    const repos = ['a/one', 'b/two', 'c/three', 'd/four', 'e/five']
+    const pullRequests = repos.map((repo, i) => pullRequest(repo, NOW - i * WEEK_MS))
+    // Four in October 2024
+    pullRequests.push(...[1, 2, 3, 4].map(day => pullRequest('a/one', Date.UTC(2024, 9, day))))
+
+    const result = computeAchievements({
+        pullRequests,
+        totals: { pullRequests: 9, merged: 5 },
+        firstPullRequest: pullRequests[pullRequests.length - 1],
+        firstMerged: { pull_request: { merged_at: '2024-10-05T00:00:00Z' } },
+        languages: { 'a/one': 'Rust', 'b/two': 'Go', 'c/three': 'Rust', 'd/four': 'Python' }
+    }, NOW)
+
+    assert.deepEqual(earned(result), ['first-pr', 'first-merge', 'five-merged', 'explorer', 'polyglot', 'streak-4', 'hacktoberfest'])
+    assert.deepEqual(result.streak, { current: 5, longest: 5 })
+    assert.deepEqual(result.stats.languages, ['Rust', 'Go', 'Python'])
+
+    const byId = Object.fromEntries(result.achievements.map(achievement => [achievement.id, achievement]))
+    assert.equal(byId['first-merge'].earnedAt, '2024-10-05T00:00:00Z')
+    assert.equal(byId.hacktoberfest.detail, 'Completed in 2024')
+})
+
+test('shows progress towards achievements not earned yet', () => {
+    const result = computeAchievements({
+        pullRequests: [pullRequest('a/one', NOW)],
+        totals: { pullRequests: 1, merged: 2 },
+        firstPullRequest: null,
+        firstMerged: null,
+        languages: {}
+    }, NOW)
+
+    const byId = Object.fromEntries(result.achievements.map(achievement => [achievement.id, achievement]))
+    assert.deepEqual(byId['five-merged'].progress, [2, 5])
+    assert.deepEqual(byId.explorer.progress, [1, 5])
+    assert.deepEqual(byId['streak-4'].progress, [1, 4])
+})
@@ -0,0 +1,62 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { createCache } = require('../cache')
+
+// A loader that counts its calls and returns the next value each time
+function countingLoader(cacheable = true) {
+    const loader = async () => {
+        loader.calls++
+        return { value: `value ${loader.calls}`, cacheable }
+    }
+    loader.calls = 0
+    return loader
+}
+
+test('serves a fresh entry without loading it again', async () => {
+    const cache = createCache({ ttl: 60_000 })
+    const loader = countingLoader()
+
+    assert.deepEqual(await cache.get('key', loader), { value: 'value 1', status: 'MISS' })
+    assert.deepEqual(await cache.get('key', loader), { value: 'value 1', status: 'HIT' })
+    assert.equal(loader.calls, 1)
+})
+
+test('does not store uncacheable responses', async () => {
+    const cache = createCache({ ttl: 60_000 })
+    const loader = countingLoader(false)
+
+    await cache.get('key', loader)
+    assert.deepEqual(await cache.get('key', loader), { value: 'value 2', status: 'MISS' })
+    assert.equal(cache.size(), 0)
+})
+
+test('serves a stale entry while refreshing it in the background', async () => {
+    const cache = createCache({ ttl: 0, staleTtl: 60_000 })
+    const loader = countingLoader()
+
+    await cache.get('key', loader)
+    assert.deepEqual(await cache.get('key', loader), { value: 'value 1', status: 'STALE' })
+
+    // Let the background refresh settle
+    await new Promise(resolve => setImmediate(resolve))
+    assert.equal(loader.calls, 2)
+    assert.equal((await cache.get('key', loader)).value, 'value 2')
+})
+
+test('shares one load between concurrent requests for a key', async () => {
+    const cache = createCache({ ttl: 60_000 })
+    const loader = countingLoader()
+
+    const results = await Promise.all([cache.get('key', loader), cache.get('key', loader)])
+    assert.equal(loader.calls, 1)
+    assert.deepEqual(results.map(result => result.value), ['value 1', 'value 1'])
+})
+
+test('evicts the least recently stored entries beyond maxEntries', async () => {
+    const cache = createCache({ ttl: 60_000, maxEntries: 2 })
+
+    for (const key of ['a', 'b', 'c']) await cache.get(key, countingLoader())
+    assert.equal(cache.size(), 2)
+    assert.equal((await cache.get('a', countingLoader())).status, 'MISS')
+    assert.equal((await cache.get('c', countingLoader())).status, 'HIT')
+})
@@ -0,0 +1,79 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { loadConfig, ConfigError } = require('../config')
+
+const PRODUCTION = {
+    NODE_ENV: 'production',
+    ALLOWED_ORIGINS: 'https://psankho.vercel.app',
+    GITHUB_CLIENT_ID: 'client-id',
+    GITHUB_CLIENT_SECRET: 'client-secret'
+}
+
+// The problems a ConfigError lists for `env`
+function problemsWith(env) {
+    try {
+        loadConfig(env)
+    } catch (error) {
+        assert.ok(error instanceof ConfigError)
+        return error.problems
+    }
+    assert.fail('expected a ConfigError')
+}
+
+test('defaults to development on localhost', () => {
+    const config = loadConfig({})
+
+    assert.equal(config.mode, 'development')
+    assert.equal(config.production, false)
+    assert.equal(config.port, 3002)
+    assert.deepEqual(config.allowedOrigins, ['http://localhost:5173', 'http://localhost:5174'])
+    assert.deepEqual(config.allowedRedirectUris, ['http://localhost:5173/', 'http://localhost:5174/'])
+    assert.deepEqual(config.github, { clientId: null, clientSecret: null })
+})
+
+test('accepts a complete production configuration', () => {
+    const config = loadConfig(PRODUCTION)
+
+    assert.equal(config.production, true)
+    assert.deepEqual(config.allowedOrigins, ['https://psankho.vercel.app'])
+    assert.deepEqual(config.allowedRedirectUris, ['https://psankho.vercel.app/'])
+    assert.ok(Object.isFrozen(config) && Object.isFrozen(config.github))
+})
+
+test('requires the OAuth app credentials in production', () => {
+    for (const missing of ['GITHUB_CLIENT_ID', 'GITHUB_CLIENT_SECRET']) {
+        const env = { ...PRODUCTION, [missing]: '' }
+        assert.deepEqual(problemsWith(env), ['GITHUB_CLIENT_ID and GITHUB_CLIENT_SECRET: required in production'])
+    }
+})
+
+test('requires https:// origins in production', () => {
+    assert.match(problemsWith({ ...PRODUCTION, ALLOWED_ORIGINS: undefined })[0], /^ALLOWED_ORIGINS: required in production/)
+    assert.match(problemsWith({ ...PRODUCTION, ALLOWED_ORIGINS: 'http://psankho.vercel.app' })[0], /must use https:\/\/ in production/)
+    assert.match(problemsWith({ ...PRODUCTION, ALLOWED_REDIRECT_URIS: 'http://psankho.vercel.app/' })[0], /must use https:\/\/ in production/)
+})
+
+test('normalises origins and rejects anything but a bare origin', () => {
+    const config = loadConfig({ ALLOWED_ORIGINS: ' https://A.example.com/ , http://192.168.1.20:5173 ' })
+    assert.deepEqual(config.allowedOrigins, ['https://a.example.com', 'http://192.168.1.20:5173'])
+
+    assert.match(problemsWith({ ALLOWED_ORIGINS: 'https://a.example.com/app' })[0], /must be an origin only/)
+    assert.match(problemsWith({ ALLOWED_ORIGINS: 'not a url' })[0], /is not a valid URL/)
+    assert.match(problemsWith({ ALLOWED_ORIGINS: 'ftp://a.example.com' })[0], /must use http:\/\/ or https:\/\//)
+})
+
+test('keeps redirect URI paths but not fragments', () => {
+    const config = loadConfig({ ALLOWED_REDIRECT_URIS: 'http://localhost:5173/callback' })
+    assert.deepEqual(config.allowedRedirectUris, ['http://localhost:5173/callback'])
+
+    assert.match(problemsWith({ ALLOWED_REDIRECT_URIS: 'http://localhost:5173/#done' })[0], /must not contain a #fragment/)
+})
+
+test('reports every problem at once', () => {
+    const problems = problemsWith({ NODE_ENV: 'staging', PORT: '70000', ALLOWED_ORIGINS: 'nope' })
+
+    assert.equal(problems.length, 3)
+    assert.match(problems[0], /^NODE_ENV/)
+    assert.match(problems[1], /^PORT/)
+    assert.match(problems[2], /^ALLOWED_ORIGINS/)
+})
@@ -0,0 +1,115 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { startDeviceLogin, pollDeviceLogin, DeviceFlowError } = require('../deviceFlow')
+
+// Stand-in for GitHub: answers each POST with the next queued reply and records the request
+function mockGitHub(t, replies) {
+    const requests = []
+    t.mock.method(globalThis, 'fetch', async (url, options) => {
+        requests.push({ url, body: JSON.parse(options.body) })
+        return new Response(JSON.stringify(replies.shift()))
+    })
+    return requests
+}
+
+const DEVICE_CODE = {
+    device_code: 'device-code',
+    user_code: 'ABCD-1234',
+    verification_uri: 'https://github.com/login/device',
+    expires_in: 900,
+    interval: 5
+}
+
+// Pretend `ms` has passed since the test started
+function advance(t, start, ms) {
+    if (Date.now.mock) Date.now.mock.mockImplementation(() => start + ms)
+    else t.mock.method(Date, 'now', () => start + ms)
+}
+
+test('hands out the user code but keeps the device code on the server', async (t) => {
+    const requests = mockGitHub(t, [DEVICE_CODE])
+    const login = await startDeviceLogin('client-id', 'read:user')
+
+    assert.deepEqual(requests[0].body, { client_id: 'client-id', scope: 'read:user' })
+    assert.match(login.id, /^[0-9a-f]{64}$/)
+    assert.equal(login.user_code, 'ABCD-1234')
+    assert.equal(login.interval, 5)
+    assert.ok(!JSON.stringify(login).includes('device-code'))
+})
+
+test('reports GitHub refusing to start a device login', async (t) => {
+    mockGitHub(t, [{ error: 'device_flow_disabled', error_description: 'Device Flow must be enabled' }])
+    await assert.rejects(startDeviceLogin('client-id', 'read:user'), DeviceFlowError)
+})
+
+test('polls until the user approves, then completes once', async (t) => {
+    const start = Date.now()
+    const requests = mockGitHub(t, [
+        DEVICE_CODE,
+        { error: 'authorization_pending' },
+        { access_token: 'token', scope: 'read:user' }
+    ])
+    advance(t, start, 0)
+    const { id } = await startDeviceLogin('client-id', 'read:user')
+
+    assert.deepEqual(await pollDeviceLogin('client-id', id), { status: 'pending', interval: 5 })
+    assert.equal(requests[1].body.device_code, 'device-code')
+
+    advance(t, start, 5000)
+    assert.deepEqual(await pollDeviceLogin('client-id', id), { status: 'complete', token: 'token', scope: 'read:user' })
+    assert.equal((await pollDeviceLogin('client-id', id)).code, 'expired_token')
+})
+
+test('answers polls that come too soon without asking GitHub', async (t) => {
+    const start = Date.now()
+    const requests = mockGitHub(t, [DEVICE_CODE, { error: 'authorization_pending' }])
+    advance(t, start, 0)
+    const { id } = await startDeviceLogin('client-id', 'read:user')
+
+    await pollDeviceLogin('client-id', id)
+    advance(t, start, 4999)
+    assert.deepEqual(await pollDeviceLogin('client-id', id), { status: 'pending', interval: 5 })
+    assert.equal(requests.length, 2)
+})
+
+test('slows down when GitHub asks it to', async (t) => {
+    const start = Date.now()
+    const requests = mockGitHub(t, [
+        DEVICE_CODE,
+        { error: 'slow_down', interval: 10 },
+        { error: 'slow_down' },
+        { error: 'authorization_pending' }
+    ])
+    advance(t, start, 0)
+    const { id } = await startDeviceLogin('client-id', 'read:user')
+
+    assert.deepEqual(await pollDeviceLogin('client-id', id), { status: 'pending', interval: 10 })
+
+    // Too soon for the new interval
+    advance(t, start, 9999)
+    await pollDeviceLogin('client-id', id)
+    assert.equal(requests.length, 2)
+
+    // Without an interval from GitHub, another 5 seconds are added
+    advance(t, start, 10000)
+    assert.deepEqual(await pollDeviceLogin('client-id', id), { status: 'pending', interval: 15 })
+    advance(t, start, 25000)
+    await pollDeviceLogin('client-id', id)
+    assert.equal(requests.length, 4)
+})
+
+test('fails for denied, expired and unknown logins', async (t) => {
+    const start = Date.now()
+    mockGitHub(t, [DEVICE_CODE, { error: 'access_denied' }, DEVICE_CODE])
+
+    advance(t, start, 0)
+    const denied = await startDeviceLogin('client-id', 'read:user')
+    assert.equal((await pollDeviceLogin('client-id', denied.id)).code, 'access_denied')
+
+    const expired = await startDeviceLogin('client-id', 'read:user')
+    advance(t, start, 900 * 1000)
+    assert.equal((await pollDeviceLogin('client-id', expired.id)).code, 'expired_token')
+
+    assert.equal((await pollDeviceLogin('client-id', 'unknown')).status, 'failed')
+    assert.equal((await pollDeviceLogin('client-id', { id: 'not a string' })).status, 'failed')
+})
@@ -0,0 +1,58 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { parseFilters } = require('../feeds')
+
+test('reads the app\'s filters from the query string', () => {
+    assert.deepEqual(parseFilters({
+        q: '  parser ',
+        language: 'rust',
+        labels: 'good first issue, help wanted,',
+        categories: 'docs OR documentation',
+        popularity: 'stars:>1000',
+        unassigned: '1',
+        nopr: '0'
+    }), {
+        searchQuery: 'parser',
+        language: 'rust',
+        popularity: 'stars:>1000',
+        unassignedOnly: true,
+        noLinkedPR: false,
+        selectedLabels: ['good first issue', 'help wanted'],
+        selectedCategories: ['docs OR documentation']
+    })
+})
+
+test('every filter is optional', () => {
+    assert.deepEqual(parseFilters({}), {
+        searchQuery: '',
+        language: '',
+        popularity: '',
+        unassignedOnly: false,
+        noLinkedPR: false,
+        selectedLabels: [],
+        selectedCategories: []
+    })
+})
+
+test('caps the length of free text and lists', () => {
+    const filters = parseFilters({
+        q: 'x'.repeat(300),
+        labels: Array.from({ length: 30 }, (_, i) => `${'l'.repeat(60)}${i}`).join(',')
+    })
+
+    assert.equal(filters.searchQuery.length, 200)
+    assert.equal(filters.selectedLabels.length, 20)
+    assert.ok(filters.selectedLabels.every(label => label.length === 50))
+})
+
+test('ignores parameters given more than once', () => {
+    assert.equal(parseFilters({ q: ['a', 'b'], labels: ['a', 'b'] }).searchQuery, '')
+    assert.deepEqual(parseFilters({ labels: ['a', 'b'] }).selectedLabels, [])
+})
+
+test('rejects malformed qualifiers', () => {
+    assert.equal(parseFilters({ language: 'rust is:private' }), null)
+    assert.equal(parseFilters({ popularity: 'stars:>1 is:private' }), null)
+    assert.equal(parseFilters({ popularity: 'forks:>10' }), null)
+    assert.equal(parseFilters({ categories: 'docs,label:"x"' }), null)
+})
@@ -0,0 +1,64 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const http = require('node:http')
+const express = require('express')
+const { router } = require('../githubProxy')
+
+// Paths are sent as-is with http.get - fetch() would resolve the dot segments itself
+function get(server, path) {
+    return new Promise((resolve, reject) => {
+        http.get({ port: server.address().port, path }, (res) => {
+            res.resume()
+            res.on('end', () => resolve(res.statusCode))
+        }).on('error', reject)
+    })
+}
+
+test.describe('proxy routes', () => {
+    const upstream = []
+    let server
+
+    test.before(async () => {
+        const realFetch = globalThis.fetch
+        test.mock.method(globalThis, 'fetch', async (url, options) => {
+            if (!String(url).startsWith('https://api.github.com')) return realFetch(url, options)
+            upstream.push(new URL(url).pathname)
+            return new Response('{}', { status: 200 })
+        })
+
+        const app = express()
+        app.use('/api', router)
+        await new Promise(resolve => { server = app.listen(0, resolve) })
+    })
+
+    test.after(() => server.close())
+    test.beforeEach(() => { upstream.length = 0 })
+
+    test('proxies plain repository paths', async () => {
+        assert.equal(await get(server, '/api/repos/facebook/react'), 200)
+        assert.equal(await get(server, '/api/repos/facebook/react/contents/.devcontainer'), 200)
+        assert.deepEqual(upstream, ['/repos/facebook/react', '/repos/facebook/react/contents/.devcontainer'])
+    })
+
+    test('rejects owner and repository names that climb out of /repos', async () => {
+        for (const path of ['/api/repos/%2E%2E/user', '/api/repos/facebook/%2E%2E', '/api/repos/.%2E/user/readme', '/api/repos/a%3Fb/c']) {
+            assert.equal(await get(server, path), 400, path)
+        }
+        assert.deepEqual(upstream, [])
+    })
+
+    test('refuses searches of private repositories without a session', async () => {
+        for (const q of ['is:private bug', 'label:bug -is:internal', 'visibility:private', 'bug (is:Private)']) {
+            assert.equal(await get(server, `/api/search/issues?q=${encodeURIComponent(q)}`), 400, q)
+        }
+        assert.equal(await get(server, `/api/search/issues?q=${encodeURIComponent('is:public is:issue private-key')}`), 200)
+        assert.deepEqual(upstream, ['/search/issues'])
+    })
+
+    test('rejects dot segments in a contents path', async () => {
+        for (const path of ['/api/repos/a/b/contents/x/../../../../user/emails', '/api/repos/a/b/contents/%2E%2E/x', '/api/repos/a/b/contents/./x']) {
+            assert.equal(await get(server, path), 400, path)
+        }
+        assert.deepEqual(upstream, [])
+    })
+})
@@ -0,0 +1,31 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { issueState, consumeState } = require('../oauthState')
+
+test('issues a fresh random state for every login', () => {
+    const first = issueState()
+    assert.match(first, /^[0-9a-f]{64}$/)
+    assert.notEqual(issueState(), first)
+})
+
+test('a state can be used only once, and gives back its redirect URI', () => {
+    const state = issueState('http://localhost:5173/')
+
+    assert.deepEqual(consumeState(state), { redirectUri: 'http://localhost:5173/' })
+    assert.equal(consumeState(state), null)
+})
+
+test('rejects states this server never issued', () => {
+    assert.equal(consumeState('0'.repeat(64)), null)
+    assert.equal(consumeState(undefined), null)
+    assert.equal(consumeState({}), null)
+})
+
+test('rejects a state after the login has timed out', (t) => {
+    const issuedAt = Date.now()
+    t.mock.method(Date, 'now', () => issuedAt)
+    const state = issueState()
+
+    Date.now.mock.mockImplementation(() => issuedAt + 10 * 60 * 1000)
+    assert.equal(consumeState(state), null)
+})
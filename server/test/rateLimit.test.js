@@ -0,0 +1,27 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { createRateLimit } = require('../rateLimit')
+
+test('allows `limit` uses per window', () => {
+    const limit = createRateLimit({ limit: 2, windowMs: 60_000 })
+
+    assert.equal(limit.take(0), true)
+    assert.equal(limit.take(1000), true)
+    assert.equal(limit.take(2000), false)
+    assert.equal(limit.retryAfter(2000), 58)
+})
+
+test('frees a slot once the oldest use leaves the window', () => {
+    const limit = createRateLimit({ limit: 2, windowMs: 60_000 })
+    limit.take(0)
+    limit.take(30_000)
+
+    assert.equal(limit.take(59_999), false)
+    assert.equal(limit.take(60_000), true)
+    assert.equal(limit.take(60_001), false)
+    assert.equal(limit.retryAfter(60_001), 30)
+})
+
+test('needs no wait while a slot is free', () => {
+    assert.equal(createRateLimit({ limit: 1, windowMs: 1000 }).retryAfter(0), 0)
+})
@@ -0,0 +1,100 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+
+// Sessions are stored under DATA_DIR and the cookie follows the configured mode - both read on require
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'psakhno-sessions-'))
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }))
+Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    NODE_ENV: 'production',
+    ALLOWED_ORIGINS: 'https://psankho.vercel.app',
+    GITHUB_CLIENT_ID: 'client-id',
+    GITHUB_CLIENT_SECRET: 'client-secret',
+    SESSION_TTL_DAYS: '1'
+})
+const { loadSession, startSession, endSession } = require('../sessions')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const user = { id: 1, login: 'octocat' }
+
+// Just enough of Express's res to record cookies
+function fakeResponse() {
+    return {
+        cookies: {},
+        cleared: [],
+        cookie(name, value, options) { this.cookies[name] = { value, options } },
+        clearCookie(name, options) { this.cleared.push({ name, options }) }
+    }
+}
+
+function signIn(token = 'token') {
+    const res = fakeResponse()
+    startSession(res, token, user, ['read:user'])
+    return res.cookies.psakhno_session
+}
+
+function load(id) {
+    const req = { headers: { cookie: id ? `theme=dark; psakhno_session=${id}` : '' } }
+    const res = fakeResponse()
+    loadSession(req, res, () => {})
+    return { req, res }
+}
+
+test('sets an httpOnly cookie that is Secure and SameSite=None in production', () => {
+    const cookie = signIn()
+
+    assert.match(cookie.value, /^[0-9a-f]{64}$/)
+    assert.deepEqual(cookie.options, { httpOnly: true, secure: true, sameSite: 'none', path: '/', maxAge: DAY_MS })
+})
+
+test('loads the session the cookie points to, with its token kept on the server', () => {
+    const { req } = load(signIn('secret-token').value)
+    assert.equal(req.session.token, 'secret-token')
+    assert.deepEqual(req.session.user, user)
+    assert.deepEqual(req.session.scopes, ['read:user'])
+})
+
+test('gives every sign-in a new session id', () => {
+    assert.notEqual(signIn().value, signIn().value)
+})
+
+test('has no session without a cookie or for an unknown id', () => {
+    assert.equal(load(null).req.session, null)
+
+    const { req, res } = load('0'.repeat(64))
+    assert.equal(req.session, null)
+    assert.equal(res.cleared[0].name, 'psakhno_session')
+})
+
+test('expires sessions left unused for longer than the TTL', (t) => {
+    const signedInAt = Date.now()
+    t.mock.method(Date, 'now', () => signedInAt)
+    const { value } = signIn()
+
+    // Each use keeps the session alive for another TTL
+    Date.now.mock.mockImplementation(() => signedInAt + DAY_MS - 1000)
+    assert.notEqual(load(value).req.session, null)
+    Date.now.mock.mockImplementation(() => signedInAt + 2 * DAY_MS - 2000)
+    assert.notEqual(load(value).req.session, null)
+
+    Date.now.mock.mockImplementation(() => signedInAt + 3 * DAY_MS)
+    const { req, res } = load(value)
+    assert.equal(req.session, null)
+    assert.equal(res.cleared.length, 1)
+    // ...and it's gone for good
+    Date.now.mock.restore()
+    assert.equal(load(value).req.session, null)
+})
+
+test('ending a session signs its cookie out', () => {
+    const { value } = signIn()
+    const { req } = load(value)
+    const res = fakeResponse()
+
+    assert.equal(endSession(req, res).token, 'token')
+    assert.equal(res.cleared[0].options.secure, true)
+    assert.equal(load(value).req.session, null)
+})
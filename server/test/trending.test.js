@@ -0,0 +1,35 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { compactHistory, starsGained } = require('../trending')
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+const NOW = Date.UTC(2025, 0, 15)
+
+test('keeps recent snapshots, thins older ones to one a day and drops expired ones', () => {
+    const history = [
+        [NOW - 40 * DAY_MS, 1],
+        [NOW - 10 * DAY_MS, 2],
+        [NOW - 10 * DAY_MS + HOUR_MS, 3],
+        [NOW - 6 * HOUR_MS, 4],
+        [NOW, 5]
+    ]
+
+    assert.deepEqual(compactHistory(history, NOW).map(([, stars]) => stars), [2, 4, 5])
+})
+
+test('counts the stars gained since the snapshot closest to the start of the period', () => {
+    const history = [[NOW - 8 * DAY_MS, 50], [NOW - 7 * DAY_MS, 100], [NOW - DAY_MS, 140], [NOW, 150]]
+    assert.equal(starsGained(history, 7 * DAY_MS, NOW), 50)
+})
+
+test('has no answer without a baseline near the start of the period', () => {
+    const history = [[NOW - 2 * DAY_MS, 100], [NOW, 150]]
+    assert.equal(starsGained(history, 7 * DAY_MS, NOW), null)
+})
+
+test('has no answer once the repository stopped being snapshotted', () => {
+    const history = [[NOW - 10 * DAY_MS, 100], [NOW - 3 * DAY_MS, 150]]
+    assert.equal(starsGained(history, 7 * DAY_MS, NOW), null)
+    assert.equal(starsGained([], 7 * DAY_MS, NOW), null)
+})
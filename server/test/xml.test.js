@@ -0,0 +1,17 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { escapeXml } = require('../xml')
+
+test('escapes the XML special characters', () => {
+    assert.equal(escapeXml('<a href="x">Tom & Jerry\'s</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;')
+})
+
+test('drops control characters XML does not allow, keeping whitespace', () => {
+    assert.equal(escapeXml('a\u0000b\u0008c\u001bd'), 'abcd')
+    assert.equal(escapeXml('line\tone\r\nline two'), 'line\tone\r\nline two')
+})
+
+test('stringifies other values and keeps non-ASCII text', () => {
+    assert.equal(escapeXml(42), '42')
+    assert.equal(escapeXml('Добрый день 🎉'), 'Добрый день 🎉')
+})
@@ -0,0 +1,280 @@
+/**
+ * Trending Repositories
+ *
+ * GitHub has no API for "stars gained this week", so this job builds one:
+ * 1. Every few hours it runs a set of repository searches (the most-starred
+ *    recently-pushed repos per language, plus young repos picking up stars)
+ *    and records each repository's star count with a timestamp
+ * 2. Snapshots are kept in the JSON store for a little over a month, and
+ *    repositories missing from the searches for that long are dropped
+ * 3. GET /trending compares the latest snapshot of every tracked repository
+ *    with the one from the start of the period and ranks by stars gained
+ *
+ * Right after the job starts for the first time there's no history yet,
+ * so /trending answers with `warming_up: true` until a full period is covered.
+ *
+ * Routes:
+ *   GET /trending?period=daily|weekly|monthly&language=rust&limit=25
+ *
+ * Environment:
+ *   GITHUB_TOKEN               - raises the search limit from 10 to 30 requests/minute
+ *   TRENDING_INTERVAL_HOURS    - time between snapshots (default: 6)
+ *   TRENDING_LANGUAGES         - comma-separated languages to track (default: the app's language list)
+ *   TRENDING_EXTRA_REPOS       - comma-separated owner/name repositories to always track
+ *   TRENDING_DISABLED          - set to "true" to turn the job off
+ */
+
+const express = require('express')
+const { createStore } = require('./store')
+
+const GITHUB_API = 'https://api.github.com'
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const PERIODS = {
+    daily: DAY_MS,
+    weekly: 7 * DAY_MS,
+    monthly: 30 * DAY_MS
+}
+
+const DEFAULT_LANGUAGES = 'javascript,typescript,python,java,go,rust,cpp,csharp,ruby,php,swift,kotlin'
+
+// GitHub reports some languages under a different name than the search qualifier
+const LANGUAGE_NAMES = {
+    cpp: 'c++',
+    csharp: 'c#'
+}
+
+// History older than the longest period (plus a little slack) is dropped
+const HISTORY_MS = 32 * DAY_MS
+
+// Snapshots older than this are thinned out to one per day
+const FULL_RESOLUTION_MS = 2 * DAY_MS
+
+const store = createStore('trending')
+
+const intervalMs = () => (Number(process.env.TRENDING_INTERVAL_HOURS) || 6) * 60 * 60 * 1000
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Only the fields the frontend's repo cards use
+function toRepoInfo(repo) {
+    return {
+        id: repo.id,
+        name: repo.name,
+        full_name: repo.full_name,
+        html_url: repo.html_url,
+        description: repo.description,
+        language: repo.language,
+        owner: { login: repo.owner?.login, avatar_url: repo.owner?.avatar_url },
+        stargazers_count: repo.stargazers_count,
+        forks_count: repo.forks_count,
+        watchers_count: repo.watchers_count,
+        created_at: repo.created_at,
+        pushed_at: repo.pushed_at
+    }
+}
+
+async function githubGet(path) {
+    const headers = {
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'psakhno-auth-server'
+    }
+    if (process.env.GITHUB_TOKEN) headers['Authorization'] = `Bearer ${process.env.GITHUB_TOKEN}`
+
+    const response = await fetch(`${GITHUB_API}${path}`, { headers })
+    if (!response.ok) {
+        throw new Error(`GitHub responded ${response.status} for ${path}`)
+    }
+    return response.json()
+}
+
+/**
+ * The searches whose results make up the tracked set
+ */
+function trackedSearches() {
+    const since = (days) => new Date(Date.now() - days * DAY_MS).toISOString().split('T')[0]
+    const languages = (process.env.TRENDING_LANGUAGES || DEFAULT_LANGUAGES).split(',').map(l => l.trim()).filter(Boolean)
+
+    return [
+        // Established projects that are still active
+        ...languages.flatMap(language => [1, 2].map(page => ({ q: `language:${language} stars:>1000 pushed:>${since(30)}`, page }))),
+        // Active projects in any language
+        ...[1, 2, 3].map(page => ({ q: `stars:>1000 pushed:>${since(7)}`, page })),
+        // Young projects already picking up stars
+        ...[1, 2].map(page => ({ q: `created:>${since(60)} stars:>100`, page }))
+    ]
+}
+
+/**
+ * Thin out a [[timestamp, stars], ...] history (oldest first)
+ * Recent snapshots are kept as-is, older ones down to one per day.
+ */
+function compactHistory(history, now) {
+    const seenDays = new Set()
+    return history.filter(([timestamp]) => {
+        if (timestamp < now - HISTORY_MS) return false
+        if (timestamp >= now - FULL_RESOLUTION_MS) return true
+
+        const day = Math.floor(timestamp / DAY_MS)
+        if (seenDays.has(day)) return false
+        seenDays.add(day)
+        return true
+    })
+}
+
+function recordSnapshot(repos, now) {
+    repos.forEach(repo => {
+        const key = repo.full_name.toLowerCase()
+        const entry = store.get(key) || { history: [] }
+        store.set(key, {
+            info: toRepoInfo(repo),
+            history: compactHistory([...entry.history, [now, repo.stargazers_count]], now)
+        })
+    })
+}
+
+/**
+ * Stop tracking repositories that dropped out of every tracked search:
+ * once their last snapshot is older than the history kept, they can't
+ * rank for any period and would only grow the store
+ */
+function dropStaleRepos(now) {
+    let dropped = 0
+    store.keys()
+        .filter(key => key !== '_meta')
+        .forEach(key => {
+            const { history } = store.get(key)
+            const last = history[history.length - 1]
+            if (!last || last[0] < now - HISTORY_MS) {
+                store.delete(key)
+                dropped++
+            }
+        })
+    return dropped
+}
+
+let running = false
+
+/**
+ * Run every tracked search once and record the star counts
+ */
+async function takeSnapshot() {
+    if (running) return
+    running = true
+
+    const startedAt = Date.now()
+    // Stay under the search limit: 30/minute with a token, 10/minute without
+    const gap = process.env.GITHUB_TOKEN ? 2500 : 7000
+    const seen = new Map()
+
+    try {
+        for (const { q, page } of trackedSearches()) {
+            try {
+                const data = await githubGet(`/search/repositories?q=${encodeURIComponent(q)}&sort=stars&order=desc&per_page=100&page=${page}`)
+                data.items.forEach(repo => seen.set(repo.full_name.toLowerCase(), repo))
+            } catch (error) {
+                console.error('[Trending] Search failed:', error.message)
+            }
+            await sleep(gap)
+        }
+
+        const extraRepos = (process.env.TRENDING_EXTRA_REPOS || '').split(',').map(r => r.trim()).filter(Boolean)
+        for (const fullName of extraRepos) {
+            if (seen.has(fullName.toLowerCase())) continue
+            try {
+                const repo = await githubGet(`/repos/${fullName}`)
+                seen.set(repo.full_name.toLowerCase(), repo)
+            } catch (error) {
+                console.error(`[Trending] Lookup of ${fullName} failed:`, error.message)
+            }
+        }
+
+        if (seen.size === 0) return
+
+        recordSnapshot([...seen.values()], startedAt)
+        const dropped = dropStaleRepos(startedAt)
+        store.set('_meta', {
+            ...store.get('_meta'),
+            trackingSince: store.get('_meta')?.trackingSince || startedAt,
+            lastSnapshot: startedAt
+        })
+        console.log(`[Trending] Snapshot of ${seen.size} repositories took ${Math.round((Date.now() - startedAt) / 1000)}s (${dropped} no longer tracked)`)
+    } finally {
+        running = false
+    }
+}
+
+/**
+ * Start snapshotting on a timer
+ * The first snapshot is taken right away unless a recent one is on disk.
+ */
+function startTrendingJob() {
+    if (process.env.TRENDING_DISABLED === 'true') {
+        console.log('[Trending] Job disabled (TRENDING_DISABLED=true)')
+        return
+    }
+
+    const lastSnapshot = store.get('_meta')?.lastSnapshot || 0
+    const firstRunIn = Math.max(0, lastSnapshot + intervalMs() - Date.now())
+
+    setTimeout(() => {
+        takeSnapshot().catch(error => console.error('[Trending] Snapshot failed:', error.message))
+        setInterval(() => {
+            takeSnapshot().catch(error => console.error('[Trending] Snapshot failed:', error.message))
+        }, intervalMs())
+    }, firstRunIn)
+}
+
+/**
+ * Stars gained by one repository over `periodMs`, or null without enough history
+ * The baseline is the snapshot closest to the start of the period, as long as
+ * it's within one snapshot interval of it (a day for thinned-out history).
+ */
+function starsGained(history, periodMs, now) {
+    const latest = history[history.length - 1]
+    if (!latest || latest[0] < now - 2 * intervalMs()) return null
+
+    const periodStart = latest[0] - periodMs
+    const tolerance = periodMs < FULL_RESOLUTION_MS ? intervalMs() : DAY_MS
+
+    let baseline = null
+    history.forEach(point => {
+        const distance = Math.abs(point[0] - periodStart)
+        if (distance <= tolerance && (!baseline || distance < Math.abs(baseline[0] - periodStart))) {
+            baseline = point
+        }
+    })
+    return baseline ? latest[1] - baseline[1] : null
+}
+
+const router = express.Router()
+
+router.get('/', (req, res) => {
+    const period = PERIODS[req.query.period] ? req.query.period : 'weekly'
+    const language = String(req.query.language || '').toLowerCase()
+    const languageName = LANGUAGE_NAMES[language] || language
+    const limit = Math.min(Number(req.query.limit) || 25, 100)
+    const now = Date.now()
+
+    const items = store.keys()
+        .filter(key => key !== '_meta')
+        .map(key => store.get(key))
+        .filter(entry => !languageName || entry.info.language?.toLowerCase() === languageName)
+        .map(entry => ({ ...entry.info, stars_gained: starsGained(entry.history, PERIODS[period], now) }))
+        .filter(repo => repo.stars_gained !== null && repo.stars_gained > 0)
+        .sort((a, b) => b.stars_gained - a.stars_gained)
+        .slice(0, limit)
+
+    const meta = store.get('_meta') || {}
+    res.json({
+        period,
+        items,
+        tracked_count: store.keys().length - (meta.lastSnapshot ? 1 : 0),
+        tracking_since: meta.trackingSince ? new Date(meta.trackingSince).toISOString() : null,
+        last_snapshot: meta.lastSnapshot ? new Date(meta.lastSnapshot).toISOString() : null,
+        // Not enough history yet to cover the whole period
+        warming_up: !meta.trackingSince || meta.trackingSince > now - PERIODS[period]
+    })
+})
+
+module.exports = { router, startTrendingJob, takeSnapshot, compactHistory, starsGained }
@@ -0,0 +1,26 @@
+/**
+ * XML Text
+ *
+ * Escaping for text put into generated XML (the achievements badge SVG and
+ * the issue feeds).
+ *
+ * Usage:
+ *   `<title>${escapeXml(issue.title)}</title>`
+ */
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' }
+
+// Control characters other than tab, newline and carriage return aren't allowed in XML at all
+const isAllowedChar = (char) => {
+    const code = char.charCodeAt(0)
+    return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d
+}
+
+function escapeXml(value) {
+    return [...String(value)]
+        .filter(isAllowedChar)
+        .map(char => ENTITIES[char] || char)
+        .join('')
+}
+
+module.exports = { escapeXml }
@@ -0,0 +1,117 @@
+/**
+ * Beginner label synonyms
+ *
+ * Projects spell "this is a good first issue" in dozens of ways -
+ * "good-first-issue", "E-easy", "difficulty: beginner", ... This module
+ * groups those spellings under a handful of canonical labels, so picking
+ * one label in the filters searches every spelling of it.
+ *
+ * To support a new spelling, add it to the `synonyms` of the group it
+ * belongs to. Case and separators don't matter ("Good-First_Issue" and
+ * "good first issue" are the same label to normalizeLabel()).
+ *
+ * Shared by the app and the auth server's issue feeds, so it's plain
+ * JavaScript with no browser or Node-only APIs (and explicit .js imports).
+ *
+ * Usage:
+ *   normalizeLabel('Difficulty: Beginner') // 'beginner-friendly'
+ *   expandLabels(['easy'])                 // ['easy', 'E-easy', 'difficulty: easy', ...]
+ */
+
+// Picks every synonym of every group
+export const ANY_BEGINNER_LABEL = 'any'
+
+// `value` is the canonical label (kept as-is so existing URLs still work)
+export const BEGINNER_LABEL_GROUPS = [
+    {
+        value: 'good first issue',
+        label: 'Good First Issue',
+        synonyms: ['good first issue', 'good-first-issue', 'good first bug', 'good-first-bug', 'good first pr', 'good first contribution', 'first good issue', 'gfi']
+    },
+    {
+        value: 'up-for-grabs',
+        label: 'Up for Grabs',
+        synonyms: ['up-for-grabs', 'up for grabs', 'status: up for grabs']
+    },
+    {
+        value: 'beginner',
+        label: 'Beginner',
+        synonyms: ['beginner', 'beginners', 'newbie', 'newcomer', 'newcomers', 'starter', 'level: starter']
+    },
+    {
+        value: 'beginner-friendly',
+        label: 'Beginner Friendly',
+        synonyms: ['beginner-friendly', 'beginner friendly', 'newbie-friendly', 'newcomer-friendly', 'good for beginners', 'good for newcomers', 'difficulty: beginner', 'level: beginner']
+    },
+    {
+        value: 'first-timers-only',
+        label: 'First Timers Only',
+        synonyms: ['first-timers-only', 'first timers only', 'first-timer', 'first-time-contributor', 'first time contributor']
+    },
+    {
+        value: 'help wanted',
+        label: 'Help Wanted',
+        synonyms: ['help wanted', 'help-wanted', 'status: help wanted', 'contributions welcome', 'contributions-welcome', 'pr welcome', 'prs welcome']
+    },
+    {
+        value: 'easy',
+        label: 'Easy',
+        synonyms: ['easy', 'E-easy', 'D-easy', 'difficulty: easy', 'difficulty/easy', 'level: easy', 'complexity: low', 'effort: low']
+    },
+    {
+        value: 'low-hanging-fruit',
+        label: 'Low Hanging Fruit',
+        synonyms: ['low-hanging-fruit', 'low hanging fruit', 'quick win', 'quick-win', 'easy-fix', 'easy fix']
+    }
+]
+
+// Case and separators ('-', '_', '/', ':', spaces) don't distinguish labels
+const fold = (name) => name.toLowerCase().replace(/[\s\-_/:]+/g, ' ').trim()
+
+// Category prefixes projects put in front of the actual label ("difficulty: easy")
+const PREFIX_PATTERN = /^(difficulty|level|status|complexity|effort|type|good for) /
+
+// folded spelling -> canonical label
+const canonicalBySpelling = new Map()
+BEGINNER_LABEL_GROUPS.forEach(group => {
+    group.synonyms.forEach(synonym => canonicalBySpelling.set(fold(synonym), group.value))
+})
+
+/**
+ * Canonical beginner label for any spelling of it, or null if it isn't one
+ */
+export function normalizeLabel(name) {
+    const folded = fold(name || '')
+    return canonicalBySpelling.get(folded)
+        || canonicalBySpelling.get(folded.replace(PREFIX_PATTERN, ''))
+        || null
+}
+
+/**
+ * Is `name` some spelling of a beginner label?
+ */
+export function isBeginnerLabel(name) {
+    return normalizeLabel(name) !== null
+}
+
+/**
+ * Every spelling to search for the selected labels
+ * Beginner labels expand to their synonyms, ANY_BEGINNER_LABEL to all of
+ * them, and anything else is searched as-is.
+ */
+export function expandLabels(selected) {
+    const expanded = selected.flatMap(value => {
+        if (value === ANY_BEGINNER_LABEL) return BEGINNER_LABEL_GROUPS.flatMap(group => group.synonyms)
+        const group = BEGINNER_LABEL_GROUPS.find(g => g.value === normalizeLabel(value))
+        return group ? group.synonyms : [value]
+    })
+
+    // GitHub matches labels case-insensitively, so only keep one of each
+    const seen = new Set()
+    return expanded.filter(label => {
+        const key = label.toLowerCase()
+        if (seen.has(key)) return false
+        seen.add(key)
+        return true
+    })
+}
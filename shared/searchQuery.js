@@ -0,0 +1,150 @@
+/**
+ * Issue search query builder
+ *
+ * GitHub rejects searches longer than 256 characters or with more than
+ * five AND/OR/NOT operators. Expanding label synonyms or picking several
+ * categories easily goes past both, so buildSearchQueries() splits the
+ * search into as few queries as possible that each stay within the limits.
+ * mergeSearchResults() then combines the pages those queries return.
+ *
+ * - Labels are OR'd with the `label:"a","b"` list syntax, which costs no operators
+ * - Keywords (from categories) are OR'd with `OR`, five operators at most per query
+ * - Every label chunk is paired with every keyword chunk
+ *
+ * The auth server builds its issue feeds with the same functions (see
+ * server/feeds.js), so feeds and the app always search alike.
+ *
+ * Docs: https://docs.github.com/en/search-github/getting-started-with-searching-on-github/troubleshooting-search-queries#limitations-on-query-length
+ */
+
+import { expandLabels } from './labels.js'
+
+export const MAX_QUERY_LENGTH = 256
+export const MAX_QUERY_OPERATORS = 5
+
+// More searches than this per page would burn through the search rate limit
+export const MAX_QUERIES_PER_SEARCH = 6
+
+/**
+ * Thrown when a search can't be split into few enough queries
+ */
+export class QueryTooComplexError extends Error {
+    constructor(count) {
+        super(`These filters need ${count} separate searches per page. Pick fewer labels or categories and try again.`)
+        this.name = 'QueryTooComplexError'
+        this.count = count
+    }
+}
+
+const countOperators = (query) => (query.match(/\b(AND|OR|NOT)\b/g) || []).length
+
+const labelQualifier = (labels) => `label:${labels.map(label => `"${label}"`).join(',')}`
+
+const keywordGroup = (keywords) => (keywords.length > 1 ? `(${keywords.join(' OR ')})` : keywords[0])
+
+/**
+ * Split `items` into chunks, adding to the current chunk while `fits(chunk)` holds
+ * An item that doesn't fit even on its own still gets a chunk of its own.
+ */
+function chunkWhile(items, fits) {
+    const chunks = []
+    let current = []
+
+    items.forEach(item => {
+        if (current.length > 0 && !fits([...current, item])) {
+            chunks.push(current)
+            current = []
+        }
+        current.push(item)
+    })
+    if (current.length > 0) chunks.push(current)
+
+    return chunks
+}
+
+/**
+ * Build the query strings for one search
+ *
+ * `base` is everything every query shares ("is:issue is:open language:go ..."),
+ * `labels` are OR'd label names and `keywords` are OR'd search terms.
+ * Returns one or more complete queries whose results together cover the search.
+ */
+export function buildSearchQueries({ base, labels = [], keywords = [] }) {
+    const baseOperators = countOperators(base)
+
+    // Keywords first - they're bound by the operator limit, labels only by length
+    const keywordChunks = keywords.length > 0
+        ? chunkWhile(keywords, chunk => baseOperators + chunk.length - 1 <= MAX_QUERY_OPERATORS)
+        : [[]]
+
+    const queries = keywordChunks.flatMap(keywordChunk => {
+        const withKeywords = keywordChunk.length > 0 ? `${base} ${keywordGroup(keywordChunk)}` : base
+        if (labels.length === 0) return [withKeywords]
+
+        return chunkWhile(labels, chunk => `${withKeywords} ${labelQualifier(chunk)}`.length <= MAX_QUERY_LENGTH)
+            .map(labelChunk => `${withKeywords} ${labelQualifier(labelChunk)}`)
+    })
+
+    if (queries.length > MAX_QUERIES_PER_SEARCH) throw new QueryTooComplexError(queries.length)
+    return queries
+}
+
+// How each sort option orders merged results (all descending)
+const SORT_KEYS = {
+    created: issue => Date.parse(issue.created_at),
+    updated: issue => Date.parse(issue.updated_at),
+    comments: issue => issue.comments,
+    reactions: issue => issue.reactions?.total_count || 0
+}
+
+/**
+ * The queries for an issue search described by the issues tab's filters
+ *
+ * `filters` has the shape of the app's filter state: { searchQuery,
+ * language, popularity (e.g. 'stars:>1000'), unassignedOnly, noLinkedPR,
+ * selectedLabels, selectedCategories }. Labels are expanded to every
+ * spelling (see labels.js) and categories to their keywords.
+ */
+export function buildIssueQueries(filters) {
+    let base = 'is:issue is:open'
+
+    if (filters.language) base += ` language:${filters.language}`
+    // Repository star count
+    if (filters.popularity) base += ` ${filters.popularity}`
+    // Availability: nobody assigned, and no pull request already linked
+    if (filters.unassignedOnly) base += ' no:assignee'
+    if (filters.noLinkedPR) base += ' -linked:pr'
+    if (filters.searchQuery) base += ` ${filters.searchQuery}`
+
+    // Labels (every spelling of each selected label) and categories are OR'd
+    return buildSearchQueries({
+        base,
+        labels: expandLabels(filters.selectedLabels || []),
+        keywords: (filters.selectedCategories || []).flatMap(category => category.split(' OR '))
+    })
+}
+
+/**
+ * Combine the result pages of several queries into one
+ * Issues matching more than one query appear once, and the merged list
+ * is re-sorted so it reads like a single search.
+ */
+export function mergeSearchResults(pages, sortBy) {
+    const seen = new Set()
+    const items = pages
+        .flatMap(page => page.items || [])
+        .filter(issue => {
+            if (seen.has(issue.id)) return false
+            seen.add(issue.id)
+            return true
+        })
+
+    const key = SORT_KEYS[sortBy]
+    if (pages.length > 1 && key) items.sort((a, b) => key(b) - key(a))
+
+    return {
+        items,
+        // Issues can match several queries, so this is an upper bound
+        total_count: pages.reduce((sum, page) => sum + (page.total_count || 0), 0)
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * Synced list merging
+ *
+ * Saved issues and saved searches are kept in the browser and, for
+ * signed-in users, on the auth server. Both sides merge copies of a list
+ * entry by entry, keeping whichever copy was updated last. Removed entries
+ * stay behind as tombstones (`deleted: true`) for a while, so a removal on
+ * one device isn't undone by another device's older copy.
+ *
+ * Shared by the app (src/utils/syncedList.js) and the auth server
+ * (server/syncedList.js), so both prune tombstones alike.
+ *
+ * Usage:
+ *   mergeSyncedLists(current, incoming, { key: 'key', compare: (a, b) => b.savedAt - a.savedAt })
+ */
+
+// Tombstones older than this are dropped
+export const TOMBSTONE_TTL_MS = 90 * 24 * 60 * 60 * 1000
+
+// ...and beyond this many, the oldest are dropped early, so add/remove
+// cycles can't grow a list without bound
+export const MAX_TOMBSTONES = 500
+
+/**
+ * Merge two lists by `key` - the most recently updated copy of each entry wins
+ * Expired and surplus tombstones are dropped; the result is sorted by `compare`.
+ */
+export function mergeSyncedLists(current, incoming, { key, compare }, now = Date.now()) {
+    const byKey = new Map(current.map(entry => [entry[key], entry]))
+    incoming.forEach(entry => {
+        const existing = byKey.get(entry[key])
+        if (!existing || entry.updatedAt > existing.updatedAt) byKey.set(entry[key], entry)
+    })
+
+    const cutoff = now - TOMBSTONE_TTL_MS
+    const keptTombstones = new Set([...byKey.values()]
+        .filter(entry => entry.deleted && entry.updatedAt > cutoff)
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .slice(0, MAX_TOMBSTONES))
+
+    return [...byKey.values()]
+        .filter(entry => !entry.deleted || keptTombstones.has(entry))
+        .sort(compare)
+}
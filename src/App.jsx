@@ -1,37 +1,59 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import './App.css'
 
 // Import ReactBits components
 import ShinyText from './components/ShinyText/ShinyText'
 import RotatingText from './components/RotatingText/RotatingText'
 import ColorBends from './components/ColorBends/ColorBends'
+import RateLimitIndicator from './components/RateLimitIndicator/RateLimitIndicator'
+import IssueDrawer from './components/IssueDrawer/IssueDrawer'
+import AvailabilityBadge from './components/AvailabilityBadge/AvailabilityBadge'
+import MaintainerSignal from './components/MaintainerSignal/MaintainerSignal'
+import SaveButton from './components/SaveButton/SaveButton'
+import RepoActions from './components/RepoActions/RepoActions'
+import SavedItems from './components/SavedItems/SavedItems'
+import RepoPage from './components/RepoPage/RepoPage'
+import ForYou from './components/ForYou/ForYou'
+import Dashboard from './components/Dashboard/Dashboard'
+import DeviceLogin from './components/DeviceLogin/DeviceLogin'
+import Watches from './components/Watches/Watches'
+import PresetMenu from './components/PresetMenu/PresetMenu'
+import FeedSubscribe from './components/FeedSubscribe/FeedSubscribe'
 
 // Import auth hook
 import { useGitHubAuth } from './hooks/useGitHubAuth'
+import { useInfiniteScroll } from './hooks/useInfiniteScroll'
+import { useUrlSync } from './hooks/useUrlSync'
+import { useRepoMetadata } from './hooks/useRepoMetadata'
+import { useIssueAvailability } from './hooks/useIssueAvailability'
+import { useSavedItems } from './hooks/useSavedItems'
+import { useRepoActivity } from './hooks/useRepoActivity'
+import { useForYou } from './hooks/useForYou'
+import { useNow } from './hooks/useNow'
+import { useDebouncedValue } from './hooks/useDebouncedValue'
+import { useRepoInteractions } from './hooks/useRepoInteractions'
+import { useOnlineStatus } from './hooks/useOnlineStatus'
+import { useWatches } from './hooks/useWatches'
+import { usePresets } from './hooks/usePresets'
+
+// GitHub API helpers
+import { PROXY_API, SEARCH_RESULT_CAP, ISSUES_PER_PAGE, parseLinkHeader, mergePageLinks, buildHeaders, githubFetch } from './utils/github'
+import { buildIssueQueries, mergeSearchResults } from '../shared/searchQuery.js'
+import { issueToSavedItem, repoToSavedItem } from './utils/savedItems'
+import { isActiveWithin, respondsWithin } from './utils/repoActivity'
+import { loadPrefs, storePrefs } from './utils/recommendations'
+import { ANY_BEGINNER_LABEL, BEGINNER_LABEL_GROUPS, isBeginnerLabel } from '../shared/labels.js'
+import { parseLocation, buildUrl, takeReturnLocation, rememberOpenIssue, takeOpenIssue, canGoBackInApp } from './utils/router'
+import { saveSnapshot, loadSnapshot, isNetworkError, networkFetch } from './utils/offlineStore'
+import { primeRepoMetadata } from './utils/repoMetadata'
+import { sameFilters } from './utils/watches'
+import { AUTH_SERVER_URL } from './config'
 
 // ============================================
 // OPEN SOURCE CONTRIBUTION FINDER
 // Helping beginners find their first contribution
 // ============================================
 
-// GitHub API configuration
-const GITHUB_API = 'https://api.github.com'
-
-// Beginner-friendly labels to search for
-const BEGINNER_LABELS = [
-  'good first issue',
-  'beginner',
-  'beginner-friendly',
-  'easy',
-  'first-timers-only',
-  'help wanted',
-  'starter',
-  'low-hanging-fruit',
-  'up-for-grabs',
-  'newbie',
-  'contributions welcome'
-]
-
 // Popular programming languages
 const LANGUAGES = [
   { value: '', label: 'All Languages' },
@@ -65,214 +87,561 @@ const SORT_OPTIONS = [
   { value: 'created', label: 'Newest First' },
   { value: 'updated', label: 'Recently Updated' },
   { value: 'comments', label: 'Most Discussed' },
-  { value: 'reactions', label: 'Most Reactions' }
+  { value: 'reactions', label: 'Most Reactions' },
+  // Sorted in the browser from repository activity - GitHub is asked for recently updated issues
+  { value: 'responsive', label: 'Fastest Maintainers', clientSide: true }
 ]
 
 // Repository popularity options (for trending-like filtering)
 const POPULARITY_OPTIONS = [
-  { value: '', label: 'All Repositories', description: 'Any repository' },
-  { value: 'stars:>10000', label: '🔥 Very Popular (10k+ ⭐)', description: 'Top trending repos' },
-  { value: 'stars:>1000', label: '⭐ Popular (1k+ ⭐)', description: 'Well-known projects' },
-  { value: 'stars:>100', label: '📈 Growing (100+ ⭐)', description: 'Up and coming repos' },
-  { value: 'stars:<100', label: '🌱 New Projects (<100 ⭐)', description: 'Help new projects grow' }
+  { value: '', id: '', label: 'All Repositories', description: 'Any repository' },
+  { value: 'stars:>10000', id: '10k', label: '🔥 Very Popular (10k+ ⭐)', description: 'Top trending repos' },
+  { value: 'stars:>1000', id: '1k', label: '⭐ Popular (1k+ ⭐)', description: 'Well-known projects' },
+  { value: 'stars:>100', id: '100', label: '📈 Growing (100+ ⭐)', description: 'Up and coming repos' },
+  { value: 'stars:<100', id: 'new', label: '🌱 New Projects (<100 ⭐)', description: 'Help new projects grow' }
 ]
 
-// Label filter options for beginner-friendly issues
+// Label filter options - each beginner label also searches its synonyms (see shared/labels.js)
 const LABEL_OPTIONS = [
-  { value: 'good first issue', label: 'Good First Issue' },
-  { value: 'up-for-grabs', label: 'Up for Grabs' },
-  { value: 'beginner', label: 'Beginner' },
-  { value: 'beginner-friendly', label: 'Beginner Friendly' },
-  { value: 'first-timers-only', label: 'First Timers Only' },
-  { value: 'help wanted', label: 'Help Wanted' },
-  { value: 'easy', label: 'Easy' },
-  { value: 'low-hanging-fruit', label: 'Low Hanging Fruit' }
+  { value: ANY_BEGINNER_LABEL, label: 'Any Beginner Label' },
+  ...BEGINNER_LABEL_GROUPS.map(({ value, label }) => ({ value, label }))
 ]
 
 // GSoC-style categories - using keywords commonly found in issues
 const CATEGORIES = [
   { value: '', label: 'All', icon: '✓' },
-  { value: 'AI OR machine-learning OR ML', label: 'Artificial Intelligence', icon: '🤖' },
-  { value: 'database OR data OR analytics', label: 'Data', icon: '📊' },
-  { value: 'CLI OR tooling OR developer', label: 'Development tools', icon: '🛠️' },
-  { value: 'app OR mobile OR desktop', label: 'End user applications', icon: '📱' },
-  { value: 'docker OR kubernetes OR cloud', label: 'Infrastructure and cloud', icon: '☁️' },
-  { value: 'video OR audio OR image', label: 'Media', icon: '🎬' },
-  { value: 'linux OR kernel OR OS', label: 'Operating systems', icon: '💻' },
-  { value: 'compiler OR parser OR language', label: 'Programming languages', icon: '⚙️' },
-  { value: 'science OR research OR medical', label: 'Science and medicine', icon: '🔬' },
-  { value: 'security OR auth OR encryption', label: 'Security', icon: '🔒' },
-  { value: 'chat OR social OR messaging', label: 'Social and communication', icon: '💬' },
-  { value: 'web OR frontend OR backend OR API', label: 'Web', icon: '🌐' },
-  { value: 'docs OR documentation OR readme', label: 'Documentation', icon: '📝' }
+  { value: 'AI OR machine-learning OR ML', id: 'ai', label: 'Artificial Intelligence', icon: '🤖' },
+  { value: 'database OR data OR analytics', id: 'data', label: 'Data', icon: '📊' },
+  { value: 'CLI OR tooling OR developer', id: 'devtools', label: 'Development tools', icon: '🛠️' },
+  { value: 'app OR mobile OR desktop', id: 'apps', label: 'End user applications', icon: '📱' },
+  { value: 'docker OR kubernetes OR cloud', id: 'cloud', label: 'Infrastructure and cloud', icon: '☁️' },
+  { value: 'video OR audio OR image', id: 'media', label: 'Media', icon: '🎬' },
+  { value: 'linux OR kernel OR OS', id: 'os', label: 'Operating systems', icon: '💻' },
+  { value: 'compiler OR parser OR language', id: 'languages', label: 'Programming languages', icon: '⚙️' },
+  { value: 'science OR research OR medical', id: 'science', label: 'Science and medicine', icon: '🔬' },
+  { value: 'security OR auth OR encryption', id: 'security', label: 'Security', icon: '🔒' },
+  { value: 'chat OR social OR messaging', id: 'social', label: 'Social and communication', icon: '💬' },
+  { value: 'web OR frontend OR backend OR API', id: 'web', label: 'Web', icon: '🌐' },
+  { value: 'docs OR documentation OR readme', id: 'docs', label: 'Documentation', icon: '📝' }
+]
+
+// Time periods for the trending tab
+const TRENDING_PERIODS = ['daily', 'weekly', 'monthly']
+
+// How stars gained are described on hot repo cards
+const TRENDING_PERIOD_LABELS = { daily: 'today', weekly: 'this week', monthly: 'this month' }
+
+// Trending tab modes: ranked by stars gained (auth server snapshots), or newly created repos
+const TRENDING_MODES = ['stars', 'new']
+
+// How long filters must stay unchanged before a search fires
+const FILTER_SETTLE_MS = 250
+
+// How long results must stay unchanged before they're kept as the offline snapshot
+const SNAPSHOT_SETTLE_MS = 2000
+
+// Labels selected when the URL doesn't say otherwise
+const DEFAULT_LABELS = ['good first issue']
+
+// Ready-made searches offered in the saved searches menu, next to the user's own
+const categoryValue = (id) => CATEGORIES.find(cat => cat.id === id).value
+const builtInPreset = (id, name, filters) => ({
+  id: `builtin:${id}`,
+  name,
+  builtIn: true,
+  filters: {
+    searchQuery: '',
+    language: '',
+    sortBy: 'created',
+    selectedLabels: DEFAULT_LABELS,
+    selectedCategories: [],
+    popularity: '',
+    unassignedOnly: false,
+    noLinkedPR: false,
+    ...filters
+  }
+})
+const BUILT_IN_PRESETS = [
+  builtInPreset('rust-popular', 'Rust, 1k+ stars, unassigned', { language: 'rust', popularity: 'stars:>1000', unassignedOnly: true }),
+  builtInPreset('python-docs', 'Python documentation', { language: 'python', selectedCategories: [categoryValue('docs')] }),
+  builtInPreset('new-projects', 'New projects (<100 stars), unassigned', { popularity: 'stars:<100', unassignedOnly: true }),
+  builtInPreset('go-cloud', 'Go infrastructure and cloud', { language: 'go', selectedCategories: [categoryValue('cloud')] }),
+  builtInPreset('typescript-free', 'TypeScript, no linked PR', { language: 'typescript', unassignedOnly: true, noLinkedPR: true, sortBy: 'responsive' })
 ]
 
+// ============================================
+// URL <-> APP STATE
+// Every view and filter lives in the URL so searches can be shared and bookmarked
+// ============================================
+
+// Split a comma-separated query param into a list
+const splitParam = (value) => (value ? value.split(',').filter(Boolean) : [])
+
+// Turn a parsed location into the full set of view + filter state
+// Anything missing or unrecognised falls back to its default
+function routeToState({ view, tab, params }) {
+  const isLanguage = (value) => LANGUAGES.some(lang => lang.value === value)
+  const lang = isLanguage(params.get('lang')) ? params.get('lang') : ''
+
+  // Repository pages need an owner/name, anything else goes to the explore view
+  const repoPageName = /^[\w.-]+\/[\w.-]+$/.test(params.get('repo') || '') ? params.get('repo') : null
+
+  return {
+    view: view === 'repo' && !repoPageName ? 'app' : view,
+    repoPageName,
+    activeTab: tab,
+    searchQuery: tab === 'issues' ? params.get('q') || '' : '',
+    language: tab === 'issues' ? lang : '',
+    sortBy: SORT_OPTIONS.some(opt => opt.value === params.get('sort')) ? params.get('sort') : 'created',
+    selectedLabels: params.has('labels') ? splitParam(params.get('labels')) : DEFAULT_LABELS,
+    selectedCategories: splitParam(params.get('cats'))
+      .map(id => CATEGORIES.find(cat => cat.id === id)?.value)
+      .filter(Boolean),
+    popularity: POPULARITY_OPTIONS.find(opt => opt.id && opt.id === params.get('stars'))?.value || '',
+    unassignedOnly: params.get('unassigned') === '1',
+    noLinkedPR: params.get('nopr') === '1',
+    hideTaken: params.get('available') === '1',
+    activeOnly: params.get('active') === '1',
+    respondsWeek: params.get('responsive') === '1',
+    trendingLanguage: tab === 'trending' ? lang : '',
+    trendingPeriod: TRENDING_PERIODS.includes(params.get('period')) ? params.get('period') : 'weekly',
+    trendingMode: TRENDING_MODES.includes(params.get('mode')) ? params.get('mode') : 'stars'
+  }
+}
+
+// Inverse of routeToState - only the active tab's filters are written, and defaults are left out
+function stateToUrl(state) {
+  if (state.view === 'repo') return buildUrl('repo', null, { repo: state.repoPageName })
+
+  if (state.view !== 'app') return buildUrl(state.view)
+
+  if (state.activeTab === 'saved' || state.activeTab === 'foryou') return buildUrl('app', state.activeTab)
+
+  if (state.activeTab === 'trending') {
+    return buildUrl('app', 'trending', {
+      lang: state.trendingLanguage || null,
+      period: state.trendingPeriod !== 'weekly' ? state.trendingPeriod : null,
+      mode: state.trendingMode !== 'stars' ? state.trendingMode : null
+    })
+  }
+
+  const labelsChanged = state.selectedLabels.join(',') !== DEFAULT_LABELS.join(',')
+  return buildUrl('app', 'issues', {
+    q: state.searchQuery || null,
+    lang: state.language || null,
+    sort: state.sortBy !== 'created' ? state.sortBy : null,
+    labels: labelsChanged ? state.selectedLabels.join(',') : null,
+    cats: state.selectedCategories
+      .map(value => CATEGORIES.find(cat => cat.value === value)?.id)
+      .filter(Boolean)
+      .join(',') || null,
+    stars: POPULARITY_OPTIONS.find(opt => opt.value === state.popularity)?.id || null,
+    unassigned: state.unassignedOnly ? '1' : null,
+    nopr: state.noLinkedPR ? '1' : null,
+    available: state.hideTaken ? '1' : null,
+    active: state.activeOnly ? '1' : null,
+    responsive: state.respondsWeek ? '1' : null
+  })
+}
+
+// Short name for an issue search, e.g. "Rust · Good First Issue · ⭐ Popular (1k+ ⭐) · unassigned"
+function describeFilters(filters) {
+  const parts = [
+    filters.searchQuery && `"${filters.searchQuery}"`,
+    LANGUAGES.find(lang => lang.value && lang.value === filters.language)?.label,
+    ...filters.selectedLabels.map(value => LABEL_OPTIONS.find(opt => opt.value === value)?.label || value),
+    ...filters.selectedCategories.map(value => CATEGORIES.find(cat => cat.value === value)?.label),
+    POPULARITY_OPTIONS.find(opt => opt.value && opt.value === filters.popularity)?.label,
+    filters.unassignedOnly && 'unassigned',
+    filters.noLinkedPR && 'no linked PR'
+  ].filter(Boolean)
+  return parts.join(' · ') || 'All open issues'
+}
+
 // ============================================
 // MAIN APP COMPONENT
 // ============================================
 
 function App() {
   // GitHub Auth
-  const { user, accessToken, isAuthenticated, isLoading: authLoading, login, logout, handleCallback } = useGitHubAuth()
+  const {
+    user, isAuthenticated, canWrite, isLoading: authLoading, error: authError, deviceLogin,
+    login, requestWriteAccess, loginWithDevice, cancelDeviceLogin, logout, handleCallback, clearError: clearAuthError
+  } = useGitHubAuth()
+
+  // Restore the view and filters from the URL on first load
+  const [initialState] = useState(() => routeToState(parseLocation()))
 
-  // Tab state: 'issues' or 'trending'
-  const [activeTab, setActiveTab] = useState('issues')
+  // Tab state: 'issues', 'trending', 'saved' or 'foryou'
+  const [activeTab, setActiveTab] = useState(initialState.activeTab)
 
   // Issues state
   const [issues, setIssues] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [retryCount, setRetryCount] = useState(0) // Track retry attempts for rate limit
-  const [searchQuery, setSearchQuery] = useState('')
-  const [language, setLanguage] = useState('')
-  const [sortBy, setSortBy] = useState('created')
-  const [selectedLabels, setSelectedLabels] = useState(['good first issue']) // Array for multi-select
-  const [selectedCategories, setSelectedCategories] = useState([]) // Array for multi-select
-  const [popularity, setPopularity] = useState('')
-  const [currentView, setCurrentView] = useState('hero')
+  const [pendingRetry, setPendingRetry] = useState(null) // { at, urls, append } - automatic retry after a rate limit
+  const [searchQuery, setSearchQuery] = useState(initialState.searchQuery)
+  const [debouncedSearchQuery, flushSearchQuery] = useDebouncedValue(searchQuery, 400) // What searches actually use
+  const [language, setLanguage] = useState(initialState.language)
+  const [sortBy, setSortBy] = useState(initialState.sortBy)
+  const [selectedLabels, setSelectedLabels] = useState(initialState.selectedLabels) // Array for multi-select
+  const [selectedCategories, setSelectedCategories] = useState(initialState.selectedCategories) // Array for multi-select
+  const [popularity, setPopularity] = useState(initialState.popularity)
+  const [unassignedOnly, setUnassignedOnly] = useState(initialState.unassignedOnly) // no:assignee
+  const [noLinkedPR, setNoLinkedPR] = useState(initialState.noLinkedPR) // -linked:pr
+  const [hideTaken, setHideTaken] = useState(initialState.hideTaken) // Hide assigned/claimed issues client-side
+  const [activeOnly, setActiveOnly] = useState(initialState.activeOnly) // Repo pushed to or commented on by maintainers in the last 30 days
+  const [respondsWeek, setRespondsWeek] = useState(initialState.respondsWeek) // Maintainers' median first reply within a week
+  const [currentView, setCurrentView] = useState(initialState.view)
+  const [repoPageName, setRepoPageName] = useState(initialState.repoPageName) // owner/name shown on the repository page
   const [totalCount, setTotalCount] = useState(0)
-  const [repoStars, setRepoStars] = useState({}) // Cache for repo star counts
+  const [pageLinks, setPageLinks] = useState({}) // { next, prev, first, last } -> { page, urls } (see mergePageLinks)
+  const [currentPage, setCurrentPage] = useState(1)
+  const [loadingMore, setLoadingMore] = useState(false) // Next page is streaming in below loaded cards
+  const [paginationMode, setPaginationMode] = useState('pages') // 'pages' or 'infinite'
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false) // Mobile menu state
+  const [selectedIssue, setSelectedIssue] = useState(null) // Issue open in the detail drawer
+  const [issuesCachedAt, setIssuesCachedAt] = useState(null) // Set while showing the offline snapshot
+
+  // Repository metadata (stars, forks, license, ...) for every repo on the page
+  const issueRepoNames = [...new Set(issues.map(issue => issue.repository_url?.match(/repos\/(.+)$/)?.[1]).filter(Boolean))]
+  const repoMeta = useRepoMetadata(issueRepoNames, isAuthenticated)
+
+  // Assigned / claimed-in-a-comment / available for every issue on the page
+  // Scanning comments costs a request per issue, so it's left to signed-in users
+  const availability = useIssueAvailability(issues, isAuthenticated)
+  const isTaken = (issue) => ['assigned', 'claimed'].includes(availability[issue.id]?.status)
+
+  // Maintainer activity (last maintainer comment, median first reply) for every repo on the page,
+  // shown on each card - looked up while the issue cards are on screen (throttled and proxy-cached)
+  const repoActivity = useRepoActivity(issueRepoNames, currentView === 'app' && activeTab === 'issues')
+  const repoOf = (issue) => issue.repository_url?.match(/repos\/(.+)$/)?.[1]
+
+  // Client-side filters and sort - repos still being looked up stay visible until we know
+  const visibleIssues = issues
+    .filter(issue => !hideTaken || !isTaken(issue))
+    .filter(issue => !activeOnly || isActiveWithin(30, repoMeta[repoOf(issue)]?.pushedAt, repoActivity[repoOf(issue)]) !== false)
+    .filter(issue => !respondsWeek || repoActivity[repoOf(issue)] === undefined || respondsWithin(7, repoActivity[repoOf(issue)]))
+  if (sortBy === 'responsive') {
+    // Fastest median first reply first, unknown last (sort is stable, so ties keep GitHub's order)
+    const responseTime = (issue) => repoActivity[repoOf(issue)]?.medianResponseMs ?? Infinity
+    visibleIssues.sort((a, b) => responseTime(a) - responseTime(b))
+  }
 
-  // Fetch star count for a repository
-  const fetchRepoStars = useCallback(async (repoFullName) => {
-    // Skip if already cached
-    if (repoStars[repoFullName] !== undefined) return
+  // Saved issues and repos (localStorage, synced to the auth server when signed in)
+  const { items: savedItems, isSaved, toggleSaved, updateItem: updateSavedItem, removeItem: removeSavedItem, syncing: savedSyncing, syncError: savedSyncError } = useSavedItems(user?.id)
+
+  // Watched searches - re-run in the background, new issues counted on the Issues tab
+  const { watches, unreadCount: watchUnreadCount, notificationPermission, addWatch, removeWatch, markRead: markWatchRead } = useWatches()
+  const currentFilters = {
+    searchQuery: debouncedSearchQuery,
+    language,
+    popularity,
+    unassignedOnly,
+    noLinkedPR,
+    selectedLabels,
+    selectedCategories
+  }
+  const currentWatch = watches.find(watch => sameFilters(watch.filters, currentFilters))
 
-    try {
-      const headers = { 'Accept': 'application/vnd.github.v3+json' }
-      if (accessToken) headers['Authorization'] = `Bearer ${accessToken}`
+  // Saved searches - the user's own (synced when signed in) after the built-in ones
+  const { presets, savePreset, removePreset, importPresets, syncing: presetsSyncing, syncError: presetsSyncError } = usePresets(user?.id)
 
-      const response = await fetch(`${GITHUB_API}/repos/${repoFullName}`, { headers })
-      if (response.ok) {
-        const data = await response.json()
-        setRepoStars(prev => ({ ...prev, [repoFullName]: data.stargazers_count }))
-      } else {
-        // Mark as fetched to avoid retrying
-        setRepoStars(prev => ({ ...prev, [repoFullName]: null }))
-      }
-    } catch {
-      setRepoStars(prev => ({ ...prev, [repoFullName]: null }))
-    }
-  }, [accessToken, repoStars])
+  // "For you" recommendations - profile and candidates load once the tab is opened
+  const [forYouPrefs, setForYouPrefs] = useState(loadPrefs)
+  const forYou = useForYou(user?.login, activeTab === 'foryou')
+  const forYouRepoMeta = useRepoMetadata(
+    [...new Set(forYou.issues.map(issue => issue.repository_url?.match(/repos\/(.+)$/)?.[1]).filter(Boolean))],
+    isAuthenticated
+  )
 
-  // Fetch stars for visible issues (lazy loading)
   useEffect(() => {
-    if (issues.length === 0) return
+    storePrefs(forYouPrefs)
+  }, [forYouPrefs])
 
-    // Only fetch first 5 repos to avoid rate limiting
-    const reposToFetch = [...new Set(issues.slice(0, 5).map(issue => {
-      const match = issue.repository_url?.match(/repos\/(.+)$/)
-      return match ? match[1] : null
-    }).filter(Boolean))]
+  // AbortControllers for the search currently in flight (see fetchIssues / fetchTrendingRepos)
+  const issuesRequestRef = useRef(null)
+  const trendingRequestRef = useRef(null)
 
-    reposToFetch.forEach(repo => {
-      if (repoStars[repo] === undefined) {
-        fetchRepoStars(repo)
-      }
-    })
-  }, [issues, fetchRepoStars, repoStars])
+  // Trending repos state
+  const [trendingRepos, setTrendingRepos] = useState([])
+  const [trendingLoading, setTrendingLoading] = useState(false)
+  const [trendingError, setTrendingError] = useState(null)
+  const [trendingRetryAt, setTrendingRetryAt] = useState(null) // Automatic retry after a rate limit
+  const [trendingLanguage, setTrendingLanguage] = useState(initialState.trendingLanguage)
+  const [trendingPeriod, setTrendingPeriod] = useState(initialState.trendingPeriod)
+  const [trendingMode, setTrendingMode] = useState(initialState.trendingMode)
+  const [trendingStatus, setTrendingStatus] = useState(null) // { warmingUp, trackingSince } from the /trending endpoint
+  const [trendingCachedAt, setTrendingCachedAt] = useState(null) // Set while showing the offline snapshot
+  const online = useOnlineStatus()
+
+  // Whether the user stars / watches each hot repo - only with write access, as it can't be changed without
+  const { interactions: trendingInteractions, refresh: refreshTrendingInteractions } = useRepoInteractions(
+    trendingRepos.map(repo => repo.full_name),
+    canWrite
+  )
 
   const navigateTo = (view) => {
     setCurrentView(view)
     window.scrollTo(0, 0)
   }
 
-  // Handle OAuth callback - check URL for code parameter
+  // Apply a parsed location (back/forward, or returning from OAuth) to app state
+  const applyRoute = useCallback((route) => {
+    const state = routeToState(route)
+    setCurrentView(state.view)
+    setRepoPageName(state.repoPageName)
+    setActiveTab(state.activeTab)
+    setSearchQuery(state.searchQuery)
+    setLanguage(state.language)
+    setSortBy(state.sortBy)
+    setSelectedLabels(state.selectedLabels)
+    setSelectedCategories(state.selectedCategories)
+    setPopularity(state.popularity)
+    setUnassignedOnly(state.unassignedOnly)
+    setNoLinkedPR(state.noLinkedPR)
+    setHideTaken(state.hideTaken)
+    setActiveOnly(state.activeOnly)
+    setRespondsWeek(state.respondsWeek)
+    setTrendingLanguage(state.trendingLanguage)
+    setTrendingPeriod(state.trendingPeriod)
+    setTrendingMode(state.trendingMode)
+  }, [])
+
+  // Handle OAuth callback - check URL for code and state parameters
   useEffect(() => {
     const urlParams = new URLSearchParams(window.location.search)
     const code = urlParams.get('code')
 
     if (code) {
-      // Exchange code for token
-      handleCallback(code).then((success) => {
-        // Remove code from URL after processing
-        window.history.replaceState({}, document.title, window.location.pathname)
-        if (success) {
+      // Exchange code for token (rejected if the state isn't the one this tab stored)
+      handleCallback(code, urlParams.get('state')).then((success) => {
+        // Go back to the page the user signed in from, filters and all
+        const returnTo = takeReturnLocation()
+        if (returnTo) {
+          applyRoute(parseLocation(returnTo))
+        } else if (success) {
           navigateTo('app')
         }
+        // ...with the issue they were claiming open again
+        const returnIssue = takeOpenIssue()
+        if (returnIssue) setSelectedIssue(returnIssue)
       })
     }
-  }, [handleCallback])
-
-  // Trending repos state
-  const [trendingRepos, setTrendingRepos] = useState([])
-  const [trendingLoading, setTrendingLoading] = useState(false)
-  const [trendingError, setTrendingError] = useState(null)
-  const [trendingLanguage, setTrendingLanguage] = useState('')
-  const [trendingPeriod, setTrendingPeriod] = useState('weekly')
+  }, [handleCallback, applyRoute])
+
+  // Keep the URL in sync with the current view and filters
+  // (declared after the callback effect so the `?code=` is read before the URL is rewritten)
+  useUrlSync(stateToUrl({
+    view: currentView,
+    repoPageName,
+    activeTab,
+    searchQuery,
+    language,
+    sortBy,
+    selectedLabels,
+    selectedCategories,
+    popularity,
+    unassignedOnly,
+    noLinkedPR,
+    hideTaken,
+    activeOnly,
+    respondsWeek,
+    trendingLanguage,
+    trendingPeriod,
+    trendingMode
+  }), applyRoute)
 
   // Fetch issues from GitHub API
-  const fetchIssues = useCallback(async () => {
-    setLoading(true)
-    setError(null)
+  // Without pageUrls this starts a fresh search from page 1; otherwise it fetches
+  // one of the pages from `pageLinks` (next/prev/first/last).
+  // A search too long for GitHub is split into several queries (see shared/searchQuery.js),
+  // fetched side by side and merged into one page of results.
+  // With append=true the new page is added below the cards already loaded.
+  // Without a connection the last results are shown from the offline snapshot instead;
+  // background=true refreshes those quietly, keeping them if GitHub is still out of reach.
+  const fetchIssues = useCallback(async (pageUrls = null, { append = false, background = false } = {}) => {
+    // Only the latest request may touch the results - cancel whatever is still running
+    issuesRequestRef.current?.abort()
+    const controller = new AbortController()
+    issuesRequestRef.current = controller
+
+    if (append) {
+      setLoadingMore(true)
+    } else if (!background) {
+      setLoading(true)
+    }
+    if (!background) setError(null)
+    setPendingRetry(null)
 
-    try {
-      // Build the search query
-      let query = `is:issue is:open`
+    // Client-side sorts ask GitHub for recently updated issues and reorder them afterwards
+    const githubSort = SORT_OPTIONS.find(opt => opt.value === sortBy)?.clientSide ? 'updated' : sortBy
 
-      // Add labels (OR logic for multiple labels)
-      if (selectedLabels.length > 0) {
-        const labelQuery = selectedLabels.map(l => `label:"${l}"`).join(' ')
-        query += ` (${labelQuery})`
-      }
+    let urls = pageUrls
 
-      if (language) {
-        query += ` language:${language}`
+    try {
+      if (!urls) {
+        const queries = buildIssueQueries({
+          searchQuery: debouncedSearchQuery,
+          language,
+          popularity,
+          unassignedOnly,
+          noLinkedPR,
+          selectedLabels,
+          selectedCategories
+        })
+
+        urls = queries.map(query =>
+          `${PROXY_API}/search/issues?q=${encodeURIComponent(query)}&sort=${githubSort}&order=desc&per_page=${ISSUES_PER_PAGE}&page=1`
+        )
       }
 
-      // Add categories (OR logic for multiple categories)
-      if (selectedCategories.length > 0) {
-        const categoryQuery = selectedCategories.join(' OR ')
-        query += ` (${categoryQuery})`
-      }
+      // Rate limits throw a RateLimitError from githubFetch
+      const responses = await Promise.all(urls.map(url =>
+        githubFetch(url, { headers: buildHeaders(), signal: controller.signal })
+      ))
 
-      if (popularity) {
-        // Filter by repository star count (trending/popular repos)
-        query += ` ${popularity}`
+      const failed = responses.find(response => !response.ok)
+      if (failed) {
+        if (failed.status === 403) {
+          throw new Error('(403) GitHub refused this search. Try removing unusual qualifiers from your keywords.')
+        }
+        if (failed.status === 422) {
+          // Either a page past GitHub's result cap, or a query GitHub can't run
+          const failedUrl = new URL(urls[responses.indexOf(failed)])
+          const page = Number(failedUrl.searchParams.get('page')) || 1
+          const perPage = Number(failedUrl.searchParams.get('per_page')) || ISSUES_PER_PAGE
+          if (page * perPage > SEARCH_RESULT_CAP) {
+            throw new Error(`GitHub only returns the first ${SEARCH_RESULT_CAP.toLocaleString()} results of a search. Narrow your filters to see more.`)
+          }
+          const body = await failed.json().catch(() => ({}))
+          const reason = body.errors?.find(problem => problem.message)?.message || body.message || 'the query is not valid'
+          throw new Error(`GitHub couldn't run this search: ${reason.replace(/\.$/, '')}. Try changing your keywords or filters.`)
+        }
+        throw new Error('Failed to fetch issues. Please try again.')
       }
 
-      if (searchQuery) {
-        query += ` ${searchQuery}`
+      const data = mergeSearchResults(await Promise.all(responses.map(response => response.json())), githubSort)
+      if (controller.signal.aborted) return
+      const items = data.items
+
+      setIssues(prev => {
+        if (!append) return items
+        // Results can shift between pages while new issues are opened, so skip duplicates
+        const seen = new Set(prev.map(issue => issue.id))
+        return [...prev, ...items.filter(issue => !seen.has(issue.id))]
+      })
+      setTotalCount(data.total_count)
+      const page = Number(new URL(urls[0]).searchParams.get('page')) || 1
+      setPageLinks(mergePageLinks(responses.map(response => parseLinkHeader(response.headers.get('Link'), PROXY_API)), urls, page))
+      setCurrentPage(page)
+      setIssuesCachedAt(null)
+    } catch (err) {
+      // A newer request replaced this one - it owns the loading/error state now
+      if (controller.signal.aborted) return
+
+      // Offline: fall back to the last results we had (unless those are already showing)
+      if (!append && isNetworkError(err)) {
+        if (background) return
+        const snapshot = await loadSnapshot('issues')
+        if (controller.signal.aborted) return
+        if (snapshot) {
+          primeRepoMetadata(snapshot.data.repoMeta)
+          setIssues(snapshot.data.items)
+          setTotalCount(snapshot.data.totalCount)
+          setPageLinks({})
+          setCurrentPage(1)
+          setIssuesCachedAt(snapshot.savedAt)
+          return
+        }
       }
 
-      // Build headers - include auth token if available
-      const headers = {
-        'Accept': 'application/vnd.github.v3+json'
+      if (err.name === 'RateLimitError') {
+        // Try the same request again as soon as GitHub allows it
+        setPendingRetry({ at: err.retryAt, urls, append })
+        setError(isAuthenticated
+          ? err.message
+          : `${err.message} Sign in with GitHub for a much higher limit.`)
+      } else {
+        setError(err.message)
       }
-      if (accessToken) {
-        headers['Authorization'] = `Bearer ${accessToken}`
+      if (!append) setIssues([])
+    } finally {
+      if (!controller.signal.aborted) {
+        setLoading(false)
+        setLoadingMore(false)
       }
+    }
+  }, [language, sortBy, selectedLabels, selectedCategories, popularity, unassignedOnly, noLinkedPR, debouncedSearchQuery, isAuthenticated])
 
-      const response = await fetch(
-        `${GITHUB_API}/search/issues?q=${encodeURIComponent(query)}&sort=${sortBy}&order=desc&per_page=20`,
-        { headers }
-      )
+  // Follow a pagination link (page controls)
+  const goToPage = (link) => {
+    if (!link || loading) return
+    fetchIssues(link.urls)
+    document.querySelector('.issues-section')?.scrollIntoView({ behavior: 'smooth' })
+  }
 
-      if (!response.ok) {
-        if (response.status === 403) {
-          throw new Error('(403) Rate limit exceeded! GitHub allows 10 requests/minute for unauthenticated users. Sign in with GitHub to get 5,000 requests/hour.')
-        }
-        throw new Error('Failed to fetch issues. Please try again.')
-      }
+  // Load the next page below the current results (infinite scroll)
+  const loadMoreIssues = useCallback(() => {
+    if (!pageLinks.next || loading || loadingMore) return
+    fetchIssues(pageLinks.next.urls, { append: true })
+  }, [pageLinks, loading, loadingMore, fetchIssues])
+
+  const sentinelRef = useInfiniteScroll(loadMoreIssues, {
+    enabled: paginationMode === 'infinite' && !!pageLinks.next && !loading && !loadingMore && !error
+  })
+
+  // Switch between page controls and infinite scroll
+  // Going back to pages restarts at page 1 so a page never holds more than one page of cards
+  const changePaginationMode = (mode) => {
+    if (mode === paginationMode) return
+    setPaginationMode(mode)
+    if (mode === 'pages' && currentPage > 1) {
+      fetchIssues()
+    }
+  }
 
-      const data = await response.json()
-      setIssues(data.items || [])
-      setTotalCount(data.total_count || 0)
-    } catch (err) {
-      setError(err.message)
-      setIssues([])
-    } finally {
-      setLoading(false)
+  const lastPage = pageLinks.last?.page || currentPage
+
+  // Fetch hot repos
+  // 'stars' mode ranks tracked repos by stars gained over the period (the auth server's
+  // /trending endpoint); 'new' mode searches GitHub for repos created during the period.
+  // Offline, the last hot repos are shown from the snapshot, like issues (see fetchIssues).
+  const fetchTrendingRepos = useCallback(async ({ background = false } = {}) => {
+    trendingRequestRef.current?.abort()
+    const controller = new AbortController()
+    trendingRequestRef.current = controller
+
+    if (!background) {
+      setTrendingLoading(true)
+      setTrendingError(null)
     }
-  }, [language, sortBy, selectedLabels, selectedCategories, popularity, searchQuery, accessToken])
+    setTrendingRetryAt(null)
 
-  // Fetch trending repos from GitHub API
-  const fetchTrendingRepos = useCallback(async () => {
-    setTrendingLoading(true)
-    setTrendingError(null)
+    const showRepos = (items, status) => {
+      setTrendingRepos(items)
+      setTrendingStatus(status)
+      setTrendingCachedAt(null)
+      saveSnapshot('trending', { items, status })
+    }
 
     try {
+      if (trendingMode === 'stars') {
+        const params = new URLSearchParams({ period: trendingPeriod })
+        if (trendingLanguage) params.set('language', trendingLanguage)
+
+        const response = await networkFetch(`${AUTH_SERVER_URL}/trending?${params}`, { signal: controller.signal })
+        if (!response.ok) {
+          throw new Error('Failed to fetch trending repos. Please try again.')
+        }
+
+        const data = await response.json()
+        if (controller.signal.aborted) return
+        showRepos(data.items || [], { warmingUp: data.warming_up, trackingSince: data.tracking_since })
+        return
+      }
+
       // Calculate date based on period
       const now = new Date()
       let sinceDate = new Date()
@@ -287,64 +656,146 @@ function App() {
 
       const dateStr = sinceDate.toISOString().split('T')[0]
 
-      // Build query for trending repos
+      // Build query for new repos
       let query = `created:>${dateStr}`
 
       if (trendingLanguage) {
         query += ` language:${trendingLanguage}`
       }
 
-      // Build headers - include auth token if available
-      const headers = {
-        'Accept': 'application/vnd.github.v3+json'
-      }
-      if (accessToken) {
-        headers['Authorization'] = `Bearer ${accessToken}`
-      }
-
-      const response = await fetch(
-        `${GITHUB_API}/search/repositories?q=${encodeURIComponent(query)}&sort=stars&order=desc&per_page=20`,
-        { headers }
+      const response = await githubFetch(
+        `${PROXY_API}/search/repositories?q=${encodeURIComponent(query)}&sort=stars&order=desc&per_page=20`,
+        { headers: buildHeaders(), signal: controller.signal }
       )
 
       if (!response.ok) {
         if (response.status === 403) {
-          throw new Error('(403) Rate limit exceeded! GitHub allows 10 requests/minute for unauthenticated users. Sign in with GitHub to get 5,000 requests/hour.')
+          throw new Error('(403) GitHub refused this search. Please try again later.')
         }
         throw new Error('Failed to fetch trending repos. Please try again.')
       }
 
       const data = await response.json()
-      setTrendingRepos(data.items || [])
+      if (controller.signal.aborted) return
+      showRepos(data.items || [], null)
     } catch (err) {
+      if (controller.signal.aborted) return
+
+      if (isNetworkError(err)) {
+        if (background) return
+        const snapshot = await loadSnapshot('trending')
+        if (controller.signal.aborted) return
+        if (snapshot) {
+          setTrendingRepos(snapshot.data.items)
+          setTrendingStatus(snapshot.data.status)
+          setTrendingCachedAt(snapshot.savedAt)
+          return
+        }
+      }
+
+      if (err.name === 'RateLimitError') {
+        setTrendingRetryAt(err.retryAt)
+      }
       setTrendingError(err.message)
       setTrendingRepos([])
     } finally {
-      setTrendingLoading(false)
+      if (!controller.signal.aborted) setTrendingLoading(false)
     }
-  }, [trendingLanguage, trendingPeriod, accessToken])
+  }, [trendingLanguage, trendingPeriod, trendingMode])
+
+  // Retry automatically once a rate limit resets - the same page that failed, not page 1
+  useEffect(() => {
+    if (!pendingRetry) return
+    const timer = setTimeout(() => {
+      fetchIssues(pendingRetry.urls, { append: pendingRetry.append })
+    }, Math.max(0, pendingRetry.at - Date.now()))
+    return () => clearTimeout(timer)
+  }, [pendingRetry, fetchIssues])
+
+  useEffect(() => {
+    if (!trendingRetryAt) return
+    const timer = setTimeout(() => fetchTrendingRepos(), Math.max(0, trendingRetryAt - Date.now()))
+    return () => clearTimeout(timer)
+  }, [trendingRetryAt, fetchTrendingRepos])
+
+  // Keep the latest issue results (and the star data shown with them) for offline use
+  useEffect(() => {
+    if (issuesCachedAt || issues.length === 0) return
+    const timer = setTimeout(() => saveSnapshot('issues', { items: issues, totalCount, repoMeta }), SNAPSHOT_SETTLE_MS)
+    return () => clearTimeout(timer)
+  }, [issues, totalCount, repoMeta, issuesCachedAt])
+
+  // Back online: quietly swap cached results for fresh ones
+  useEffect(() => {
+    if (!issuesCachedAt && !trendingCachedAt) return
+    const refresh = () => {
+      if (issuesCachedAt) fetchIssues(null, { background: true })
+      if (trendingCachedAt) fetchTrendingRepos({ background: true })
+    }
+    window.addEventListener('online', refresh)
+    return () => window.removeEventListener('online', refresh)
+  }, [issuesCachedAt, trendingCachedAt, fetchIssues, fetchTrendingRepos])
+
+  // Live countdown for the "retrying in..." messages
+  const now = useNow(1000, !!pendingRetry || !!trendingRetryAt)
+  const formatCountdown = (at) => {
+    const seconds = Math.max(0, Math.ceil((at - now) / 1000))
+    return seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)} min`
+  }
 
   // Initial fetch and refetch on filter changes
-  // Initial fetch and refetch on filter changes
+  // A short delay lets quick bursts of chip clicks settle into a single request
   useEffect(() => {
     if (currentView === 'app' && activeTab === 'issues') {
-      fetchIssues()
+      const timer = setTimeout(() => fetchIssues(), FILTER_SETTLE_MS)
+      return () => clearTimeout(timer)
     }
   }, [fetchIssues, currentView, activeTab])
 
   // Fetch trending repos when tab changes or filters change
   useEffect(() => {
     if (currentView === 'app' && activeTab === 'trending') {
-      fetchTrendingRepos()
+      const timer = setTimeout(() => fetchTrendingRepos(), FILTER_SETTLE_MS)
+      return () => clearTimeout(timer)
     }
   }, [fetchTrendingRepos, currentView, activeTab])
 
+  // Cancel anything still in flight when the app unmounts
+  useEffect(() => () => {
+    issuesRequestRef.current?.abort()
+    trendingRequestRef.current?.abort()
+  }, [])
+
+  // Replace every issue filter at once (watched and saved searches)
+  const applyFilters = (filters) => {
+    setSearchQuery(filters.searchQuery)
+    setLanguage(filters.language)
+    setPopularity(filters.popularity)
+    setUnassignedOnly(filters.unassignedOnly)
+    setNoLinkedPR(filters.noLinkedPR)
+    setSelectedLabels(filters.selectedLabels)
+    setSelectedCategories(filters.selectedCategories)
+    setSortBy(filters.sortBy)
+  }
+
+  // Show a watched search: its filters, with its new issues marked as seen
+  const openWatch = (watch) => {
+    // New issues come first
+    applyFilters({ ...watch.filters, sortBy: 'created' })
+    markWatchRead(watch.id)
+  }
+
   // Handle search form submission
   const handleSearch = (e) => {
     e.preventDefault()
     setCurrentView('app')
     if (activeTab === 'issues') {
-      fetchIssues()
+      if (searchQuery !== debouncedSearchQuery) {
+        // Skip the typing debounce - the new query triggers the fetch effect
+        flushSearchQuery()
+      } else {
+        fetchIssues()
+      }
     } else {
       fetchTrendingRepos()
     }
@@ -376,7 +827,73 @@ function App() {
     }) + ' IST'
   }
 
+  // Open the detail drawer for an issue
+  // Modified clicks (new tab, etc.) on links still go straight to GitHub
+  const openIssue = (e, issue) => {
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.button === 1) return
+    e.preventDefault()
+    setSelectedIssue(issue)
+  }
+
+  // Saved issues only keep a summary - the drawer loads the rest
+  const openSavedIssue = (e, item) => openIssue(e, {
+    id: item.key,
+    number: item.number,
+    title: item.title,
+    html_url: item.url,
+    repository_url: `https://api.github.com/repos/${item.repo}`
+  })
+
+  const closeIssue = useCallback(() => setSelectedIssue(null), [])
+
+  // After a "I'd like to work on this" comment: save the issue as being worked on,
+  // without moving one that's already further along back
+  const markClaimed = (issue) => {
+    const item = issueToSavedItem(issue)
+    const saved = savedItems.find(savedItem => savedItem.key === item.key)
+    if (!saved) {
+      toggleSaved({ ...item, status: 'working' })
+    } else if (['interested', 'working'].includes(saved.status)) {
+      updateSavedItem(item.key, { status: 'working' })
+    }
+  }
+
+  // In-app path of a repository page, used as the href of repo links
+  const repoPageUrl = (fullName) => buildUrl('repo', null, { repo: fullName })
+
+  // Open the in-app repository page (modified clicks open it in a new tab)
+  const openRepo = (e, fullName) => {
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.button === 1) return
+    e.preventDefault()
+    setSelectedIssue(null)
+    setRepoPageName(fullName)
+    navigateTo('repo')
+  }
+
+  // Back from the repository page or dashboard to wherever it was opened from -
+  // or to the results, when it was opened straight from a link
+  const goBack = () => {
+    if (canGoBackInApp()) {
+      window.history.back()
+    } else {
+      navigateTo('app')
+    }
+  }
+
+  // Format a date as a rough "3 days ago" style string
+  const formatRelativeTime = (dateString) => {
+    const days = Math.floor((Date.now() - new Date(dateString).getTime()) / (24 * 60 * 60 * 1000))
+    if (days < 1) return 'today'
+    if (days === 1) return 'yesterday'
+    if (days < 30) return `${days} days ago`
+    if (days < 365) return `${Math.floor(days / 30)} months ago`
+    return `${Math.floor(days / 365)} years ago`
+  }
+
   // Get color for label based on its name
+  // Beginner labels first, whatever the project calls them, so they're never cut off
+  const sortLabels = (labels = []) => [...labels].sort((a, b) => isBeginnerLabel(b.name) - isBeginnerLabel(a.name))
+
   const getLabelStyle = (label) => {
     const color = label.color || '6b7280'
     return {
@@ -426,32 +943,32 @@ function App() {
           </div>
 
           <nav className="nav-links" aria-label="Main navigation">
-            <a href="#" className="nav-link" onClick={(e) => {
+            <a href="/" className="nav-link" onClick={(e) => {
               e.preventDefault();
               navigateTo('hero');
             }}>
               Home
             </a>
-            <a href="#about" className="nav-link" onClick={(e) => {
+            <a href="/about" className="nav-link" onClick={(e) => {
               e.preventDefault();
               navigateTo('about');
             }}>
               About
             </a>
-            <a href="#explore" className="nav-link" onClick={(e) => {
+            <a href="/explore" className="nav-link" onClick={(e) => {
               e.preventDefault();
               setActiveTab('issues');
               navigateTo('app');
             }}>
               Explore Issues
             </a>
-            <a href="#trending" className="nav-link" onClick={(e) => {
+            <a href="/trending" className="nav-link" onClick={(e) => {
               e.preventDefault();
               showTrending();
             }}>
               Hot Repos
             </a>
-            <a href="#resources" className="nav-link" onClick={(e) => {
+            <a href="/resources" className="nav-link" onClick={(e) => {
               e.preventDefault();
               navigateTo('resources');
             }}>Resources</a>
@@ -459,14 +976,25 @@ function App() {
 
           {/* Auth Button */}
           <div className="auth-section">
+            <RateLimitIndicator />
             {isAuthenticated ? (
               <div className="user-menu">
-                <img
-                  src={user?.avatar_url}
-                  alt={user?.login}
-                  className="user-avatar"
-                />
-                <span className="user-name">{user?.login}</span>
+                <a
+                  href="/dashboard"
+                  className="user-dashboard-link"
+                  title="Your contributions"
+                  onClick={(e) => {
+                    e.preventDefault()
+                    navigateTo('dashboard')
+                  }}
+                >
+                  <img
+                    src={user?.avatar_url}
+                    alt={user?.login}
+                    className="user-avatar"
+                  />
+                  <span className="user-name">{user?.login}</span>
+                </a>
                 <button
                   className="btn btn-secondary btn-sm"
                   onClick={logout}
@@ -499,6 +1027,15 @@ function App() {
                 )}
               </button>
             )}
+            {!isAuthenticated && !authLoading && (
+              <button
+                className="device-login-link"
+                onClick={loginWithDevice}
+                title="Enter a code on github.com instead of being redirected - for kiosks and LAN addresses"
+              >
+                Use a code
+              </button>
+            )}
           </div>
 
           <button
@@ -511,6 +1048,21 @@ function App() {
         </div>
       </header>
 
+      {/* Sign-in failures, including rejected (forged or replayed) OAuth callbacks */}
+      {authError && (
+        <div className="auth-error-banner" role="alert">
+          <span>⚠️ {authError}</span>
+          <div className="auth-error-actions">
+            <button className="btn btn-primary btn-sm" onClick={login}>Sign in again</button>
+            <button className="btn btn-secondary btn-sm" onClick={loginWithDevice}>Use a code instead</button>
+            <button className="btn btn-secondary btn-sm" onClick={clearAuthError} aria-label="Dismiss sign-in error">✕</button>
+          </div>
+        </div>
+      )}
+
+      {/* Sign-in with a code (device flow) waiting for approval on GitHub */}
+      {deviceLogin && <DeviceLogin deviceLogin={deviceLogin} onCancel={cancelDeviceLogin} />}
+
       {/* Mobile Navigation Menu */}
       {mobileMenuOpen && (
         <div className="mobile-menu-overlay" style={{
@@ -529,21 +1081,21 @@ function App() {
           gap: '2rem',
           padding: '2rem'
         }}>
-          <a href="#" className="nav-link" style={{ fontSize: '1.5rem' }} onClick={(e) => {
+          <a href="/" className="nav-link" style={{ fontSize: '1.5rem' }} onClick={(e) => {
             e.preventDefault();
             navigateTo('hero');
             setMobileMenuOpen(false);
           }}>
             Home
           </a>
-          <a href="#about" className="nav-link" style={{ fontSize: '1.5rem' }} onClick={(e) => {
+          <a href="/about" className="nav-link" style={{ fontSize: '1.5rem' }} onClick={(e) => {
             e.preventDefault();
             navigateTo('about');
             setMobileMenuOpen(false);
           }}>
             About
           </a>
-          <a href="#explore" className="nav-link" style={{ fontSize: '1.5rem' }} onClick={(e) => {
+          <a href="/explore" className="nav-link" style={{ fontSize: '1.5rem' }} onClick={(e) => {
             e.preventDefault();
             setActiveTab('issues');
             navigateTo('app');
@@ -551,14 +1103,14 @@ function App() {
           }}>
             Explore Issues
           </a>
-          <a href="#trending" className="nav-link" style={{ fontSize: '1.5rem' }} onClick={(e) => {
+          <a href="/trending" className="nav-link" style={{ fontSize: '1.5rem' }} onClick={(e) => {
             e.preventDefault();
             showTrending();
             setMobileMenuOpen(false);
           }}>
             Hot Repos
           </a>
-          <a href="#resources" className="nav-link" style={{ fontSize: '1.5rem' }} onClick={(e) => {
+          <a href="/resources" className="nav-link" style={{ fontSize: '1.5rem' }} onClick={(e) => {
             e.preventDefault();
             navigateTo('resources');
             setMobileMenuOpen(false);
@@ -593,6 +1145,13 @@ function App() {
                   }}
                 />
                 <span style={{ color: 'var(--dark-200)', fontSize: '1rem' }}>{user?.login}</span>
+                <a href="/dashboard" className="nav-link" onClick={(e) => {
+                  e.preventDefault();
+                  navigateTo('dashboard');
+                  setMobileMenuOpen(false);
+                }}>
+                  My Contributions
+                </a>
                 <button
                   className="btn btn-secondary btn-sm"
                   onClick={() => {
@@ -637,6 +1196,17 @@ function App() {
                 )}
               </button>
             )}
+            {!isAuthenticated && !authLoading && (
+              <button
+                className="device-login-link"
+                onClick={() => {
+                  loginWithDevice();
+                  setMobileMenuOpen(false);
+                }}
+              >
+                Sign in with a code instead
+              </button>
+            )}
           </div>
         </div>
       )}
@@ -945,6 +1515,11 @@ function App() {
                 aria-selected={activeTab === 'issues'}
               >
                 Explore Issues
+                {watchUnreadCount > 0 && (
+                  <span className="tab-badge" aria-label={`${watchUnreadCount} new in your watched searches`}>
+                    {watchUnreadCount > 99 ? '99+' : watchUnreadCount}
+                  </span>
+                )}
               </button>
               <button
                 className={`tab ${activeTab === 'trending' ? 'active' : ''}`}
@@ -954,6 +1529,22 @@ function App() {
               >
                 Hot Repos
               </button>
+              <button
+                className={`tab ${activeTab === 'saved' ? 'active' : ''}`}
+                onClick={() => setActiveTab('saved')}
+                role="tab"
+                aria-selected={activeTab === 'saved'}
+              >
+                Saved{savedItems.length > 0 && ` (${savedItems.length})`}
+              </button>
+              <button
+                className={`tab ${activeTab === 'foryou' ? 'active' : ''}`}
+                onClick={() => setActiveTab('foryou')}
+                role="tab"
+                aria-selected={activeTab === 'foryou'}
+              >
+                For You
+              </button>
             </div>
           </div>
 
@@ -990,6 +1581,22 @@ function App() {
                     </button>
                   </form>
 
+                  <div className="search-tools">
+                    <PresetMenu
+                      builtInPresets={BUILT_IN_PRESETS}
+                      presets={presets}
+                      currentFilters={{ ...currentFilters, sortBy }}
+                      defaultName={describeFilters(currentFilters)}
+                      syncing={presetsSyncing}
+                      syncError={presetsSyncError}
+                      onApply={(preset) => applyFilters(preset.filters)}
+                      onSave={savePreset}
+                      onRemove={removePreset}
+                      onImport={importPresets}
+                    />
+                    <FeedSubscribe filters={currentFilters} />
+                  </div>
+
                   <div className="filters" role="group" aria-label="Filter options">
                     <div className="filter-group">
                       <label className="filter-label" htmlFor="language-select">Language</label>
@@ -1089,8 +1696,11 @@ function App() {
                             onClick={() => {
                               if (isSelected) {
                                 setSelectedLabels(prev => prev.filter(l => l !== label.value))
+                              } else if (label.value === ANY_BEGINNER_LABEL) {
+                                // "Any" already covers every other beginner label
+                                setSelectedLabels([ANY_BEGINNER_LABEL])
                               } else {
-                                setSelectedLabels(prev => [...prev, label.value])
+                                setSelectedLabels(prev => [...prev.filter(l => l !== ANY_BEGINNER_LABEL), label.value])
                               }
                             }}
                             aria-pressed={isSelected}
@@ -1110,6 +1720,61 @@ function App() {
                       )}
                     </div>
                   </div>
+
+                  {/* Availability - skip issues someone is already working on */}
+                  <div className="category-section">
+                    <span className="category-label">Availability:</span>
+                    <div className="category-pills" role="group" aria-label="Filter by availability">
+                      {[
+                        { label: 'Unassigned', icon: '🙅', active: unassignedOnly, toggle: setUnassignedOnly },
+                        { label: 'No linked PR', icon: '🔗', active: noLinkedPR, toggle: setNoLinkedPR },
+                        { label: 'Hide taken', icon: '🙈', active: hideTaken, toggle: setHideTaken }
+                      ].map(option => (
+                        <button
+                          key={option.label}
+                          className={`category-pill ${option.active ? 'active' : ''}`}
+                          onClick={() => option.toggle(prev => !prev)}
+                          aria-pressed={option.active}
+                        >
+                          <span className="category-icon" aria-hidden="true">{option.icon}</span>
+                          {option.label}
+                          {option.active && <span className="selected-check">✓</span>}
+                        </button>
+                      ))}
+                    </div>
+                    {hideTaken && !isAuthenticated && (
+                      <p className="availability-hint">
+                        Signed out, only assigned issues are hidden. Sign in to also hide issues claimed in a comment.
+                      </p>
+                    )}
+                  </div>
+
+                  {/* Maintainers - skip repositories nobody is looking after */}
+                  <div className="category-section">
+                    <span className="category-label">Maintainers:</span>
+                    <div className="category-pills" role="group" aria-label="Filter by maintainer activity">
+                      {[
+                        { label: 'Active in last 30 days', icon: '🌱', active: activeOnly, toggle: setActiveOnly },
+                        { label: 'Responds within a week', icon: '⚡', active: respondsWeek, toggle: setRespondsWeek }
+                      ].map(option => (
+                        <button
+                          key={option.label}
+                          className={`category-pill ${option.active ? 'active' : ''}`}
+                          onClick={() => option.toggle(prev => !prev)}
+                          aria-pressed={option.active}
+                        >
+                          <span className="category-icon" aria-hidden="true">{option.icon}</span>
+                          {option.label}
+                          {option.active && <span className="selected-check">✓</span>}
+                        </button>
+                      ))}
+                    </div>
+                    {(activeOnly || respondsWeek) && (
+                      <p className="availability-hint">
+                        Filters the issues already loaded, based on each repository's recent pushes and maintainer replies.
+                      </p>
+                    )}
+                  </div>
                 </div>
               </section>
 
@@ -1119,25 +1784,97 @@ function App() {
                   <h2 className="issues-title">
                     🎁 Beginner-Friendly Issues
                   </h2>
+                  <button
+                    type="button"
+                    className={`quick-filter watch-search-button ${currentWatch ? 'active' : ''}`}
+                    onClick={() => (currentWatch
+                      ? removeWatch(currentWatch.id)
+                      : addWatch(describeFilters(currentFilters), currentFilters))}
+                    aria-pressed={!!currentWatch}
+                    title={currentWatch
+                      ? 'Stop watching this search'
+                      : 'Check this search for new issues every few minutes and get notified'}
+                  >
+                    {currentWatch ? '🔔 Watching' : '🔕 Watch this search'}
+                  </button>
+                  <div className="pagination-mode" role="group" aria-label="Pagination mode">
+                    <button
+                      className={`quick-filter ${paginationMode === 'pages' ? 'active' : ''}`}
+                      onClick={() => changePaginationMode('pages')}
+                      aria-pressed={paginationMode === 'pages'}
+                    >
+                      Pages
+                    </button>
+                    <button
+                      className={`quick-filter ${paginationMode === 'infinite' ? 'active' : ''}`}
+                      onClick={() => changePaginationMode('infinite')}
+                      aria-pressed={paginationMode === 'infinite'}
+                    >
+                      Infinite Scroll
+                    </button>
+                  </div>
                 </div>
 
-                {/* Loading State */}
-                {loading && (
+                {/* Search cap notice - GitHub stops serving results after the first 1,000 */}
+                {!error && totalCount > SEARCH_RESULT_CAP && (
+                  <p className="results-cap-notice">
+                    GitHub only returns the first {SEARCH_RESULT_CAP.toLocaleString()} of {totalCount.toLocaleString()} matching issues.
+                    Add a language, label or keyword to narrow the search.
+                  </p>
+                )}
+
+                <Watches
+                  watches={watches}
+                  activeWatchId={currentWatch?.id}
+                  notificationPermission={notificationPermission}
+                  onOpen={openWatch}
+                  onRemove={removeWatch}
+                />
+
+                {/* Offline - the last results we had, refreshed once the connection is back */}
+                {issuesCachedAt && (
+                  <p className="offline-notice" role="status">
+                    📦 {online ? 'Couldn\'t reach GitHub' : 'You\'re offline'} - showing the results cached at {formatDate(issuesCachedAt)}.
+                    <button type="button" className="offline-notice-retry" onClick={() => fetchIssues()} disabled={loading}>
+                      Try again
+                    </button>
+                  </p>
+                )}
+
+                {/* Loading State - only when there are no cards to keep on screen */}
+                {loading && issues.length === 0 && (
                   <div className="loading-container">
                     <div className="loading-spinner"></div>
                     <p className="loading-text">Finding the best issues for you...</p>
                   </div>
                 )}
 
+                {/* Rate Limited - retries automatically once GitHub allows it */}
+                {error && pendingRetry && issues.length === 0 && (
+                  <div className="empty-state" style={{ borderColor: 'var(--warning-500)' }}>
+                    <div className="empty-icon">⏳</div>
+                    <h3 className="empty-title">Hit GitHub's rate limit</h3>
+                    <p className="empty-description">{error}</p>
+                    <p className="empty-description" style={{ marginTop: 'var(--space-sm)' }}>
+                      Retrying automatically in {formatCountdown(pendingRetry.at)}...
+                    </p>
+                    {!isAuthenticated && (
+                      <button className="btn btn-primary" onClick={login} style={{ marginTop: 'var(--space-lg)' }}>
+                        Sign in with GitHub
+                      </button>
+                    )}
+                  </div>
+                )}
+
                 {/* Error State */}
-                {error && (
+                {error && !pendingRetry && issues.length === 0 && (
                   <div className="empty-state" style={{ borderColor: 'var(--error-500)' }}>
                     <div className="empty-icon">{retryCount >= 2 ? '🛑' : '⚠️'}</div>
                     <h3 className="empty-title">
                       {retryCount >= 2 ? 'Slow down and please sign in with GitHub!' : 'Oops! Something went wrong'}
                     </h3>
                     <p className="empty-description">
-                      {retryCount >= 2
+                      {retryCount >= 2 && !isAuthenticated
                         ? 'You\'ve hit the rate limit multiple times. Sign in with GitHub to get 5,000 requests/hour instead of 10/minute!'
                         : error
                       }
@@ -1172,17 +1909,43 @@ function App() {
                   </div>
                 )}
 
+                {/* Every issue on the page is hidden by the availability/maintainer filters */}
+                {!loading && issues.length > 0 && visibleIssues.length === 0 && (
+                  <div className="empty-state">
+                    <div className="empty-icon">🙋</div>
+                    <h3 className="empty-title">Nothing here passes your filters</h3>
+                    <p className="empty-description">
+                      All {issues.length} issues on this page are taken or in repositories that don't match your maintainer filters.
+                      Load more results or loosen the Availability and Maintainers filters.
+                    </p>
+                  </div>
+                )}
+
+                {visibleIssues.length > 0 && issues.length > visibleIssues.length && (
+                  <p className="results-cap-notice">
+                    {issues.length - visibleIssues.length} {issues.length - visibleIssues.length === 1 ? 'issue' : 'issues'} on this page hidden by your filters.
+                  </p>
+                )}
+
                 {/* Issues Grid with TiltedCard */}
-                {!loading && !error && issues.length > 0 && (
-                  <div className="issues-grid">
-                    {issues.map(issue => {
+                {visibleIssues.length > 0 && (
+                  <div className={`issues-grid ${loading ? 'is-refreshing' : ''}`} aria-busy={loading}>
+                    {visibleIssues.map(issue => {
                       const repo = getRepoInfo(issue)
+                      const meta = repoMeta[repo.full]
+                      const status = availability[issue.id]
                       return (
                         <div
                           key={issue.id}
                           className="issue-card-wrapper"
                         >
-                          <article className="issue-card">
+                          <article
+                            className="issue-card issue-card-clickable"
+                            onClick={(e) => {
+                              // Links and buttons inside the card keep their own behaviour
+                              if (!e.target.closest('a, button')) openIssue(e, issue)
+                            }}
+                          >
                             <div className="issue-header">
                               <div className="issue-repo-avatar">
                                 {issue.user?.avatar_url ? (
@@ -1197,10 +1960,9 @@ function App() {
                               </div>
                               <div className="issue-info">
                                 <a
-                                  href={`https://github.com/${repo.full}`}
-                                  target="_blank"
-                                  rel="noopener noreferrer"
+                                  href={repoPageUrl(repo.full)}
                                   className="issue-repo"
+                                  onClick={(e) => openRepo(e, repo.full)}
                                 >
                                   <span>📁</span> {repo.full}
                                 </a>
@@ -1209,10 +1971,15 @@ function App() {
                                   target="_blank"
                                   rel="noopener noreferrer"
                                   className="issue-title"
+                                  onClick={(e) => openIssue(e, issue)}
                                 >
                                   {issue.title}
                                 </a>
                               </div>
+                              <SaveButton
+                                saved={isSaved(issueToSavedItem(issue).key)}
+                                onToggle={() => toggleSaved(issueToSavedItem(issue))}
+                              />
                             </div>
 
                             {issue.body && (
@@ -1223,7 +1990,8 @@ function App() {
                             )}
 
                             <div className="issue-labels">
-                              {issue.labels?.slice(0, 4).map(label => (
+                              <AvailabilityBadge availability={status} checked={isAuthenticated} />
+                              {sortLabels(issue.labels).slice(0, 4).map(label => (
                                 <span
                                   key={label.id}
                                   className="issue-label"
@@ -1239,14 +2007,24 @@ function App() {
                               )}
                             </div>
 
+                            {meta && (
+                              <div className="repo-meta-row">
+                                <span>🍴 {meta.forks.toLocaleString()} forks</span>
+                                {meta.license && <span>📜 {meta.license}</span>}
+                                {meta.pushedAt && <span>🕐 pushed {formatRelativeTime(meta.pushedAt)}</span>}
+                                {meta.archived && <span className="repo-archived-badge">Archived</span>}
+                              </div>
+                            )}
+
                             <div className="issue-footer">
                               <div className="issue-meta">
                                 <span className="issue-meta-item">
-                                  ⭐ {repoStars[repo.full] !== undefined && repoStars[repo.full] !== null
-                                    ? repoStars[repo.full].toLocaleString()
-                                    : <a href={`https://github.com/${repo.full}`} target="_blank" rel="noopener noreferrer" style={{ color: 'inherit' }}>{repo.full}</a>
+                                  ⭐ {meta
+                                    ? meta.stars.toLocaleString()
+                                    : <a href={repoPageUrl(repo.full)} onClick={(e) => openRepo(e, repo.full)} style={{ color: 'inherit' }}>{repo.full}</a>
                                   }
                                 </span>
+                                <MaintainerSignal activity={repoActivity[repo.full]} pushedAt={meta?.pushedAt} />
                                 <span className="issue-meta-item">
                                   💬 {issue.comments}
                                 </span>
@@ -1269,6 +2047,61 @@ function App() {
                     })}
                   </div>
                 )}
+
+                {/* Page Controls - follow the rel links from GitHub's Link header */}
+                {paginationMode === 'pages' && !error && issues.length > 0 && (pageLinks.prev || pageLinks.next) && (
+                  <nav className="pagination" aria-label="Issue result pages">
+                    <button className="btn btn-secondary btn-sm" onClick={() => goToPage(pageLinks.first)} disabled={!pageLinks.first || loading}>
+                      « First
+                    </button>
+                    <button className="btn btn-secondary btn-sm" onClick={() => goToPage(pageLinks.prev)} disabled={!pageLinks.prev || loading}>
+                      ‹ Prev
+                    </button>
+                    <span className="pagination-status">
+                      Page {currentPage} of {Math.max(lastPage, currentPage)}
+                    </span>
+                    <button className="btn btn-secondary btn-sm" onClick={() => goToPage(pageLinks.next)} disabled={!pageLinks.next || loading}>
+                      Next ›
+                    </button>
+                    <button className="btn btn-secondary btn-sm" onClick={() => goToPage(pageLinks.last)} disabled={!pageLinks.last || loading}>
+                      Last »
+                    </button>
+                  </nav>
+                )}
+
+                {/* Infinite Scroll - sentinel triggers the next page as it comes into view */}
+                {paginationMode === 'infinite' && issues.length > 0 && (
+                  <>
+                    <div ref={sentinelRef} className="scroll-sentinel" aria-hidden="true"></div>
+                    {loadingMore && (
+                      <div className="loading-container loading-more">
+                        <div className="loading-spinner"></div>
+                        <p className="loading-text">Loading more issues...</p>
+                      </div>
+                    )}
+                    {!loading && !loadingMore && !error && !pageLinks.next && (
+                      <p className="results-end">
+                        {totalCount > SEARCH_RESULT_CAP
+                          ? `You've reached GitHub's ${SEARCH_RESULT_CAP.toLocaleString()}-result search limit.`
+                          : `That's all ${issues.length.toLocaleString()} issues.`}
+                      </p>
+                    )}
+                  </>
+                )}
+
+                {/* Error while loading an extra page - keep the cards, offer a retry */}
+                {error && issues.length > 0 && (
+                  <div className="results-end">
+                    <p>{error}</p>
+                    {pendingRetry ? (
+                      <p>Retrying automatically in {formatCountdown(pendingRetry.at)}...</p>
+                    ) : (
+                      <button className="btn btn-secondary btn-sm" onClick={loadMoreIssues}>
+                        Try Again
+                      </button>
+                    )}
+                  </div>
+                )}
               </section>
             </>
           )}
@@ -1285,6 +2118,19 @@ function App() {
                   </div>
 
                   <div className="filters" role="group" aria-label="Hot filters">
+                    <div className="filter-group">
+                      <label className="filter-label" htmlFor="trending-mode">Show</label>
+                      <select
+                        id="trending-mode"
+                        className="filter-select"
+                        value={trendingMode}
+                        onChange={(e) => setTrendingMode(e.target.value)}
+                      >
+                        <option value="stars">📈 Most Stars Gained</option>
+                        <option value="new">🌱 New Repos</option>
+                      </select>
+                    </div>
+
                     <div className="filter-group">
                       <label className="filter-label" htmlFor="trending-language">Language</label>
                       <select
@@ -1325,6 +2171,15 @@ function App() {
                   </h2>
                 </div>
 
+                {trendingCachedAt && !trendingLoading && (
+                  <p className="offline-notice" role="status">
+                    📦 {online ? 'Couldn\'t reach the server' : 'You\'re offline'} - showing the hot repos cached at {formatDate(trendingCachedAt)}.
+                    <button type="button" className="offline-notice-retry" onClick={() => fetchTrendingRepos()}>
+                      Try again
+                    </button>
+                  </p>
+                )}
+
                 {/* Loading State */}
                 {trendingLoading && (
                   <div className="loading-container">
@@ -1339,14 +2194,37 @@ function App() {
                     <div className="empty-icon">⚠️</div>
                     <h3 className="empty-title">Oops! Something went wrong</h3>
                     <p className="empty-description">{trendingError}</p>
-                    <button className="btn btn-primary" onClick={fetchTrendingRepos} style={{ marginTop: 'var(--space-lg)' }}>
-                      Try Again
+                    {trendingRetryAt ? (
+                      <p className="empty-description" style={{ marginTop: 'var(--space-sm)' }}>
+                        Retrying automatically in {formatCountdown(trendingRetryAt)}...
+                      </p>
+                    ) : (
+                      <button className="btn btn-primary" onClick={fetchTrendingRepos} style={{ marginTop: 'var(--space-lg)' }}>
+                        Try Again
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {/* Star history still being collected - nothing to rank yet */}
+                {!trendingLoading && !trendingError && trendingRepos.length === 0 && trendingStatus?.warmingUp && (
+                  <div className="empty-state">
+                    <div className="empty-icon">📊</div>
+                    <h3 className="empty-title">Still collecting star history</h3>
+                    <p className="empty-description">
+                      {trendingStatus.trackingSince
+                        ? `Star counts have been tracked since ${formatDate(trendingStatus.trackingSince)}, which doesn't cover this period yet.`
+                        : 'The first star snapshot hasn\'t been taken yet.'}
+                      {' '}Try a shorter period, or see what's new in the meantime.
+                    </p>
+                    <button className="btn btn-primary" onClick={() => setTrendingMode('new')} style={{ marginTop: 'var(--space-lg)' }}>
+                      Show New Repos
                     </button>
                   </div>
                 )}
 
                 {/* Empty State */}
-                {!trendingLoading && !trendingError && trendingRepos.length === 0 && (
+                {!trendingLoading && !trendingError && trendingRepos.length === 0 && !trendingStatus?.warmingUp && (
                   <div className="empty-state">
                     <div className="empty-icon">🔎</div>
                     <h3 className="empty-title">No hot repos found</h3>
@@ -1379,22 +2257,24 @@ function App() {
                             </div>
                             <div className="issue-info">
                               <a
-                                href={repo.html_url}
-                                target="_blank"
-                                rel="noopener noreferrer"
+                                href={repoPageUrl(repo.full_name)}
                                 className="issue-repo"
+                                onClick={(e) => openRepo(e, repo.full_name)}
                               >
                                 <span>📁</span> {repo.full_name}
                               </a>
                               <a
-                                href={repo.html_url}
-                                target="_blank"
-                                rel="noopener noreferrer"
+                                href={repoPageUrl(repo.full_name)}
                                 className="issue-title"
+                                onClick={(e) => openRepo(e, repo.full_name)}
                               >
                                 {repo.name}
                               </a>
                             </div>
+                            <SaveButton
+                              saved={isSaved(repoToSavedItem(repo).key)}
+                              onToggle={() => toggleSaved(repoToSavedItem(repo))}
+                            />
                           </div>
 
                           {repo.description && (
@@ -1405,6 +2285,11 @@ function App() {
                           )}
 
                           <div className="issue-labels">
+                            {repo.stars_gained > 0 && (
+                              <span className="issue-label" style={{ background: 'rgba(6, 182, 212, 0.2)', color: '#22d3ee', border: '1px solid rgba(6, 182, 212, 0.4)' }}>
+                                📈 +{repo.stars_gained.toLocaleString()} {TRENDING_PERIOD_LABELS[trendingPeriod]}
+                              </span>
+                            )}
                             <span className="issue-label" style={{ background: 'rgba(251, 146, 60, 0.2)', color: '#fb923c', border: '1px solid rgba(251, 146, 60, 0.4)' }}>
                               ⭐ {repo.stargazers_count.toLocaleString()}
                             </span>
@@ -1418,6 +2303,16 @@ function App() {
                             )}
                           </div>
 
+                          {isAuthenticated && (
+                            <RepoActions
+                              fullName={repo.full_name}
+                              interaction={trendingInteractions[repo.full_name]}
+                              canWrite={canWrite}
+                              onRequestAccess={requestWriteAccess}
+                              onChange={refreshTrendingInteractions}
+                            />
+                          )}
+
                           <div className="issue-footer">
                             <div className="issue-meta">
                               <span className="issue-meta-item">
@@ -1445,6 +2340,43 @@ function App() {
             </>
           )}
 
+          {/* Saved Tab Content */}
+          {activeTab === 'saved' && (
+            <SavedItems
+              items={savedItems}
+              onUpdate={updateSavedItem}
+              onRemove={removeSavedItem}
+              onOpenIssue={openSavedIssue}
+              onOpenRepo={openRepo}
+              repoPageUrl={repoPageUrl}
+              isAuthenticated={isAuthenticated}
+              onLogin={login}
+              syncing={savedSyncing}
+              syncError={savedSyncError}
+            />
+          )}
+
+          {/* For You Tab Content */}
+          {activeTab === 'foryou' && (
+            <ForYou
+              profile={forYou.profile}
+              issues={forYou.issues}
+              repoMeta={forYouRepoMeta}
+              loading={forYou.loading}
+              error={forYou.error}
+              onRefresh={forYou.refresh}
+              prefs={forYouPrefs}
+              onPrefsChange={setForYouPrefs}
+              isAuthenticated={isAuthenticated}
+              onLogin={login}
+              onOpenIssue={openIssue}
+              onOpenRepo={openRepo}
+              repoPageUrl={repoPageUrl}
+              isSaved={(issue) => isSaved(issueToSavedItem(issue).key)}
+              onToggleSave={(issue) => toggleSaved(issueToSavedItem(issue))}
+            />
+          )}
+
           {/* Resources Section */}
           <section className="resources-section" id="resources">
             <div className="section-header">
@@ -1510,6 +2442,55 @@ function App() {
         </main>
       )}
 
+      {/* Repository Page */}
+      {currentView === 'repo' && repoPageName && (
+        <main className="main-content" id="main-content" role="main">
+          <RepoPage
+            key={repoPageName}
+            fullName={repoPageName}
+            onBack={goBack}
+            onOpenIssue={openIssue}
+            isSaved={(repo) => isSaved(repoToSavedItem(repo).key)}
+            onToggleSave={(repo) => toggleSaved(repoToSavedItem(repo))}
+            isAuthenticated={isAuthenticated}
+            canWrite={canWrite}
+            onRequestAccess={requestWriteAccess}
+          />
+        </main>
+      )}
+
+      {/* Contributor Dashboard - waits for a stored sign-in to be verified */}
+      {currentView === 'dashboard' && !authLoading && (
+        <main className="main-content" id="main-content" role="main">
+          <Dashboard
+            user={isAuthenticated ? user : null}
+            onBack={goBack}
+            onLogin={login}
+            onOpenRepo={openRepo}
+            repoPageUrl={repoPageUrl}
+          />
+        </main>
+      )}
+
+      {/* Issue Detail Drawer */}
+      {selectedIssue && (
+        <IssueDrawer
+          key={selectedIssue.id}
+          issue={selectedIssue}
+          repoFullName={getRepoInfo(selectedIssue).full}
+          isAuthenticated={isAuthenticated}
+          canWrite={canWrite}
+          onRequestAccess={() => {
+            rememberOpenIssue(selectedIssue)
+            requestWriteAccess()
+          }}
+          onClaimed={markClaimed}
+          onClose={closeIssue}
+          onOpenRepo={openRepo}
+          repoPageUrl={repoPageUrl(getRepoInfo(selectedIssue).full)}
+        />
+      )}
+
       < footer className="footer global-footer" style={{ padding: '3rem 2rem', textAlign: 'center', position: 'relative', zIndex: 10, marginTop: 'auto' }}>
         <p style={{ color: 'var(--dark-300)', fontSize: '0.9rem', fontFamily: 'var(--font-mono)', letterSpacing: '0.02em', marginBottom: '0.5rem' }}>
           Built with <span style={{ color: '#ef4444', margin: '0 4px' }}>❤️</span> by Aditya Ojha in Bangalore
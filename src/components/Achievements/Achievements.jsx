@@ -0,0 +1,87 @@
+import { useState } from 'react'
+import { useAchievements } from '../../hooks/useAchievements'
+import { AUTH_SERVER_URL } from '../../config'
+import './Achievements.css'
+
+/**
+ * Achievement badges and the weekly contribution streak for the dashboard,
+ * with a Markdown snippet for the shareable README badge
+ */
+const Achievements = ({ login }) => {
+    const { achievements, streak, loading, error } = useAchievements(login)
+    const [copied, setCopied] = useState(false)
+
+    const badgeUrl = `${AUTH_SERVER_URL}/achievements/${encodeURIComponent(login)}/badge.svg`
+    const snippet = `[![Psankho achievements](${badgeUrl})](${window.location.origin})`
+    const earnedCount = achievements.filter(achievement => achievement.earned).length
+
+    const copySnippet = async () => {
+        try {
+            await navigator.clipboard.writeText(snippet)
+            setCopied(true)
+            setTimeout(() => setCopied(false), 2000)
+        } catch {
+            // Clipboard blocked - the snippet is still there to select by hand
+        }
+    }
+
+    return (
+        <div className="repo-panel achievements">
+            <div className="achievements-header">
+                <h2 className="repo-panel-title">
+                    Achievements {!loading && !error && `(${earnedCount}/${achievements.length})`}
+                </h2>
+                {streak && (
+                    <span className={`achievements-streak ${streak.current >= 2 ? 'active' : ''}`} title={`Longest streak: ${streak.longest} weeks`}>
+                        🔥 {streak.current}-week streak
+                    </span>
+                )}
+            </div>
+
+            {loading && <p className="repo-muted">Checking your achievements...</p>}
+            {error && <p className="repo-muted">Couldn't load achievements: {error}</p>}
+
+            {!loading && !error && (
+                <>
+                    <ul className="achievements-grid">
+                        {achievements.map(achievement => (
+                            <li
+                                key={achievement.id}
+                                className={`achievement ${achievement.earned ? 'earned' : 'locked'}`}
+                                title={achievement.description}
+                            >
+                                <span className="achievement-icon" aria-hidden="true">{achievement.icon}</span>
+                                <span className="achievement-name">{achievement.name}</span>
+                                <span className="achievement-detail">
+                                    {achievement.earned
+                                        ? achievement.detail || (achievement.earnedAt
+                                            ? `Earned ${new Date(achievement.earnedAt).toLocaleDateString()}`
+                                            : 'Earned')
+                                        : `${achievement.progress[0]} / ${achievement.progress[1]}`}
+                                </span>
+                                {!achievement.earned && (
+                                    <progress
+                                        className="achievement-progress"
+                                        value={achievement.progress[0]}
+                                        max={achievement.progress[1]}
+                                        aria-label={`${achievement.name} progress`}
+                                    />
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+
+                    <div className="achievements-share">
+                        <img src={badgeUrl} alt="Your Psankho badge" />
+                        <code className="achievements-snippet">{snippet}</code>
+                        <button type="button" className="btn btn-secondary btn-sm" onClick={copySnippet}>
+                            {copied ? '✓ Copied' : 'Copy for README'}
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    )
+}
+
+export default Achievements
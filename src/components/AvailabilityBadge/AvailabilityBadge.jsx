@@ -0,0 +1,49 @@
+import './AvailabilityBadge.css'
+
+/**
+ * Small pill on an issue card saying whether the issue is still up for grabs
+ * `availability` comes from useIssueAvailability; `checked` is false when
+ * comments aren't being scanned for claims (signed out).
+ */
+const AvailabilityBadge = ({ availability, checked }) => {
+    if (!availability) {
+        return checked ? (
+            <span className="availability-badge availability-checking">⏳ Checking…</span>
+        ) : (
+            <span className="availability-badge availability-unknown" title="Sign in to check comments for claims">
+                ❔ Unchecked
+            </span>
+        )
+    }
+
+    switch (availability.status) {
+        case 'assigned':
+            return (
+                <span className="availability-badge availability-taken" title={`Assigned to @${availability.by}`}>
+                    👤 Assigned
+                </span>
+            )
+        case 'claimed':
+            return (
+                <a
+                    className="availability-badge availability-claimed"
+                    href={availability.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    title={`@${availability.by} asked to work on this on ${new Date(availability.at).toLocaleDateString()}`}
+                >
+                    🙋 Claimed
+                </a>
+            )
+        case 'available':
+            return <span className="availability-badge availability-open">✅ Available</span>
+        default:
+            return (
+                <span className="availability-badge availability-unknown" title="Couldn't check the comments for claims">
+                    ❔ Unchecked
+                </span>
+            )
+    }
+}
+
+export default AvailabilityBadge
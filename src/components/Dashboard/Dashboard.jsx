@@ -0,0 +1,231 @@
+import { useState } from 'react'
+import { useContributions } from '../../hooks/useContributions'
+import Achievements from '../Achievements/Achievements'
+import './Dashboard.css'
+
+// Icon and wording for each kind of timeline entry
+const TIMELINE_KINDS = {
+    'first-pr': { icon: '🎉', label: 'Opened your first pull request' },
+    'first-merge': { icon: '🏆', label: 'Got your first pull request merged' },
+    'new-repo': { icon: '🌍', label: 'Contributed to a new repository' },
+    'pr-opened': { icon: '📤', label: 'Opened a pull request' },
+    'pr-merged': { icon: '✅', label: 'Pull request merged' },
+    'commented': { icon: '💬', label: 'Joined the discussion' }
+}
+
+// Pull request state -> badge
+const PR_STATES = {
+    open: { icon: '🟢', label: 'Open' },
+    merged: { icon: '🟣', label: 'Merged' },
+    closed: { icon: '🔴', label: 'Closed' }
+}
+
+// Timeline entries shown before "Show more"
+const TIMELINE_PREVIEW = 15
+
+const formatDay = (dateString) => new Date(dateString).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+})
+
+/**
+ * Contributor dashboard: pull requests opened and merged in other people's
+ * repositories, issues commented on, repositories contributed to and a
+ * timeline of the user's open-source journey, topped by their achievements
+ */
+const Dashboard = ({ user, onBack, onLogin, onOpenRepo, repoPageUrl }) => {
+    const { data, loading, error, refresh } = useContributions(user?.login)
+    const [prFilter, setPrFilter] = useState('')
+    const [showFullTimeline, setShowFullTimeline] = useState(false)
+
+    if (!user) {
+        return (
+            <section className="repo-page dashboard">
+                <div className="empty-state">
+                    <div className="empty-icon">📈</div>
+                    <h3 className="empty-title">Track your open-source journey</h3>
+                    <p className="empty-description">
+                        Sign in with GitHub to see your pull requests, the issues you've joined and every project you've contributed to.
+                    </p>
+                    <button type="button" className="btn btn-primary dashboard-cta" onClick={onLogin}>
+                        Sign in with GitHub
+                    </button>
+                </div>
+            </section>
+        )
+    }
+
+    if (error) {
+        return (
+            <section className="repo-page dashboard">
+                <button className="btn btn-secondary btn-sm" onClick={onBack}>← Back</button>
+                <div className="empty-state" style={{ borderColor: 'var(--error-500)' }}>
+                    <div className="empty-icon">⚠️</div>
+                    <h3 className="empty-title">Couldn't load your contributions</h3>
+                    <p className="empty-description">{error}</p>
+                    <button type="button" className="btn btn-secondary dashboard-cta" onClick={refresh}>
+                        Try Again
+                    </button>
+                </div>
+            </section>
+        )
+    }
+
+    if (!data) {
+        return (
+            <section className="repo-page dashboard">
+                <div className="loading-container">
+                    <div className="loading-spinner"></div>
+                    <p className="loading-text">Gathering your contributions...</p>
+                </div>
+            </section>
+        )
+    }
+
+    const { stats, pullRequests, commented, repos, timeline } = data
+    const visiblePRs = prFilter ? pullRequests.filter(pr => pr.state === prFilter) : pullRequests
+    const visibleTimeline = showFullTimeline ? timeline : timeline.slice(0, TIMELINE_PREVIEW)
+
+    return (
+        <section className="repo-page dashboard">
+            <button className="btn btn-secondary btn-sm" onClick={onBack}>← Back</button>
+
+            <header className="repo-page-header">
+                {user.avatar_url && <img className="repo-page-avatar" src={user.avatar_url} alt="" />}
+                <div className="repo-page-heading">
+                    <h1 className="repo-page-title">{user.name || user.login}'s journey</h1>
+                    <p className="repo-page-description">
+                        Contributions to repositories owned by someone other than @{user.login}
+                    </p>
+                </div>
+                <div className="repo-page-actions">
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={refresh} disabled={loading}>
+                        {loading ? 'Refreshing...' : '🔄 Refresh'}
+                    </button>
+                </div>
+            </header>
+
+            <div className="dashboard-stats">
+                {[
+                    { label: 'Pull requests opened', value: stats.opened },
+                    { label: 'Merged', value: stats.merged },
+                    { label: 'Still open', value: stats.open },
+                    { label: 'Issues commented on', value: stats.commented },
+                    { label: 'Repositories', value: stats.repos }
+                ].map(stat => (
+                    <div key={stat.label} className="repo-panel dashboard-stat">
+                        <span className="dashboard-stat-value">{stat.value.toLocaleString()}</span>
+                        <span className="dashboard-stat-label">{stat.label}</span>
+                    </div>
+                ))}
+            </div>
+
+            <Achievements login={user.login} />
+
+            {stats.opened === 0 && stats.commented === 0 && (
+                <div className="empty-state">
+                    <div className="empty-icon">🌱</div>
+                    <h3 className="empty-title">Your journey starts here</h3>
+                    <p className="empty-description">
+                        Nothing yet - pick a beginner issue, say hello in its comments, and your progress will show up on this page.
+                    </p>
+                </div>
+            )}
+
+            <div className="repo-page-grid">
+                {pullRequests.length > 0 && (
+                    <div className="repo-panel">
+                        <h2 className="repo-panel-title">Pull requests</h2>
+                        <div className="category-pills dashboard-filters" role="group" aria-label="Filter pull requests by state">
+                            {[{ value: '', label: 'All' }, ...Object.entries(PR_STATES).map(([value, { label }]) => ({ value, label }))].map(option => (
+                                <button
+                                    key={option.value}
+                                    className={`category-pill ${prFilter === option.value ? 'active' : ''}`}
+                                    onClick={() => setPrFilter(option.value)}
+                                    aria-pressed={prFilter === option.value}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                        <ul className="repo-issue-list">
+                            {visiblePRs.map(pr => (
+                                <li key={pr.id}>
+                                    <a href={pr.url} target="_blank" rel="noopener noreferrer">
+                                        <span title={PR_STATES[pr.state].label}>{PR_STATES[pr.state].icon}</span>{' '}
+                                        <span className="repo-muted">{pr.repo}#{pr.number}</span> {pr.title}
+                                    </a>
+                                    <span className="repo-muted">{formatDay(pr.createdAt)}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                {repos.length > 0 && (
+                    <div className="repo-panel">
+                        <h2 className="repo-panel-title">Repositories contributed to</h2>
+                        <ul className="repo-issue-list">
+                            {repos.map(repo => (
+                                <li key={repo.name}>
+                                    <a href={repoPageUrl(repo.name)} onClick={(e) => onOpenRepo(e, repo.name)}>
+                                        📁 {repo.name}
+                                    </a>
+                                    <span className="repo-muted">
+                                        {repo.merged} of {repo.pullRequests} merged
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                {commented.length > 0 && (
+                    <div className="repo-panel">
+                        <h2 className="repo-panel-title">Issues you've commented on</h2>
+                        <ul className="repo-issue-list">
+                            {commented.map(issue => (
+                                <li key={issue.id}>
+                                    <a href={issue.url} target="_blank" rel="noopener noreferrer">
+                                        <span className="repo-muted">{issue.repo}#{issue.number}</span> {issue.title}
+                                    </a>
+                                    <span className="repo-muted">{issue.state === 'open' ? 'Open' : 'Closed'}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </div>
+
+            {timeline.length > 0 && (
+                <div className="repo-panel">
+                    <h2 className="repo-panel-title">Timeline</h2>
+                    <ol className="dashboard-timeline">
+                        {visibleTimeline.map(entry => (
+                            <li key={`${entry.kind}-${entry.url}-${entry.at}`} className={`dashboard-timeline-${entry.kind}`}>
+                                <span className="dashboard-timeline-icon" aria-hidden="true">{TIMELINE_KINDS[entry.kind].icon}</span>
+                                <div>
+                                    <div className="dashboard-timeline-heading">
+                                        {TIMELINE_KINDS[entry.kind].label}
+                                        <span className="repo-muted"> · {formatDay(entry.at)}</span>
+                                    </div>
+                                    <a href={entry.url} target="_blank" rel="noopener noreferrer">
+                                        <span className="repo-muted">{entry.repo}</span> {entry.title}
+                                    </a>
+                                </div>
+                            </li>
+                        ))}
+                    </ol>
+                    {timeline.length > TIMELINE_PREVIEW && (
+                        <button type="button" className="dashboard-timeline-toggle" onClick={() => setShowFullTimeline(open => !open)}>
+                            {showFullTimeline ? 'Show less' : `Show all ${timeline.length} events`}
+                        </button>
+                    )}
+                </div>
+            )}
+        </section>
+    )
+}
+
+export default Dashboard
@@ -0,0 +1,93 @@
+import { useEffect, useRef, useState } from 'react'
+import './DeviceLogin.css'
+
+/**
+ * Dialog for signing in with a code (GitHub's device flow): shows the
+ * user code and where to enter it while useGitHubAuth waits for approval
+ *
+ * `deviceLogin` is { userCode, verificationUri, expiresAt } from the hook.
+ */
+const DeviceLogin = ({ deviceLogin, onCancel }) => {
+    const { userCode, verificationUri, expiresAt } = deviceLogin
+    const [copied, setCopied] = useState(false)
+    const [now, setNow] = useState(Date.now)
+    const cancelButtonRef = useRef(null)
+
+    // Close on Escape and focus the dialog
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onCancel()
+        }
+        document.addEventListener('keydown', handleKeyDown)
+        cancelButtonRef.current?.focus()
+        return () => document.removeEventListener('keydown', handleKeyDown)
+    }, [onCancel])
+
+    // Tick the countdown
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000)
+        return () => clearInterval(timer)
+    }, [])
+
+    const secondsLeft = Math.max(0, Math.round((expiresAt - now) / 1000))
+    const timeLeft = `${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')}`
+
+    const copyCode = async () => {
+        try {
+            await navigator.clipboard.writeText(userCode)
+            setCopied(true)
+            setTimeout(() => setCopied(false), 2000)
+        } catch {
+            // Clipboard blocked - the code is big enough to type
+        }
+    }
+
+    return (
+        <div className="device-login-backdrop" onClick={onCancel}>
+            <div
+                className="device-login"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="device-login-title"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <h2 id="device-login-title" className="device-login-title">Sign in with a code</h2>
+                <p className="device-login-step">
+                    1. On any device, open{' '}
+                    <a href={verificationUri} target="_blank" rel="noopener noreferrer">
+                        {verificationUri.replace(/^https:\/\//, '')}
+                    </a>
+                </p>
+                <p className="device-login-step">2. Enter this code and approve Psankho:</p>
+
+                <button
+                    type="button"
+                    className="device-login-code"
+                    onClick={copyCode}
+                    title="Copy code"
+                    aria-label={`Code ${userCode}, click to copy`}
+                >
+                    {userCode}
+                </button>
+                <p className="device-login-hint" aria-live="polite">
+                    {copied ? '✓ Copied' : 'Click the code to copy it'}
+                </p>
+
+                <div className="device-login-waiting">
+                    <div className="loader-dots">
+                        <div className="dot"></div>
+                        <div className="dot"></div>
+                        <div className="dot"></div>
+                    </div>
+                    <span>Waiting for approval · code expires in {timeLeft}</span>
+                </div>
+
+                <button ref={cancelButtonRef} type="button" className="btn btn-secondary btn-sm" onClick={onCancel}>
+                    Cancel
+                </button>
+            </div>
+        </div>
+    )
+}
+
+export default DeviceLogin
@@ -0,0 +1,108 @@
+import { useEffect, useRef, useState } from 'react'
+import { AUTH_SERVER_URL } from '../../config'
+import './FeedSubscribe.css'
+
+// Formats served by the auth server's /feeds routes
+const FORMATS = [
+    { id: 'atom', label: 'Atom / RSS', path: 'issues.atom' },
+    { id: 'json', label: 'JSON Feed', path: 'issues.json' }
+]
+
+/**
+ * Feed URL for an issue search, with the filters as the auth server expects them
+ */
+function feedUrl(format, filters) {
+    const params = new URLSearchParams()
+    if (filters.searchQuery) params.set('q', filters.searchQuery)
+    if (filters.language) params.set('language', filters.language)
+    if (filters.selectedLabels.length > 0) params.set('labels', filters.selectedLabels.join(','))
+    if (filters.selectedCategories.length > 0) params.set('categories', filters.selectedCategories.join(','))
+    if (filters.popularity) params.set('popularity', filters.popularity)
+    if (filters.unassignedOnly) params.set('unassigned', '1')
+    if (filters.noLinkedPR) params.set('nopr', '1')
+
+    const query = params.toString()
+    return `${AUTH_SERVER_URL}/feeds/${format.path}${query ? `?${query}` : ''}`
+}
+
+/**
+ * "Subscribe" button for the current issue search: shows its Atom and
+ * JSON Feed URLs to paste into a feed reader
+ */
+const FeedSubscribe = ({ filters }) => {
+    const [open, setOpen] = useState(false)
+    const [copiedId, setCopiedId] = useState(null)
+    const containerRef = useRef(null)
+
+    // Close on Escape or a click outside
+    useEffect(() => {
+        if (!open) return
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setOpen(false)
+        }
+        const handlePointerDown = (e) => {
+            if (!containerRef.current?.contains(e.target)) setOpen(false)
+        }
+        document.addEventListener('keydown', handleKeyDown)
+        document.addEventListener('pointerdown', handlePointerDown)
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown)
+            document.removeEventListener('pointerdown', handlePointerDown)
+        }
+    }, [open])
+
+    const copy = async (format, url) => {
+        try {
+            await navigator.clipboard.writeText(url)
+            setCopiedId(format.id)
+            setTimeout(() => setCopiedId(null), 2000)
+        } catch {
+            // Clipboard blocked - the URL is still there to select by hand
+        }
+    }
+
+    return (
+        <div className="feed-subscribe" ref={containerRef}>
+            <button
+                type="button"
+                className={`quick-filter ${open ? 'active' : ''}`}
+                onClick={() => setOpen(!open)}
+                aria-expanded={open}
+                title="Follow new issues matching these filters in a feed reader"
+            >
+                📡 Subscribe
+            </button>
+
+            {open && (
+                <div className="feed-subscribe-panel">
+                    <p className="feed-subscribe-hint">
+                        Paste a link into your feed reader to get the newest issues matching these filters.
+                    </p>
+                    {FORMATS.map(format => {
+                        const url = feedUrl(format, filters)
+                        return (
+                            <div key={format.id} className="feed-subscribe-row">
+                                <a className="feed-subscribe-format" href={url} target="_blank" rel="noopener noreferrer">
+                                    {format.label}
+                                </a>
+                                <input
+                                    type="text"
+                                    className="feed-subscribe-url"
+                                    value={url}
+                                    readOnly
+                                    onFocus={(e) => e.target.select()}
+                                    aria-label={`${format.label} feed URL`}
+                                />
+                                <button type="button" className="btn btn-secondary btn-sm" onClick={() => copy(format, url)}>
+                                    {copiedId === format.id ? '✓ Copied' : 'Copy'}
+                                </button>
+                            </div>
+                        )
+                    })}
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default FeedSubscribe
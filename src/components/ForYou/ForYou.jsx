@@ -0,0 +1,211 @@
+import { useState } from 'react'
+import { SIGNALS, rankRecommendations } from '../../utils/recommendations'
+import SaveButton from '../SaveButton/SaveButton'
+import './ForYou.css'
+
+// Weight slider range for each signal
+const MAX_WEIGHT = 2
+
+/**
+ * The "For you" tab: beginner issues ranked against the signed-in user's
+ * languages, topics and the repositories they already know
+ *
+ * `issues` and `profile` come from useForYou, `repoMeta` supplies each
+ * repository's language and topics. `prefs` ({ weights, excludedTopics })
+ * are tuned here and handed back through `onPrefsChange`.
+ */
+const ForYou = ({
+    profile, issues, repoMeta, loading, error, onRefresh, prefs, onPrefsChange,
+    isAuthenticated, onLogin, onOpenIssue, onOpenRepo, repoPageUrl, isSaved, onToggleSave
+}) => {
+    const [showTuning, setShowTuning] = useState(false)
+
+    if (!isAuthenticated) {
+        return (
+            <section className="issues-section">
+                <div className="empty-state">
+                    <div className="empty-icon">✨</div>
+                    <h3 className="empty-title">Issues picked for you</h3>
+                    <p className="empty-description">
+                        Sign in with GitHub and we'll suggest beginner issues based on the languages and topics of your repositories, stars and past contributions.
+                    </p>
+                    <button type="button" className="btn btn-primary for-you-cta" onClick={onLogin}>
+                        Sign in with GitHub
+                    </button>
+                </div>
+            </section>
+        )
+    }
+
+    const ranked = profile ? rankRecommendations(issues, repoMeta, profile, prefs) : []
+
+    const setWeight = (signal, weight) => onPrefsChange({ ...prefs, weights: { ...prefs.weights, [signal]: weight } })
+    const excludeTopic = (topic) => onPrefsChange({ ...prefs, excludedTopics: [...new Set([...prefs.excludedTopics, topic])] })
+    const includeTopic = (topic) => onPrefsChange({ ...prefs, excludedTopics: prefs.excludedTopics.filter(t => t !== topic) })
+
+    return (
+        <section className="issues-section for-you-section">
+            <div className="issues-header">
+                <h2 className="issues-title">
+                    ✨ For You
+                </h2>
+                <div className="for-you-actions">
+                    <button
+                        type="button"
+                        className={`quick-filter ${showTuning ? 'active' : ''}`}
+                        onClick={() => setShowTuning(open => !open)}
+                        aria-expanded={showTuning}
+                    >
+                        🎛️ Tune
+                    </button>
+                    <button type="button" className="quick-filter" onClick={onRefresh} disabled={loading}>
+                        🔄 Refresh
+                    </button>
+                </div>
+            </div>
+
+            {profile && (
+                <div className="for-you-profile">
+                    <span className="for-you-profile-label">Based on:</span>
+                    {profile.languages.slice(0, 5).map(language => (
+                        <span key={language.name} className="for-you-chip for-you-language">{language.name}</span>
+                    ))}
+                    {profile.topics
+                        .filter(topic => !prefs.excludedTopics.includes(topic.name))
+                        .slice(0, 10)
+                        .map(topic => (
+                            <span key={topic.name} className="for-you-chip">
+                                #{topic.name}
+                                <button
+                                    type="button"
+                                    className="for-you-chip-remove"
+                                    onClick={() => excludeTopic(topic.name)}
+                                    aria-label={`Exclude topic ${topic.name}`}
+                                    title="Don't recommend issues from repositories with this topic"
+                                >
+                                    ✕
+                                </button>
+                            </span>
+                        ))}
+                    {profile.languages.length === 0 && profile.topics.length === 0 && (
+                        <span className="for-you-profile-empty">
+                            not much yet - star or create a few repositories and hit Refresh.
+                        </span>
+                    )}
+                </div>
+            )}
+
+            {showTuning && (
+                <div className="for-you-tuning">
+                    <div className="for-you-weights">
+                        {SIGNALS.map(signal => (
+                            <label key={signal.value} className="for-you-weight">
+                                <span className="filter-label">{signal.label}</span>
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max={MAX_WEIGHT}
+                                    step="0.25"
+                                    value={prefs.weights[signal.value]}
+                                    onChange={(e) => setWeight(signal.value, Number(e.target.value))}
+                                />
+                                <span className="for-you-weight-value">×{prefs.weights[signal.value]}</span>
+                            </label>
+                        ))}
+                    </div>
+                    {prefs.excludedTopics.length > 0 && (
+                        <div className="for-you-profile">
+                            <span className="for-you-profile-label">Excluded topics:</span>
+                            {prefs.excludedTopics.map(topic => (
+                                <span key={topic} className="for-you-chip for-you-chip-excluded">
+                                    #{topic}
+                                    <button
+                                        type="button"
+                                        className="for-you-chip-remove"
+                                        onClick={() => includeTopic(topic)}
+                                        aria-label={`Stop excluding topic ${topic}`}
+                                    >
+                                        ↺
+                                    </button>
+                                </span>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {error && (
+                <div className="empty-state">
+                    <div className="empty-icon">⚠️</div>
+                    <h3 className="empty-title">Couldn't load your recommendations</h3>
+                    <p className="empty-description">{error}</p>
+                    <button type="button" className="btn btn-secondary for-you-cta" onClick={onRefresh}>
+                        Try Again
+                    </button>
+                </div>
+            )}
+
+            {loading && ranked.length === 0 && !error && (
+                <div className="loading-container">
+                    <div className="loading-spinner"></div>
+                    <p className="loading-text">{profile ? 'Finding issues for you...' : 'Reading your GitHub profile...'}</p>
+                </div>
+            )}
+
+            {!loading && !error && profile && ranked.length === 0 && (
+                <div className="empty-state">
+                    <div className="empty-icon">🔍</div>
+                    <h3 className="empty-title">No matches right now</h3>
+                    <p className="empty-description">
+                        {issues.length > 0
+                            ? 'Every match is from a repository with a topic you excluded.'
+                            : 'No open beginner issues turned up for your languages and repositories. Try again later.'}
+                    </p>
+                </div>
+            )}
+
+            <ul className="for-you-list">
+                {ranked.map(({ issue, repo, score, reasons }) => (
+                    <li key={issue.id} className="saved-item for-you-item">
+                        <div className="saved-item-header">
+                            <span className="for-you-score" title="How well this issue matches your profile">{score}%</span>
+                            <div className="saved-item-info">
+                                <a href={repoPageUrl(repo)} className="issue-repo" onClick={(e) => onOpenRepo(e, repo)}>
+                                    {repo} #{issue.number}
+                                </a>
+                                <a
+                                    href={issue.html_url}
+                                    className="saved-item-title"
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    onClick={(e) => onOpenIssue(e, issue)}
+                                >
+                                    {issue.title}
+                                </a>
+                            </div>
+                            <SaveButton saved={isSaved(issue)} onToggle={() => onToggleSave(issue)} />
+                        </div>
+
+                        {reasons.length > 0 ? (
+                            <ul className="for-you-reasons" aria-label="Why this was recommended">
+                                {reasons.map(reason => <li key={reason}>{reason}</li>)}
+                            </ul>
+                        ) : (
+                            <p className="for-you-reasons-none">A beginner issue in one of your top languages</p>
+                        )}
+
+                        {repoMeta[repo] && (
+                            <div className="repo-meta-row">
+                                <span>⭐ {repoMeta[repo].stars.toLocaleString()}</span>
+                                {repoMeta[repo].language && <span>🔤 {repoMeta[repo].language}</span>}
+                                <span>💬 {issue.comments}</span>
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </section>
+    )
+}
+
+export default ForYou
@@ -0,0 +1,346 @@
+import { useEffect, useRef, useState } from 'react'
+import { useIssueDetail } from '../../hooks/useIssueDetail'
+import { sanitizeHtml } from '../../utils/sanitize'
+import { claimCommentTemplate, postIssueComment } from '../../utils/repoInteractions'
+import './IssueDrawer.css'
+
+// Short date for thread entries, e.g. "Mar 4, 2025"
+const formatShortDate = (dateString) => new Date(dateString).toLocaleDateString('en-IN', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+})
+
+// Same label colouring as the issue cards
+const getLabelStyle = (label) => {
+    const color = label.color || '6b7280'
+    return {
+        backgroundColor: `#${color}20`,
+        color: `#${color}`,
+        border: `1px solid #${color}40`
+    }
+}
+
+// One-line description of a timeline event
+const describeEvent = (event) => {
+    switch (event.event) {
+        case 'labeled': return <>added the <strong>{event.label?.name}</strong> label</>
+        case 'unlabeled': return <>removed the <strong>{event.label?.name}</strong> label</>
+        case 'assigned': return <>assigned <strong>{event.assignee?.login}</strong></>
+        case 'unassigned': return <>unassigned <strong>{event.assignee?.login}</strong></>
+        case 'milestoned': return <>added this to the <strong>{event.milestone?.title}</strong> milestone</>
+        case 'demilestoned': return <>removed this from the <strong>{event.milestone?.title}</strong> milestone</>
+        case 'renamed': return <>changed the title from <strong>{event.rename?.from}</strong></>
+        case 'closed': return <>closed this issue</>
+        case 'reopened': return <>reopened this issue</>
+        case 'connected': return <>linked a pull request</>
+        case 'cross-referenced': {
+            const source = event.source?.issue
+            return <>mentioned this in <a href={source?.html_url} target="_blank" rel="noopener noreferrer">
+                {source?.pull_request ? 'pull request' : 'issue'} #{source?.number}
+            </a></>
+        }
+        default: return event.event
+    }
+}
+
+// GitHub-rendered Markdown, sanitised before it touches the DOM
+const MarkdownBody = ({ html, fallback }) => {
+    if (!html) {
+        return <p className="issue-drawer-empty">{fallback}</p>
+    }
+    return <div className="markdown-body" dangerouslySetInnerHTML={{ __html: sanitizeHtml(html) }} />
+}
+
+// "I'd like to work on this": an editable comment posted as the user
+// (needs the public_repo scope - without it, offers to ask for it)
+const ClaimComment = ({ repoFullName, number, canWrite, onRequestAccess, onPosted }) => {
+    const [draft, setDraft] = useState(null) // Comment being edited, null while closed
+    const [posting, setPosting] = useState(false)
+    const [error, setError] = useState(null)
+    const [posted, setPosted] = useState(false)
+
+    if (posted) {
+        return <p className="issue-drawer-claim-done">🙋 Comment posted - the issue is saved as "Working on it".</p>
+    }
+
+    if (draft === null) {
+        return (
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => setDraft(claimCommentTemplate())}>
+                🙋 I'd like to work on this
+            </button>
+        )
+    }
+
+    if (!canWrite) {
+        return (
+            <div className="issue-drawer-claim">
+                <p className="issue-drawer-muted">
+                    To comment for you, GitHub needs you to give this app access to public
+                    repositories (the <code>public_repo</code> scope). You'll come back right here.
+                </p>
+                <div className="issue-drawer-claim-buttons">
+                    <button type="button" className="btn btn-primary btn-sm" onClick={onRequestAccess}>
+                        Grant access on GitHub
+                    </button>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => setDraft(null)}>
+                        Not now
+                    </button>
+                </div>
+            </div>
+        )
+    }
+
+    const post = async () => {
+        setPosting(true)
+        setError(null)
+        try {
+            const comment = await postIssueComment(repoFullName, number, draft)
+            setPosted(true)
+            onPosted(comment)
+        } catch (err) {
+            setError(err.message)
+        } finally {
+            setPosting(false)
+        }
+    }
+
+    return (
+        <div className="issue-drawer-claim">
+            <label htmlFor="issue-drawer-claim-text" className="issue-drawer-muted">
+                Posted on GitHub as you - edit it first:
+            </label>
+            <textarea
+                id="issue-drawer-claim-text"
+                className="issue-drawer-claim-text"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                rows={6}
+                disabled={posting}
+            />
+            {error && <p className="issue-drawer-error">⚠️ {error}</p>}
+            <div className="issue-drawer-claim-buttons">
+                <button type="button" className="btn btn-primary btn-sm" onClick={post} disabled={posting || !draft.trim()}>
+                    {posting ? 'Posting...' : 'Post comment'}
+                </button>
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => setDraft(null)} disabled={posting}>
+                    Cancel
+                </button>
+            </div>
+        </div>
+    )
+}
+
+/**
+ * Slide-in panel with the full issue: rendered body, comment thread,
+ * timeline, assignees, milestone and linked pull requests
+ *
+ * `issue` is the search result item, shown immediately while details load.
+ * The repository link opens the in-app repository page via `onOpenRepo`.
+ * Signed-in users can say they'd like to work on an open issue; once the
+ * comment is posted `onClaimed` gets the issue.
+ */
+const IssueDrawer = ({ issue: summary, repoFullName, isAuthenticated, canWrite, onRequestAccess, onClaimed, onClose, onOpenRepo, repoPageUrl }) => {
+    const { issue, comments, events, linkedPullRequests, loading, error } =
+        useIssueDetail(repoFullName, summary.number, isAuthenticated)
+    const [postedComments, setPostedComments] = useState([]) // Posted from here since opening
+    const closeButtonRef = useRef(null)
+
+    // Close on Escape, focus the panel, and stop the page behind it from scrolling
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose()
+        }
+        document.addEventListener('keydown', handleKeyDown)
+        const previousOverflow = document.body.style.overflow
+        document.body.style.overflow = 'hidden'
+        closeButtonRef.current?.focus()
+
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown)
+            document.body.style.overflow = previousOverflow
+        }
+    }, [onClose])
+
+    const current = issue || summary
+
+    // Comments and timeline events interleaved by date
+    const thread = [
+        ...[...comments, ...postedComments].map(comment => ({ type: 'comment', date: comment.created_at, item: comment })),
+        ...events.map(event => ({ type: 'event', date: event.created_at, item: event }))
+    ].sort((a, b) => new Date(a.date) - new Date(b.date))
+
+    return (
+        <div className="issue-drawer-backdrop" onClick={onClose}>
+            <aside
+                className="issue-drawer"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="issue-drawer-title"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <header className="issue-drawer-header">
+                    <div className="issue-drawer-heading">
+                        <a
+                            href={repoPageUrl}
+                            className="issue-repo"
+                            onClick={(e) => onOpenRepo(e, repoFullName)}
+                        >
+                            <span>📁</span> {repoFullName} #{current.number}
+                        </a>
+                        <h2 id="issue-drawer-title" className="issue-drawer-title">{current.title}</h2>
+                        <span className={`issue-state-badge issue-state-${current.state}`}>
+                            {current.state === 'open' ? '● Open' : '✓ Closed'}
+                        </span>
+                    </div>
+                    <button
+                        ref={closeButtonRef}
+                        className="issue-drawer-close"
+                        onClick={onClose}
+                        aria-label="Close issue details"
+                    >
+                        ✕
+                    </button>
+                </header>
+
+                <div className="issue-drawer-content">
+                    {/* Triage summary */}
+                    <dl className="issue-drawer-meta">
+                        <div>
+                            <dt>Assignees</dt>
+                            <dd>
+                                {current.assignees?.length > 0 ? current.assignees.map(assignee => (
+                                    <a
+                                        key={assignee.id}
+                                        href={assignee.html_url}
+                                        target="_blank"
+                                        rel="noopener noreferrer"
+                                        className="issue-drawer-person"
+                                    >
+                                        <img src={assignee.avatar_url} alt="" />
+                                        {assignee.login}
+                                    </a>
+                                )) : <span className="issue-drawer-muted">Nobody - up for grabs</span>}
+                            </dd>
+                        </div>
+                        <div>
+                            <dt>Milestone</dt>
+                            <dd>
+                                {current.milestone ? (
+                                    <a href={current.milestone.html_url} target="_blank" rel="noopener noreferrer">
+                                        {current.milestone.title}
+                                        {current.milestone.due_on && ` · due ${formatShortDate(current.milestone.due_on)}`}
+                                    </a>
+                                ) : <span className="issue-drawer-muted">None</span>}
+                            </dd>
+                        </div>
+                        <div>
+                            <dt>Linked pull requests</dt>
+                            <dd>
+                                {loading ? (
+                                    <span className="issue-drawer-muted">Loading...</span>
+                                ) : linkedPullRequests.length > 0 ? (
+                                    <ul className="issue-drawer-prs">
+                                        {linkedPullRequests.map(pr => (
+                                            <li key={pr.url}>
+                                                <span className={`issue-state-badge pr-state-${pr.state}`}>{pr.state}</span>
+                                                <a href={pr.url} target="_blank" rel="noopener noreferrer">
+                                                    #{pr.number} {pr.title}
+                                                </a>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                ) : <span className="issue-drawer-muted">None yet</span>}
+                            </dd>
+                        </div>
+                        {current.labels?.length > 0 && (
+                            <div>
+                                <dt>Labels</dt>
+                                <dd className="issue-labels">
+                                    {current.labels.map(label => (
+                                        <span key={label.id} className="issue-label" style={getLabelStyle(label)}>
+                                            {label.name}
+                                        </span>
+                                    ))}
+                                </dd>
+                            </div>
+                        )}
+                    </dl>
+
+                    {/* Opening post */}
+                    <article className="issue-drawer-post">
+                        <div className="issue-drawer-post-header">
+                            {current.user?.avatar_url && <img src={current.user.avatar_url} alt="" />}
+                            <strong>{current.user?.login}</strong>
+                            <span className="issue-drawer-muted">opened on {formatShortDate(current.created_at)}</span>
+                        </div>
+                        {loading && !issue ? (
+                            <div className="loading-container">
+                                <div className="loading-spinner"></div>
+                            </div>
+                        ) : (
+                            <MarkdownBody html={issue?.body_html} fallback="No description provided." />
+                        )}
+                    </article>
+
+                    {error && (
+                        <p className="issue-drawer-error">⚠️ {error}</p>
+                    )}
+
+                    {/* Comment thread + timeline */}
+                    {!loading && !error && (
+                        <section className="issue-drawer-thread" aria-label="Comments and activity">
+                            {thread.length === 0 && (
+                                <p className="issue-drawer-empty">No comments yet - be the first to say hi!</p>
+                            )}
+                            {thread.map(entry => entry.type === 'comment' ? (
+                                <article key={`c-${entry.item.id}`} className="issue-drawer-post">
+                                    <div className="issue-drawer-post-header">
+                                        {entry.item.user?.avatar_url && <img src={entry.item.user.avatar_url} alt="" />}
+                                        <strong>{entry.item.user?.login}</strong>
+                                        {entry.item.author_association && entry.item.author_association !== 'NONE' && (
+                                            <span className="issue-drawer-role">{entry.item.author_association.toLowerCase()}</span>
+                                        )}
+                                        <span className="issue-drawer-muted">{formatShortDate(entry.item.created_at)}</span>
+                                    </div>
+                                    <MarkdownBody html={entry.item.body_html} fallback="(empty comment)" />
+                                </article>
+                            ) : (
+                                <div key={`e-${entry.item.id || entry.date}-${entry.item.event}`} className="issue-drawer-event">
+                                    <strong>{entry.item.actor?.login || 'Someone'}</strong> {describeEvent(entry.item)}
+                                    <span className="issue-drawer-muted"> · {formatShortDate(entry.date)}</span>
+                                </div>
+                            ))}
+                        </section>
+                    )}
+
+                    {isAuthenticated && current.state === 'open' && (
+                        <ClaimComment
+                            repoFullName={repoFullName}
+                            number={current.number}
+                            canWrite={canWrite}
+                            onRequestAccess={onRequestAccess}
+                            onPosted={(comment) => {
+                                setPostedComments(posted => [...posted, comment])
+                                onClaimed(current)
+                            }}
+                        />
+                    )}
+                </div>
+
+                <footer className="issue-drawer-footer">
+                    <a
+                        href={current.html_url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="issue-action"
+                    >
+                        Open on GitHub →
+                    </a>
+                </footer>
+            </aside>
+        </div>
+    )
+}
+
+export default IssueDrawer
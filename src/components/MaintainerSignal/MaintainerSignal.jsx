@@ -0,0 +1,33 @@
+import { formatDuration, isActiveWithin } from '../../utils/repoActivity'
+import './MaintainerSignal.css'
+
+/**
+ * How responsive a repository's maintainers are, shown next to the star count
+ * `activity` comes from useRepoActivity (undefined while loading), `pushedAt`
+ * from the repository metadata.
+ */
+const MaintainerSignal = ({ activity, pushedAt }) => {
+    if (activity === undefined) return null
+
+    const active = isActiveWithin(30, pushedAt, activity)
+    if (active === false) {
+        return (
+            <span className="issue-meta-item maintainer-signal maintainer-quiet" title="No pushes or maintainer comments in the last 30 days">
+                💤 quiet
+            </span>
+        )
+    }
+
+    if (activity?.medianResponseMs == null) return null
+
+    return (
+        <span
+            className="issue-meta-item maintainer-signal"
+            title={`Median time to a first maintainer reply, over ${activity.responseSample} recent issues`}
+        >
+            ⚡ replies in ~{formatDuration(activity.medianResponseMs)}
+        </span>
+    )
+}
+
+export default MaintainerSignal
@@ -0,0 +1,175 @@
+import { useEffect, useRef, useState } from 'react'
+import { presetMatches, exportPresets, parsePresetsFile } from '../../utils/presets'
+import './PresetMenu.css'
+
+/**
+ * Quick switcher for saved searches: applies a built-in or saved preset,
+ * saves the current filters under a name, and exports/imports the user's
+ * presets as a JSON file
+ */
+const PresetMenu = ({
+    builtInPresets, presets, currentFilters, defaultName, syncing, syncError,
+    onApply, onSave, onRemove, onImport
+}) => {
+    const [open, setOpen] = useState(false)
+    const [naming, setNaming] = useState(false)
+    const [name, setName] = useState('')
+    const [importError, setImportError] = useState(null)
+    const menuRef = useRef(null)
+    const fileInputRef = useRef(null)
+
+    const activePreset = [...presets, ...builtInPresets].find(preset => presetMatches(preset, currentFilters))
+
+    // Close on Escape or a click outside the menu
+    useEffect(() => {
+        if (!open) return
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setOpen(false)
+        }
+        const handlePointerDown = (e) => {
+            if (!menuRef.current?.contains(e.target)) setOpen(false)
+        }
+        document.addEventListener('keydown', handleKeyDown)
+        document.addEventListener('pointerdown', handlePointerDown)
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown)
+            document.removeEventListener('pointerdown', handlePointerDown)
+        }
+    }, [open])
+
+    const toggle = () => {
+        setOpen(!open)
+        setNaming(false)
+        setImportError(null)
+    }
+
+    const apply = (preset) => {
+        onApply(preset)
+        setOpen(false)
+    }
+
+    const startNaming = () => {
+        setName(defaultName)
+        setNaming(true)
+    }
+
+    const save = (e) => {
+        e.preventDefault()
+        if (!name.trim()) return
+        onSave(name, currentFilters)
+        setNaming(false)
+    }
+
+    const download = () => {
+        const blob = new Blob([exportPresets(presets)], { type: 'application/json' })
+        const url = URL.createObjectURL(blob)
+        const link = document.createElement('a')
+        link.href = url
+        link.download = 'psakhno-saved-searches.json'
+        link.click()
+        URL.revokeObjectURL(url)
+    }
+
+    const upload = async (e) => {
+        const file = e.target.files[0]
+        // Let the same file be picked again
+        e.target.value = ''
+        if (!file) return
+        try {
+            onImport(parsePresetsFile(await file.text()))
+            setImportError(null)
+        } catch (err) {
+            setImportError(err.message)
+        }
+    }
+
+    const renderPreset = (preset) => (
+        <li key={preset.id} className={`preset-item ${preset === activePreset ? 'active' : ''}`}>
+            <button type="button" className="preset-item-apply" onClick={() => apply(preset)}>
+                {preset.name}
+            </button>
+            {!preset.builtIn && (
+                <button
+                    type="button"
+                    className="preset-item-remove"
+                    onClick={() => onRemove(preset.id)}
+                    aria-label={`Delete saved search ${preset.name}`}
+                >
+                    ✕
+                </button>
+            )}
+        </li>
+    )
+
+    return (
+        <div className="preset-menu" ref={menuRef}>
+            <button
+                type="button"
+                className={`quick-filter preset-menu-toggle ${activePreset ? 'active' : ''}`}
+                onClick={toggle}
+                aria-expanded={open}
+                aria-haspopup="true"
+            >
+                📁 {activePreset ? activePreset.name : 'Saved searches'} ▾
+            </button>
+
+            {open && (
+                <div className="preset-menu-panel">
+                    <p className="preset-menu-heading">Your searches</p>
+                    {presets.length > 0 ? (
+                        <ul className="preset-list">{presets.map(renderPreset)}</ul>
+                    ) : (
+                        <p className="preset-menu-hint">Nothing saved yet - save the current filters below.</p>
+                    )}
+
+                    <p className="preset-menu-heading">Suggested</p>
+                    <ul className="preset-list">{builtInPresets.map(renderPreset)}</ul>
+
+                    <div className="preset-menu-footer">
+                        {naming ? (
+                            <form className="preset-save-form" onSubmit={save}>
+                                <input
+                                    type="text"
+                                    className="preset-name-input"
+                                    value={name}
+                                    onChange={(e) => setName(e.target.value)}
+                                    maxLength={100}
+                                    aria-label="Name for this search"
+                                    autoFocus
+                                />
+                                <button type="submit" className="btn btn-primary btn-sm" disabled={!name.trim()}>
+                                    Save
+                                </button>
+                            </form>
+                        ) : (
+                            <button type="button" className="btn btn-primary btn-sm" onClick={startNaming} disabled={!!activePreset}>
+                                Save current filters
+                            </button>
+                        )}
+                        <div className="preset-menu-files">
+                            <button type="button" className="btn btn-secondary btn-sm" onClick={download} disabled={presets.length === 0}>
+                                Export
+                            </button>
+                            <button type="button" className="btn btn-secondary btn-sm" onClick={() => fileInputRef.current?.click()}>
+                                Import
+                            </button>
+                            <input
+                                ref={fileInputRef}
+                                type="file"
+                                accept="application/json,.json"
+                                onChange={upload}
+                                hidden
+                            />
+                        </div>
+                    </div>
+
+                    {importError && <p className="preset-menu-error" role="alert">{importError}</p>}
+                    {syncing && <p className="preset-menu-hint">Syncing…</p>}
+                    {syncError && <p className="preset-menu-error">Couldn't sync saved searches: {syncError}</p>}
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default PresetMenu
@@ -0,0 +1,70 @@
+import { useRateLimit } from '../../hooks/useRateLimit'
+import { useNow } from '../../hooks/useNow'
+import './RateLimitIndicator.css'
+
+// Display names for GitHub's rate-limit resources
+const RESOURCE_LABELS = {
+    search: 'Search',
+    core: 'API',
+    graphql: 'GraphQL'
+}
+
+// Format a duration in ms as "45s" / "12m"
+const formatDuration = (ms) => {
+    const seconds = Math.max(0, Math.ceil(ms / 1000))
+    return seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)}m`
+}
+
+/**
+ * Live GitHub rate-limit budget, shown in the header next to the auth section
+ * Highlights the resource closest to running out; hover for all of them.
+ */
+const RateLimitIndicator = () => {
+    const { resources, backoffUntil } = useRateLimit()
+    const now = useNow(1000, Object.keys(resources).length > 0 || backoffUntil > 0)
+
+    // Only resources whose window hasn't reset yet are still meaningful
+    const active = Object.entries(resources).filter(([, budget]) => budget.reset > now)
+    if (active.length === 0 && backoffUntil <= now) return null
+
+    const [resource, budget] = active.reduce(
+        (lowest, entry) => (!lowest || entry[1].remaining / entry[1].limit < lowest[1].remaining / lowest[1].limit ? entry : lowest),
+        null
+    ) || []
+
+    const backingOff = backoffUntil > now
+    const ratio = budget ? budget.remaining / budget.limit : 0
+    const level = backingOff || ratio === 0 ? 'empty' : ratio <= 0.2 ? 'low' : 'ok'
+
+    const details = active
+        .map(([name, b]) => `${RESOURCE_LABELS[name] || name}: ${b.remaining}/${b.limit}, resets in ${formatDuration(b.reset - now)}`)
+        .join('\n')
+
+    return (
+        <div
+            className={`rate-limit-indicator rate-limit-${level}`}
+            title={details || undefined}
+            role="status"
+            aria-live="polite"
+        >
+            {backingOff ? (
+                <span>⏸ Backing off · {formatDuration(backoffUntil - now)}</span>
+            ) : (
+                <>
+                    <span className="rate-limit-label">{RESOURCE_LABELS[resource] || resource}</span>
+                    <span className="rate-limit-bar" aria-hidden="true">
+                        <span className="rate-limit-fill" style={{ width: `${Math.round(ratio * 100)}%` }}></span>
+                    </span>
+                    <span className="rate-limit-count">
+                        {budget.remaining}/{budget.limit}
+                    </span>
+                    {level !== 'ok' && (
+                        <span className="rate-limit-reset">· {formatDuration(budget.reset - now)}</span>
+                    )}
+                </>
+            )}
+        </div>
+    )
+}
+
+export default RateLimitIndicator
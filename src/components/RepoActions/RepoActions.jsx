@@ -0,0 +1,87 @@
+import { useState } from 'react'
+import { setStarred, setWatching } from '../../utils/repoInteractions'
+import './RepoActions.css'
+
+/**
+ * Star and Watch toggles for a repository, acting on GitHub as the user
+ *
+ * Without the public_repo scope the buttons explain why GitHub needs more
+ * access and offer to ask for it (`onRequestAccess`). `interaction` is the
+ * user's current { starred, watching }, undefined while it's looked up;
+ * `onChange` is called after a toggle went through.
+ */
+const RepoActions = ({ fullName, interaction, canWrite, onRequestAccess, onChange }) => {
+    const [busy, setBusy] = useState(null) // 'star' or 'watch' while GitHub is being asked
+    const [error, setError] = useState(null)
+    const [asking, setAsking] = useState(false) // Explaining the access upgrade
+
+    const toggle = async (action) => {
+        if (!canWrite) {
+            setAsking(true)
+            return
+        }
+
+        setBusy(action)
+        setError(null)
+        try {
+            if (action === 'star') await setStarred(fullName, !interaction?.starred)
+            else await setWatching(fullName, !interaction?.watching)
+            onChange?.()
+        } catch (err) {
+            setError(err.message)
+        } finally {
+            setBusy(null)
+        }
+    }
+
+    const loading = canWrite && interaction === undefined
+
+    return (
+        <div className="repo-actions">
+            <div className="repo-actions-buttons">
+                <button
+                    type="button"
+                    className={`repo-action ${interaction?.starred ? 'active' : ''}`}
+                    onClick={() => toggle('star')}
+                    disabled={loading || busy !== null}
+                    aria-pressed={canWrite ? !!interaction?.starred : undefined}
+                    title={interaction?.starred ? `Unstar ${fullName} on GitHub` : `Star ${fullName} on GitHub`}
+                >
+                    {busy === 'star' ? '...' : interaction?.starred ? '⭐ Starred' : '☆ Star'}
+                </button>
+                <button
+                    type="button"
+                    className={`repo-action ${interaction?.watching ? 'active' : ''}`}
+                    onClick={() => toggle('watch')}
+                    disabled={loading || busy !== null}
+                    aria-pressed={canWrite ? !!interaction?.watching : undefined}
+                    title={interaction?.watching ? `Stop watching ${fullName}` : `Get notified about all activity in ${fullName}`}
+                >
+                    {busy === 'watch' ? '...' : interaction?.watching ? '👁️ Watching' : '👁️ Watch'}
+                </button>
+            </div>
+
+            {error && <p className="repo-actions-error" role="alert">{error}</p>}
+
+            {asking && (
+                <div className="repo-actions-upgrade" role="dialog" aria-label="Grant access on GitHub">
+                    <p>
+                        To star, watch and comment for you, GitHub needs you to give this app access to
+                        public repositories (the <code>public_repo</code> scope). You can revoke it any time
+                        by signing out.
+                    </p>
+                    <div className="repo-actions-upgrade-buttons">
+                        <button type="button" className="btn btn-primary btn-sm" onClick={onRequestAccess}>
+                            Grant access on GitHub
+                        </button>
+                        <button type="button" className="btn btn-secondary btn-sm" onClick={() => setAsking(false)}>
+                            Not now
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default RepoActions
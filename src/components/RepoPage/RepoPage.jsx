@@ -0,0 +1,201 @@
+import { useRepoDetail } from '../../hooks/useRepoDetail'
+import { useRepoInteractions } from '../../hooks/useRepoInteractions'
+import { scoreNewcomerFriendliness } from '../../utils/newcomerScore'
+import { readmeExcerpt } from '../../utils/sanitize'
+import { formatDuration } from '../../utils/repoActivity'
+import SaveButton from '../SaveButton/SaveButton'
+import RepoActions from '../RepoActions/RepoActions'
+import './RepoPage.css'
+
+const formatAgo = (dateString) => `${formatDuration(Date.now() - new Date(dateString).getTime())} ago`
+
+// Colour band for the friendliness score
+const scoreLevel = (score) => (score >= 70 ? 'high' : score >= 40 ? 'medium' : 'low')
+
+// One line of the "newcomer setup" checklist
+const CheckItem = ({ ok, label, href }) => (
+    <li className={ok ? 'repo-check-ok' : 'repo-check-missing'}>
+        <span aria-hidden="true">{ok ? '✓' : '✗'}</span>
+        {ok && href ? <a href={href} target="_blank" rel="noopener noreferrer">{label}</a> : label}
+        <span className="repo-visually-hidden">{ok ? ' (present)' : ' (missing)'}</span>
+    </li>
+)
+
+/**
+ * In-app repository page: README excerpt, stats, newcomer setup checklist,
+ * maintainer activity, open beginner issues and a "newcomer friendliness" score
+ * Signed-in users can star and watch the repository from here.
+ */
+const RepoPage = ({ fullName, onBack, onOpenIssue, isSaved, onToggleSave, isAuthenticated, canWrite, onRequestAccess }) => {
+    const detail = useRepoDetail(fullName)
+    const { interactions, refresh: refreshInteractions } = useRepoInteractions([fullName], canWrite)
+    const { repo, readmeHtml, community, hasDevcontainer, activity, beginnerIssues, loading, error } = detail
+
+    if (error) {
+        return (
+            <section className="repo-page">
+                <button className="btn btn-secondary btn-sm" onClick={onBack}>← Back</button>
+                <div className="empty-state" style={{ borderColor: 'var(--error-500)', marginTop: 'var(--space-lg)' }}>
+                    <div className="empty-icon">⚠️</div>
+                    <h3 className="empty-title">Couldn't load {fullName}</h3>
+                    <p className="empty-description">{error}</p>
+                </div>
+            </section>
+        )
+    }
+
+    if (!repo) {
+        return (
+            <section className="repo-page">
+                <div className="loading-container">
+                    <div className="loading-spinner"></div>
+                    <p className="loading-text">Loading {fullName}...</p>
+                </div>
+            </section>
+        )
+    }
+
+    const files = community?.files || {}
+    const { score, factors } = scoreNewcomerFriendliness(detail)
+    const readme = readmeHtml ? readmeExcerpt(readmeHtml, repo.full_name) : null
+    const mergeRate = activity?.outsidePRs.closed
+        ? Math.round(activity.outsidePRs.merged / activity.outsidePRs.closed * 100)
+        : null
+
+    return (
+        <section className="repo-page">
+            <button className="btn btn-secondary btn-sm" onClick={onBack}>← Back</button>
+
+            <header className="repo-page-header">
+                {repo.owner?.avatar_url && <img className="repo-page-avatar" src={repo.owner.avatar_url} alt="" />}
+                <div className="repo-page-heading">
+                    <h1 className="repo-page-title">{repo.full_name}</h1>
+                    {repo.description && <p className="repo-page-description">{repo.description}</p>}
+                    <div className="repo-page-stats">
+                        <span>⭐ {repo.stargazers_count.toLocaleString()} stars</span>
+                        <span>🍴 {repo.forks_count.toLocaleString()} forks</span>
+                        {repo.language && <span>💻 {repo.language}</span>}
+                        <span>📜 {repo.license ? (repo.license.spdx_id !== 'NOASSERTION' ? repo.license.spdx_id : repo.license.name) : 'No license'}</span>
+                        {repo.pushed_at && <span>🕐 pushed {formatAgo(repo.pushed_at)}</span>}
+                        {repo.archived && <span className="repo-archived-badge">Archived</span>}
+                    </div>
+                </div>
+                <div className="repo-page-actions">
+                    <SaveButton saved={isSaved(repo)} onToggle={() => onToggleSave(repo)} />
+                    <a href={repo.html_url} target="_blank" rel="noopener noreferrer" className="btn btn-secondary btn-sm">
+                        Open on GitHub →
+                    </a>
+                    {isAuthenticated && (
+                        <RepoActions
+                            fullName={fullName}
+                            interaction={interactions[fullName]}
+                            canWrite={canWrite}
+                            onRequestAccess={onRequestAccess}
+                            onChange={refreshInteractions}
+                        />
+                    )}
+                </div>
+            </header>
+
+            <div className="repo-page-grid">
+                <div className={`repo-panel repo-score repo-score-${loading ? 'pending' : scoreLevel(score)}`}>
+                    <h2 className="repo-panel-title">Newcomer friendliness</h2>
+                    {loading ? (
+                        <p className="repo-muted">Checking...</p>
+                    ) : (
+                        <>
+                            <div className="repo-score-value">
+                                {score}<span>/100</span>
+                            </div>
+                            <ul className="repo-score-factors">
+                                {factors.map(factor => (
+                                    <li key={factor.label}>
+                                        <span>{factor.label}</span>
+                                        <span className="repo-score-points">{factor.points}/{factor.max}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </>
+                    )}
+                </div>
+
+                <div className="repo-panel">
+                    <h2 className="repo-panel-title">Newcomer setup</h2>
+                    {loading ? <p className="repo-muted">Checking...</p> : (
+                        <ul className="repo-checklist">
+                            <CheckItem ok={!!files.contributing} label="Contributing guide" href={files.contributing?.html_url} />
+                            <CheckItem ok={!!(files.code_of_conduct || files.code_of_conduct_file)} label="Code of conduct" href={files.code_of_conduct_file?.html_url || files.code_of_conduct?.html_url} />
+                            <CheckItem ok={!!files.issue_template} label="Issue templates" href={files.issue_template?.html_url} />
+                            <CheckItem ok={!!files.pull_request_template} label="Pull request template" href={files.pull_request_template?.html_url} />
+                            <CheckItem ok={hasDevcontainer} label="Dev container" href={`${repo.html_url}/tree/HEAD/.devcontainer`} />
+                        </ul>
+                    )}
+                </div>
+
+                <div className="repo-panel">
+                    <h2 className="repo-panel-title">Maintainer activity</h2>
+                    {loading ? <p className="repo-muted">Checking...</p> : !activity ? (
+                        <p className="repo-muted">Couldn't load recent activity.</p>
+                    ) : (
+                        <dl className="repo-activity">
+                            <div>
+                                <dt>First maintainer reply</dt>
+                                <dd>
+                                    {activity.medianResponseMs !== null
+                                        ? `~${formatDuration(activity.medianResponseMs)} (median of ${activity.responseSample} issues)`
+                                        : 'Not enough recent issues'}
+                                </dd>
+                            </div>
+                            <div>
+                                <dt>Last maintainer comment</dt>
+                                <dd>{activity.lastMaintainerCommentAt ? formatAgo(activity.lastMaintainerCommentAt) : 'None recently'}</dd>
+                            </div>
+                            <div>
+                                <dt>Outside PRs merged</dt>
+                                <dd>
+                                    {mergeRate !== null
+                                        ? `${mergeRate}% (${activity.outsidePRs.merged} of ${activity.outsidePRs.closed} recently closed)`
+                                        : 'No recent outside PRs'}
+                                </dd>
+                            </div>
+                        </dl>
+                    )}
+                </div>
+            </div>
+
+            <div className="repo-panel">
+                <h2 className="repo-panel-title">
+                    Open beginner issues {!loading && `(${beginnerIssues.length})`}
+                </h2>
+                {loading ? <p className="repo-muted">Loading...</p> : beginnerIssues.length === 0 ? (
+                    <p className="repo-muted">No open beginner issues among the 100 most recent open issues.</p>
+                ) : (
+                    <ul className="repo-issue-list">
+                        {beginnerIssues.map(issue => (
+                            <li key={issue.id}>
+                                <a href={issue.html_url} target="_blank" rel="noopener noreferrer" onClick={(e) => onOpenIssue(e, issue)}>
+                                    <span className="repo-muted">#{issue.number}</span> {issue.title}
+                                </a>
+                                <span className="repo-muted">💬 {issue.comments}</span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            {readme && (
+                <div className="repo-panel">
+                    <h2 className="repo-panel-title">README</h2>
+                    <div className="markdown-body repo-readme" dangerouslySetInnerHTML={{ __html: readme.html }} />
+                    {readme.truncated && (
+                        <a href={`${repo.html_url}#readme`} target="_blank" rel="noopener noreferrer" className="issue-action">
+                            Read the full README →
+                        </a>
+                    )}
+                </div>
+            )}
+        </section>
+    )
+}
+
+export default RepoPage
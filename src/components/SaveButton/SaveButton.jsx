@@ -0,0 +1,20 @@
+import './SaveButton.css'
+
+/**
+ * Bookmark toggle shown on issue and repository cards
+ */
+const SaveButton = ({ saved, onToggle }) => {
+    return (
+        <button
+            type="button"
+            className={`save-button ${saved ? 'saved' : ''}`}
+            onClick={onToggle}
+            aria-pressed={saved}
+            title={saved ? 'Remove from saved' : 'Save for later'}
+        >
+            {saved ? '★ Saved' : '☆ Save'}
+        </button>
+    )
+}
+
+export default SaveButton
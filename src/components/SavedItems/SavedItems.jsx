@@ -0,0 +1,137 @@
+import { useState } from 'react'
+import { SAVED_STATUSES } from '../../utils/savedItems'
+import './SavedItems.css'
+
+/**
+ * The "Saved" tab: saved issues and repositories with a status and notes each
+ *
+ * `onOpenIssue` opens a saved issue in the detail drawer, `onOpenRepo` a
+ * repository's in-app page.
+ */
+const SavedItems = ({ items, onUpdate, onRemove, onOpenIssue, onOpenRepo, repoPageUrl, isAuthenticated, onLogin, syncing, syncError }) => {
+    const [statusFilter, setStatusFilter] = useState('')
+
+    const visible = statusFilter ? items.filter(item => item.status === statusFilter) : items
+    const countFor = (status) => items.filter(item => item.status === status).length
+
+    return (
+        <section className="issues-section saved-section">
+            <div className="issues-header">
+                <h2 className="issues-title">
+                    ★ Saved
+                </h2>
+                <span className="saved-sync-status" role="status">
+                    {!isAuthenticated ? (
+                        <>
+                            Saved on this device only ·{' '}
+                            <button type="button" className="saved-link-button" onClick={onLogin}>
+                                Sign in to sync
+                            </button>
+                        </>
+                    ) : syncError ? (
+                        <span className="saved-sync-error">⚠️ {syncError}</span>
+                    ) : syncing ? 'Syncing…' : '✓ Synced'}
+                </span>
+            </div>
+
+            {items.length > 0 && (
+                <div className="category-pills saved-filters" role="group" aria-label="Filter by status">
+                    <button
+                        className={`category-pill ${statusFilter === '' ? 'active' : ''}`}
+                        onClick={() => setStatusFilter('')}
+                        aria-pressed={statusFilter === ''}
+                    >
+                        All ({items.length})
+                    </button>
+                    {SAVED_STATUSES.map(status => (
+                        <button
+                            key={status.value}
+                            className={`category-pill ${statusFilter === status.value ? 'active' : ''}`}
+                            onClick={() => setStatusFilter(status.value)}
+                            aria-pressed={statusFilter === status.value}
+                        >
+                            <span className="category-icon" aria-hidden="true">{status.icon}</span>
+                            {status.label} ({countFor(status.value)})
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {items.length === 0 && (
+                <div className="empty-state">
+                    <div className="empty-icon">☆</div>
+                    <h3 className="empty-title">Nothing saved yet</h3>
+                    <p className="empty-description">
+                        Hit "☆ Save" on any issue or hot repo to keep it here, then track your progress as you go.
+                    </p>
+                </div>
+            )}
+
+            {items.length > 0 && visible.length === 0 && (
+                <p className="saved-empty-filter">Nothing with this status yet.</p>
+            )}
+
+            <ul className="saved-list">
+                {visible.map(item => (
+                    <li key={item.key} className={`saved-item saved-status-${item.status}`}>
+                        <div className="saved-item-header">
+                            <span className="saved-item-type" aria-hidden="true">{item.type === 'issue' ? '🎯' : '📦'}</span>
+                            <div className="saved-item-info">
+                                {item.type === 'issue' && (
+                                    <a href={repoPageUrl(item.repo)} className="issue-repo" onClick={(e) => onOpenRepo(e, item.repo)}>
+                                        {item.repo} #{item.number}
+                                    </a>
+                                )}
+                                <a
+                                    href={item.type === 'issue' ? item.url : repoPageUrl(item.repo)}
+                                    className="saved-item-title"
+                                    onClick={(e) => (item.type === 'issue' ? onOpenIssue(e, item) : onOpenRepo(e, item.repo))}
+                                >
+                                    {item.title}
+                                </a>
+                                {item.type === 'repo' && item.description && (
+                                    <p className="saved-item-description">{item.description}</p>
+                                )}
+                            </div>
+                            <button
+                                type="button"
+                                className="saved-remove"
+                                onClick={() => onRemove(item.key)}
+                                aria-label={`Remove ${item.title} from saved`}
+                            >
+                                ✕
+                            </button>
+                        </div>
+
+                        <div className="saved-item-controls">
+                            <label className="filter-label" htmlFor={`status-${item.key}`}>Status</label>
+                            <select
+                                id={`status-${item.key}`}
+                                className="filter-select saved-status-select"
+                                value={item.status}
+                                onChange={(e) => onUpdate(item.key, { status: e.target.value })}
+                            >
+                                {SAVED_STATUSES.map(status => (
+                                    <option key={status.value} value={status.value}>
+                                        {status.icon} {status.label}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <textarea
+                            className="saved-notes"
+                            value={item.notes}
+                            onChange={(e) => onUpdate(item.key, { notes: e.target.value })}
+                            placeholder="Notes - what you asked, where you got stuck, your branch name..."
+                            aria-label={`Notes for ${item.title}`}
+                            rows={2}
+                        />
+                    </li>
+                ))}
+            </ul>
+        </section>
+    )
+}
+
+export default SavedItems
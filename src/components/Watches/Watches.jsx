@@ -0,0 +1,47 @@
+import './Watches.css'
+
+/**
+ * The user's watched searches, each with its count of new issues
+ * Opening one applies its filters; ✕ stops watching it.
+ */
+const Watches = ({ watches, activeWatchId, notificationPermission, onOpen, onRemove }) => {
+    if (watches.length === 0) return null
+
+    return (
+        <div className="watches" role="group" aria-label="Watched searches">
+            <span className="watches-label">🔔 Watching</span>
+            {watches.map(watch => (
+                <span key={watch.id} className={`watch-chip ${watch.id === activeWatchId ? 'active' : ''}`}>
+                    <button
+                        type="button"
+                        className="watch-chip-open"
+                        onClick={() => onOpen(watch)}
+                        title={watch.lastCheckedAt ? `Last checked ${new Date(watch.lastCheckedAt).toLocaleTimeString()}` : 'Not checked yet'}
+                    >
+                        {watch.name}
+                        {watch.unread.length > 0 && (
+                            <span className="watch-chip-count" aria-label={`${watch.unread.length} new`}>
+                                {watch.unread.length}
+                            </span>
+                        )}
+                    </button>
+                    <button
+                        type="button"
+                        className="watch-chip-remove"
+                        onClick={() => onRemove(watch.id)}
+                        aria-label={`Stop watching ${watch.name}`}
+                    >
+                        ✕
+                    </button>
+                </span>
+            ))}
+            {notificationPermission === 'denied' && (
+                <span className="watches-hint">
+                    Notifications are blocked for this site - new issues are still counted here.
+                </span>
+            )}
+        </div>
+    )
+}
+
+export default Watches
@@ -0,0 +1,11 @@
+/**
+ * App configuration shared across modules
+ */
+
+// Server URL for OAuth endpoints and the cached GitHub API proxy
+// Dynamically determine the server URL based on the current hostname
+// This allows auth to work on mobile devices accessing via network IP
+// (add that origin, e.g. http://192.168.1.20:5173, to the server's ALLOWED_ORIGINS)
+export const AUTH_SERVER_URL = import.meta.env.PROD
+    ? 'https://psankho.onrender.com' // TODO: Replace with your actual production server URL after deployment
+    : `http://${window.location.hostname}:3002`
@@ -0,0 +1,42 @@
+/**
+ * useAchievements Hook
+ *
+ * Loads a user's achievements and contribution streak from the auth
+ * server (see server/achievements.js), which works them out from their
+ * public GitHub activity.
+ *
+ * Usage:
+ *   const { achievements, streak, loading, error } = useAchievements(user?.login)
+ */
+
+import { useState, useEffect } from 'react'
+import { AUTH_SERVER_URL } from '../config'
+
+export function useAchievements(login) {
+    const [state, setState] = useState({ achievements: [], streak: null, loading: true, error: null })
+
+    useEffect(() => {
+        if (!login) return
+        const controller = new AbortController()
+
+        const load = async () => {
+            setState(prev => ({ ...prev, loading: true, error: null }))
+            try {
+                const response = await fetch(`${AUTH_SERVER_URL}/achievements/${encodeURIComponent(login)}`, { signal: controller.signal })
+                const data = await response.json()
+                if (!response.ok) throw new Error(data.error || 'Failed to load achievements')
+                setState({ achievements: data.achievements, streak: data.streak, loading: false, error: null })
+            } catch (err) {
+                if (controller.signal.aborted) return
+                setState(prev => ({ ...prev, loading: false, error: err.message }))
+            }
+        }
+
+        load()
+        return () => controller.abort()
+    }, [login])
+
+    return state
+}
+
+export default useAchievements
@@ -0,0 +1,46 @@
+/**
+ * useContributions Hook
+ *
+ * Loads the signed-in user's contribution history for the dashboard
+ * (see utils/contributions.js).
+ *
+ * Usage:
+ *   const { data, loading, error, refresh } = useContributions(user?.login)
+ *   data?.stats.merged
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { fetchContributions } from '../utils/contributions'
+
+export function useContributions(login) {
+    const [state, setState] = useState({ data: null, loading: true, error: null })
+
+    // Bumped by refresh() to load again
+    const [refreshCount, setRefreshCount] = useState(0)
+
+    useEffect(() => {
+        if (!login) return
+        const controller = new AbortController()
+
+        const load = async () => {
+            setState(prev => ({ ...prev, loading: true, error: null }))
+            try {
+                const data = await fetchContributions(login, { signal: controller.signal })
+                if (controller.signal.aborted) return
+                setState({ data, loading: false, error: null })
+            } catch (err) {
+                if (controller.signal.aborted) return
+                setState(prev => ({ ...prev, loading: false, error: err.message }))
+            }
+        }
+
+        load()
+        return () => controller.abort()
+    }, [login, refreshCount])
+
+    const refresh = useCallback(() => setRefreshCount(count => count + 1), [])
+
+    return { ...state, refresh }
+}
+
+export default useContributions
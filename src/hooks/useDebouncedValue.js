@@ -0,0 +1,27 @@
+/**
+ * useDebouncedValue Hook
+ *
+ * Returns `value` once it has stopped changing for `delay` ms - used so a
+ * search fires once the user pauses typing, not on every keystroke.
+ *
+ * Usage:
+ *   const [debouncedQuery, flushQuery] = useDebouncedValue(searchQuery, 400)
+ *   // flushQuery() applies the latest value immediately (e.g. on Enter)
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+
+export function useDebouncedValue(value, delay = 300) {
+    const [debounced, setDebounced] = useState(value)
+
+    useEffect(() => {
+        const timer = setTimeout(() => setDebounced(value), delay)
+        return () => clearTimeout(timer)
+    }, [value, delay])
+
+    const flush = useCallback(() => setDebounced(value), [value])
+
+    return [debounced, flush]
+}
+
+export default useDebouncedValue
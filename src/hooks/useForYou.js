@@ -0,0 +1,67 @@
+/**
+ * useForYou Hook
+ *
+ * Loads the signed-in user's contributor profile (see utils/userProfile.js)
+ * and the beginner issues that could match it (see utils/recommendations.js).
+ * Ranking happens in the component, so tuning the weights doesn't refetch.
+ * Nothing is fetched until `enabled` is true (the tab is open).
+ *
+ * Usage:
+ *   const { profile, issues, loading, error, refresh } = useForYou(user?.login, activeTab === 'foryou')
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { PROXY_API, ISSUES_PER_PAGE, buildHeaders, githubFetch } from '../utils/github'
+import { mergeSearchResults } from '../../shared/searchQuery.js'
+import { fetchUserProfile } from '../utils/userProfile'
+import { buildRecommendationQueries } from '../utils/recommendations'
+
+const EMPTY = { profile: null, issues: [], loading: false, error: null }
+
+export function useForYou(login, enabled = true) {
+    const [state, setState] = useState(EMPTY)
+
+    // Bumped by refresh() to rebuild the profile and search again
+    const [refreshCount, setRefreshCount] = useState(0)
+
+    useEffect(() => {
+        if (!login || !enabled) return
+        const controller = new AbortController()
+
+        const load = async () => {
+            setState(prev => ({ ...prev, loading: true, error: null }))
+            try {
+                const profile = await fetchUserProfile(login, { force: refreshCount > 0, signal: controller.signal })
+                if (controller.signal.aborted) return
+                setState(prev => ({ ...prev, profile }))
+
+                const responses = await Promise.all(buildRecommendationQueries(profile).map(query =>
+                    githubFetch(
+                        `${PROXY_API}/search/issues?q=${encodeURIComponent(query)}&sort=updated&order=desc&per_page=${ISSUES_PER_PAGE}`,
+                        { headers: buildHeaders(), signal: controller.signal }
+                    )
+                ))
+                if (responses.some(response => !response.ok)) {
+                    throw new Error('Failed to find issues for you. Please try again.')
+                }
+
+                const { items } = mergeSearchResults(await Promise.all(responses.map(response => response.json())), 'updated')
+                if (controller.signal.aborted) return
+                setState({ profile, issues: items, loading: false, error: null })
+            } catch (err) {
+                if (controller.signal.aborted) return
+                setState(prev => ({ ...prev, loading: false, error: err.message }))
+            }
+        }
+
+        load()
+        return () => controller.abort()
+    }, [login, enabled, refreshCount])
+
+    const refresh = useCallback(() => setRefreshCount(count => count + 1), [])
+
+    // Nothing to show once signed out
+    return login ? { ...state, refresh } : { ...EMPTY, refresh }
+}
+
+export default useForYou
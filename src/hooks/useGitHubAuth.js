@@ -4,69 +4,84 @@
  * A custom React hook that manages GitHub OAuth authentication.
  * 
  * Features:
- * - Stores access token in localStorage (persists across page reloads)
+ * - Signed-in state lives in an httpOnly session cookie set by the auth
+ *   server (persists across page reloads). The access token stays on the
+ *   server - GitHub calls that need it go through the server's session
+ *   proxy (SESSION_API in utils/github.js) - so page scripts can't read it.
  * - Handles OAuth callback (when GitHub redirects back)
- * - Provides login/logout functions
+ * - Checks the OAuth `state` on the way back, so forged or replayed
+ *   callbacks are turned away (the server checks it too)
+ * - Provides login/logout functions, plus loginWithDevice: sign in by
+ *   entering a code on github.com/login/device, for when the redirect
+ *   can't come back here (a kiosk, the app opened via a LAN IP)
  * - Tracks authentication state and user info
+ * - Optional write access: requestWriteAccess signs in again asking for
+ *   the public_repo scope, so the app can star, watch and comment on
+ *   public repositories for the user; `canWrite` says whether they granted it
  * 
  * Usage:
- *   const { user, isAuthenticated, login, logout, accessToken } = useGitHubAuth()
+ *   const { user, isAuthenticated, login, logout } = useGitHubAuth()
+ *   const { canWrite, requestWriteAccess } = useGitHubAuth()
+ *   const { loginWithDevice, deviceLogin, cancelDeviceLogin } = useGitHubAuth()
+ *   deviceLogin?.userCode // e.g. 'WDJB-MJHT', while waiting for approval
  */
 
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { rememberReturnLocation } from '../utils/router'
+import { clearRepoInteractions } from '../utils/repoInteractions'
+import { AUTH_SERVER_URL } from '../config'
 
-// Server URL for OAuth endpoints
-// Dynamically determine the server URL based on the current hostname
-// This allows auth to work on mobile devices accessing via network IP
-const AUTH_SERVER_URL = import.meta.env.PROD
-    ? 'https://psankho.onrender.com' // TODO: Replace with your actual production server URL after deployment
-    : `http://${window.location.hostname}:3002`
+// Where earlier versions kept the token and user in localStorage - cleared
+// on load, so a token from before sessions doesn't linger in the browser
+const LEGACY_STORAGE_KEYS = ['github_access_token', 'github_user']
 
-// LocalStorage keys
-const STORAGE_KEYS = {
-    ACCESS_TOKEN: 'github_access_token',
-    USER: 'github_user'
-}
+// The optional scope that lets the app act on public repositories for the user
+const WRITE_SCOPE = 'public_repo'
+
+// SessionStorage key for the `state` of the login in progress
+// (per tab, so a callback only succeeds in the tab that started the login)
+const OAUTH_STATE_KEY = 'github_oauth_state'
+
+// Callback results by code - StrictMode runs the callback effect twice in
+// development, and the second run must share the first rather than spend the
+// state again (codes are single-use, so results are never looked up later)
+const callbacksInFlight = new Map()
 
 export function useGitHubAuth() {
     // State for user info and loading status
     const [user, setUser] = useState(null)
-    const [accessToken, setAccessToken] = useState(null)
+    // OAuth scopes the session's token was granted
+    const [scopes, setScopes] = useState([])
     const [isLoading, setIsLoading] = useState(true)
     const [error, setError] = useState(null)
 
+    // Device sign-in in progress: { userCode, verificationUri, expiresAt }
+    const [deviceLogin, setDeviceLogin] = useState(null)
+    // The current device sign-in's polling loop, so it can be told to stop
+    const deviceAttemptRef = useRef(null)
+
     /**
      * Check for existing auth on mount
      * This runs once when the component using this hook mounts
      */
     useEffect(() => {
         const initAuth = async () => {
-            // Check if there's a stored token
-            const storedToken = localStorage.getItem(STORAGE_KEYS.ACCESS_TOKEN)
-            const storedUser = localStorage.getItem(STORAGE_KEYS.USER)
+            LEGACY_STORAGE_KEYS.forEach(key => localStorage.removeItem(key))
 
-            if (storedToken && storedUser) {
-                // Verify the token is still valid
-                try {
-                    const response = await fetch(`${AUTH_SERVER_URL}/auth/verify`, {
-                        headers: {
-                            'Authorization': `Bearer ${storedToken}`
-                        }
-                    })
-
-                    const data = await response.json()
-
-                    if (data.valid) {
-                        setAccessToken(storedToken)
-                        setUser(JSON.parse(storedUser))
-                    } else {
-                        // Token expired, clear storage
-                        localStorage.removeItem(STORAGE_KEYS.ACCESS_TOKEN)
-                        localStorage.removeItem(STORAGE_KEYS.USER)
-                    }
-                } catch (err) {
-                    console.error('Auth verification failed:', err)
+            // Ask the server whether this browser's session is still valid
+            try {
+                const response = await fetch(`${AUTH_SERVER_URL}/auth/verify`, {
+                    credentials: 'include'
+                })
+
+                const data = await response.json()
+
+                if (data.valid) {
+                    setUser(data.user)
+                    setScopes(data.scopes || [])
                 }
+            } catch (err) {
+                console.error('Auth verification failed:', err)
             }
 
             setIsLoading(false)
@@ -76,21 +91,34 @@ export function useGitHubAuth() {
     }, [])
 
     /**
-     * Handle OAuth callback
-     * Call this when the user returns from GitHub with an auth code
+     * Check the state and have the server exchange the code for a session
+     * Resolves to true on success; failures end up in `error`.
      */
-    const handleCallback = useCallback(async (code) => {
+    const exchangeCode = useCallback(async (code, state) => {
         setIsLoading(true)
         setError(null)
-        console.log('[Auth] Handling callback with code:', code)
+        console.log('[Auth] Handling callback')
+
+        // The state is single-use: take it out of storage whatever happens next
+        const expectedState = sessionStorage.getItem(OAUTH_STATE_KEY)
+        sessionStorage.removeItem(OAUTH_STATE_KEY)
 
         try {
+            if (!expectedState) {
+                throw new Error('This sign-in link was already used or wasn\'t started from this tab. Please sign in again.')
+            }
+            if (state !== expectedState) {
+                throw new Error('Sign-in was blocked because the security check failed (state mismatch). Please sign in again.')
+            }
+
             const response = await fetch(`${AUTH_SERVER_URL}/auth/github/callback`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ code })
+                // Lets the session cookie in the response be stored
+                credentials: 'include',
+                body: JSON.stringify({ code, state })
             })
 
             const data = await response.json()
@@ -100,13 +128,12 @@ export function useGitHubAuth() {
                 throw new Error(data.error)
             }
 
-            // Store token and user info
-            console.log('[Auth] Authentication successful, storing token')
-            localStorage.setItem(STORAGE_KEYS.ACCESS_TOKEN, data.access_token)
-            localStorage.setItem(STORAGE_KEYS.USER, JSON.stringify(data.user))
-
-            setAccessToken(data.access_token)
+            // The server kept the token and set the session cookie
+            console.log('[Auth] Authentication successful')
+            // Star / watch states looked up so far were for whoever was signed in before
+            clearRepoInteractions()
             setUser(data.user)
+            setScopes(data.scopes || [])
 
             return true
         } catch (err) {
@@ -119,32 +146,34 @@ export function useGitHubAuth() {
     }, [])
 
     /**
-     * Initiate GitHub login
-     * OPTIMIZED: Constructs OAuth URL directly on frontend (instant redirect!)
-     * 
-     * WHY THIS WORKS:
-     * - GitHub Client ID is public (not secret)
-     * - We can safely build the OAuth URL here
-     * - No network call = NO DELAY! ⚡
-     * 
-     * ANIMATION TRICK:
-     * - We set loading state first
-     * - Wait 300ms for React to render the animation
-     * - Then redirect to GitHub
+     * Handle OAuth callback
+     * Call this when the user returns from GitHub with an auth code and state
      */
-    const login = useCallback(() => {
+    const handleCallback = useCallback((code, state) => {
+        if (!callbacksInFlight.has(code)) {
+            callbacksInFlight.set(code, exchangeCode(code, state))
+        }
+        return callbacksInFlight.get(code)
+    }, [exchangeCode])
+
+    /**
+     * Initiate GitHub login, asking for `extraScope` on top of the basics
+     *
+     * The auth server builds the GitHub authorization URL, because it has
+     * to issue the single-use `state` in it (see server/oauthState.js).
+     * We keep a copy of the state in sessionStorage and compare it with
+     * the one GitHub hands back in handleCallback.
+     */
+    const redirectToGitHub = useCallback(async (extraScope) => {
         try {
             console.log('[Auth] Initiating login...')
 
             // STEP 1: Show loading animation
             // This triggers React to re-render the button with the animation
             setIsLoading(true)
+            setError(null)
 
-            // STEP 2: Get the GitHub Client ID from environment variables
-            // Vite exposes env vars prefixed with VITE_ to the frontend
-            const clientId = import.meta.env.VITE_GITHUB_CLIENT_ID
-
-            // STEP 3: Determine where GitHub should redirect after auth
+            // STEP 2: Determine where GitHub should redirect after auth
             // We use window.location.origin to get the current base URL
             // Examples: 
             //   - Local: http://localhost:5173
@@ -152,63 +181,166 @@ export function useGitHubAuth() {
             const redirectUri = window.location.origin
             console.log('[Auth] Using redirect URI:', redirectUri)
 
-            // STEP 4: Validate that Client ID exists
-            if (!clientId) {
-                setIsLoading(false)  // Reset loading on error
-                throw new Error('GitHub Client ID not configured. Check your .env file.')
+            // STEP 3: Ask the auth server for the authorization URL and its state
+            // Learn more: https://docs.github.com/en/apps/oauth-apps/building-oauth-apps/authorizing-oauth-apps
+            const scopeParam = extraScope ? `&scope=${encodeURIComponent(extraScope)}` : ''
+            const response = await fetch(`${AUTH_SERVER_URL}/auth/github?redirect_uri=${encodeURIComponent(redirectUri)}${scopeParam}`)
+            const data = await response.json()
+            if (!response.ok || !data.url || !data.state) {
+                throw new Error(data.error || 'Could not start signing in. Please try again.')
             }
 
-            // STEP 5: Build the GitHub OAuth authorization URL
-            // This is the standard GitHub OAuth URL format
-            // Learn more: https://docs.github.com/en/apps/oauth-apps/building-oauth-apps/authorizing-oauth-apps
-            const githubAuthUrl =
-                `https://github.com/login/oauth/authorize` +  // GitHub's OAuth endpoint
-                `?client_id=${clientId}` +                     // Your app's public ID
-                `&redirect_uri=${encodeURIComponent(redirectUri)}` + // Where to return after auth
-                `&scope=read:user`                            // What permissions we need
-
-            console.log('[Auth] Redirecting to GitHub:', githubAuthUrl)
-
-            // STEP 6: Wait a tiny moment for the animation to be visible
-            // Why 300ms?
-            // - React needs time to re-render with the loading state
-            // - Animation needs time to be seen by the user
-            // - Still feels instant (< 1 second)
-            setTimeout(() => {
-                // STEP 7: Redirect the user to GitHub
-                window.location.href = githubAuthUrl
-            }, 300)  // 300ms = 0.3 seconds (just enough to see the animation!)
+            // STEP 4: Remember the state for this tab, to check when GitHub sends the user back
+            sessionStorage.setItem(OAUTH_STATE_KEY, data.state)
 
+            // Remember the current view and filters - GitHub always sends the
+            // user back to the site root, and App restores this location from there
+            rememberReturnLocation()
+
+            // STEP 5: Redirect the user to GitHub
+            window.location.href = data.url
         } catch (err) {
             console.error('[Auth] Login initialization failed:', err)
-            setError(err.message)
+            setError(err.message === 'Failed to fetch' ? 'Could not reach the sign-in server. Please try again.' : err.message)
             setIsLoading(false)  // Reset loading on error
         }
     }, [])
 
+    // Plain sign-in (used as a click handler, so the event isn't passed on)
+    const login = useCallback(() => redirectToGitHub(), [redirectToGitHub])
+
+    /**
+     * Ask the user to grant public_repo on GitHub
+     * They sign in again and come back to the same view with a session
+     * that can star, watch and comment; declining leaves them as they were.
+     */
+    const requestWriteAccess = useCallback(() => redirectToGitHub(WRITE_SCOPE), [redirectToGitHub])
+
+    /**
+     * Sign in with a code (GitHub's device flow)
+     *
+     * The auth server asks GitHub for a user code, which shows up in
+     * `deviceLogin` for the user to enter at github.com/login/device on any
+     * device. We then poll the server until they approve; it starts the
+     * session and we're signed in without ever leaving this page.
+     */
+    const loginWithDevice = useCallback(async () => {
+        if (deviceAttemptRef.current) deviceAttemptRef.current.cancelled = true
+        const attempt = { cancelled: false }
+        deviceAttemptRef.current = attempt
+        setError(null)
+
+        const post = (path, body) => fetch(`${AUTH_SERVER_URL}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify(body)
+        })
+
+        try {
+            const response = await post('/auth/device', {})
+            const data = await response.json()
+            if (!response.ok) throw new Error(data.error || 'Could not start signing in. Please try again.')
+            if (attempt.cancelled) return
+
+            setDeviceLogin({
+                userCode: data.user_code,
+                verificationUri: data.verification_uri,
+                expiresAt: Date.now() + data.expires_in * 1000
+            })
+
+            let interval = data.interval
+            while (!attempt.cancelled) {
+                await new Promise(resolve => setTimeout(resolve, interval * 1000))
+                if (attempt.cancelled) return
+
+                let poll
+                try {
+                    poll = await post('/auth/device/poll', { id: data.id })
+                } catch {
+                    // Connection blip (a phone changing networks) - try again next round
+                    continue
+                }
+                const result = await poll.json()
+                if (!poll.ok) throw new Error(result.error || 'Sign-in with a code failed. Please start again.')
+
+                if (result.user) {
+                    console.log('[Auth] Device sign-in approved')
+                    if (!attempt.cancelled) {
+                        clearRepoInteractions()
+                        setUser(result.user)
+                        setScopes(result.scopes || [])
+                    }
+                    return
+                }
+                interval = result.interval || interval
+            }
+        } catch (err) {
+            console.error('[Auth] Device sign-in failed:', err)
+            if (!attempt.cancelled) {
+                setError(err.message === 'Failed to fetch' ? 'Could not reach the sign-in server. Please try again.' : err.message)
+            }
+        } finally {
+            if (deviceAttemptRef.current === attempt) {
+                deviceAttemptRef.current = null
+                setDeviceLogin(null)
+            }
+        }
+    }, [])
+
+    /**
+     * Stop waiting for a device sign-in
+     */
+    const cancelDeviceLogin = useCallback(() => {
+        if (deviceAttemptRef.current) deviceAttemptRef.current.cancelled = true
+        deviceAttemptRef.current = null
+        setDeviceLogin(null)
+    }, [])
+
+    // Stop polling when the component using this hook goes away
+    useEffect(() => cancelDeviceLogin, [cancelDeviceLogin])
+
+    /**
+     * Dismiss the current sign-in error
+     */
+    const clearError = useCallback(() => setError(null), [])
+
     /**
      * Logout the user
-     * Clears stored token and user info
+     * The server ends the session and revokes the app's access on GitHub.
+     * We're signed out locally even if that request fails.
      */
-    const logout = useCallback(() => {
-        localStorage.removeItem(STORAGE_KEYS.ACCESS_TOKEN)
-        localStorage.removeItem(STORAGE_KEYS.USER)
-        setAccessToken(null)
+    const logout = useCallback(async () => {
+        clearRepoInteractions()
         setUser(null)
+        setScopes([])
+        try {
+            await fetch(`${AUTH_SERVER_URL}/auth/logout`, {
+                method: 'POST',
+                credentials: 'include'
+            })
+        } catch (err) {
+            console.error('[Auth] Logout request failed:', err)
+        }
     }, [])
 
     return {
         // Auth state
         user,
-        accessToken,
-        isAuthenticated: !!accessToken,
+        isAuthenticated: !!user,
+        canWrite: !!user && scopes.includes(WRITE_SCOPE),
         isLoading,
         error,
+        deviceLogin,
 
         // Auth actions
         login,
+        requestWriteAccess,
+        loginWithDevice,
+        cancelDeviceLogin,
         logout,
-        handleCallback
+        handleCallback,
+        clearError
     }
 }
 
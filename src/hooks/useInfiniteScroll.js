@@ -0,0 +1,40 @@
+/**
+ * useInfiniteScroll Hook
+ *
+ * Calls `onLoadMore` whenever a sentinel element scrolls into view.
+ * Attach the returned ref to an element placed after the last result.
+ *
+ * Usage:
+ *   const sentinelRef = useInfiniteScroll(loadNextPage, { enabled: hasMore && !loading })
+ *   <div ref={sentinelRef} />
+ */
+
+import { useEffect, useRef } from 'react'
+
+export function useInfiniteScroll(onLoadMore, { enabled = true, rootMargin = '400px' } = {}) {
+    const sentinelRef = useRef(null)
+
+    // Keep the latest callback without re-creating the observer on every render
+    const callbackRef = useRef(onLoadMore)
+    useEffect(() => {
+        callbackRef.current = onLoadMore
+    }, [onLoadMore])
+
+    useEffect(() => {
+        const node = sentinelRef.current
+        if (!enabled || !node) return
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                callbackRef.current()
+            }
+        }, { rootMargin })
+
+        observer.observe(node)
+        return () => observer.disconnect()
+    }, [enabled, rootMargin])
+
+    return sentinelRef
+}
+
+export default useInfiniteScroll
@@ -0,0 +1,40 @@
+/**
+ * useIssueAvailability Hook
+ *
+ * Tracks whether each issue in `issues` is assigned, claimed in a recent
+ * comment, or still available (see utils/availability.js), filling in as
+ * comment checks resolve.
+ *
+ * Comment checks cost one core API request per issue (made as the
+ * signed-in user), so they only run when `checkClaims` is true; otherwise
+ * only the free assignment check is made.
+ *
+ * Usage:
+ *   const availability = useIssueAvailability(issues, isAuthenticated)
+ *   availability[issue.id]?.status // 'assigned' | 'claimed' | 'available' | 'unknown'
+ */
+
+import { useState, useEffect } from 'react'
+import { fetchAvailability, getCachedAvailability } from '../utils/availability'
+
+export function useIssueAvailability(issues, checkClaims = true) {
+    // The data itself lives in the module-level cache; this only triggers re-renders
+    const [, setVersion] = useState(0)
+
+    useEffect(() => {
+        if (!checkClaims || issues.length === 0) return
+        let cancelled = false
+
+        fetchAvailability(issues, () => {
+            if (!cancelled) setVersion(version => version + 1)
+        })
+
+        return () => {
+            cancelled = true
+        }
+    }, [issues, checkClaims])
+
+    return getCachedAvailability(issues)
+}
+
+export default useIssueAvailability
@@ -0,0 +1,114 @@
+/**
+ * useIssueDetail Hook
+ *
+ * Loads everything the issue detail drawer shows for one issue:
+ * - the issue itself, with GitHub-rendered HTML for its body
+ * - the comment thread
+ * - the timeline (labels, assignments, cross-references, ...)
+ * - pull requests linked to the issue, pulled out of the timeline
+ *
+ * Usage:
+ *   const { issue, comments, events, linkedPullRequests, loading, error } =
+ *       useIssueDetail('facebook/react', 1234, isAuthenticated)
+ */
+
+import { useState, useEffect } from 'react'
+import { apiBase, buildHeaders, githubFetch } from '../utils/github'
+
+// Ask GitHub for rendered HTML (`body_html`) alongside the raw Markdown
+const FULL_MEDIA_TYPE = 'application/vnd.github.full+json'
+
+// Timeline events worth showing in the thread (comments come from their own endpoint)
+const TIMELINE_EVENTS = [
+    'labeled',
+    'unlabeled',
+    'assigned',
+    'unassigned',
+    'milestoned',
+    'demilestoned',
+    'renamed',
+    'closed',
+    'reopened',
+    'cross-referenced',
+    'connected'
+]
+
+/**
+ * Pull requests that reference this issue, newest first, one entry per PR
+ */
+function findLinkedPullRequests(timeline) {
+    const byUrl = new Map()
+    timeline
+        .filter(event => event.event === 'cross-referenced' && event.source?.issue?.pull_request)
+        .forEach(event => {
+            const pr = event.source.issue
+            byUrl.set(pr.html_url, {
+                number: pr.number,
+                title: pr.title,
+                url: pr.html_url,
+                repo: pr.repository?.full_name,
+                state: pr.pull_request.merged_at ? 'merged' : pr.state,
+                author: pr.user?.login
+            })
+        })
+    return [...byUrl.values()].reverse()
+}
+
+export function useIssueDetail(repoFullName, issueNumber, signedIn) {
+    const [state, setState] = useState({
+        issue: null,
+        comments: [],
+        events: [],
+        linkedPullRequests: [],
+        loading: true,
+        error: null
+    })
+
+    useEffect(() => {
+        if (!repoFullName || !issueNumber) return
+        const controller = new AbortController()
+
+        const get = async (path) => {
+            const response = await githubFetch(`${apiBase(signedIn)}/repos/${repoFullName}/issues/${issueNumber}${path}`, {
+                headers: { ...buildHeaders(), 'Accept': FULL_MEDIA_TYPE },
+                signal: controller.signal
+            })
+            if (!response.ok) {
+                throw new Error(response.status === 404
+                    ? 'This issue no longer exists or is private.'
+                    : 'Failed to load issue details. Please try again.')
+            }
+            return response.json()
+        }
+
+        const load = async () => {
+            setState(prev => ({ ...prev, loading: true, error: null }))
+            try {
+                const [issue, comments, timeline] = await Promise.all([
+                    get(''),
+                    get('/comments?per_page=100'),
+                    get('/timeline?per_page=100')
+                ])
+
+                setState({
+                    issue,
+                    comments,
+                    events: timeline.filter(event => TIMELINE_EVENTS.includes(event.event)),
+                    linkedPullRequests: findLinkedPullRequests(timeline),
+                    loading: false,
+                    error: null
+                })
+            } catch (err) {
+                if (controller.signal.aborted) return
+                setState(prev => ({ ...prev, loading: false, error: err.message }))
+            }
+        }
+
+        load()
+        return () => controller.abort()
+    }, [repoFullName, issueNumber, signedIn])
+
+    return state
+}
+
+export default useIssueDetail
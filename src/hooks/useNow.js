@@ -0,0 +1,26 @@
+/**
+ * useNow Hook
+ *
+ * Returns the current time (ms), refreshed every `interval` ms while
+ * `enabled` - handy for live countdowns.
+ *
+ * Usage:
+ *   const now = useNow(1000, !!retryAt)
+ *   const secondsLeft = Math.ceil((retryAt - now) / 1000)
+ */
+
+import { useState, useEffect } from 'react'
+
+export function useNow(interval = 1000, enabled = true) {
+    const [now, setNow] = useState(() => Date.now())
+
+    useEffect(() => {
+        if (!enabled) return
+        const timer = setInterval(() => setNow(Date.now()), interval)
+        return () => clearInterval(timer)
+    }, [interval, enabled])
+
+    return now
+}
+
+export default useNow
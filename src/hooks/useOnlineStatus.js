@@ -0,0 +1,27 @@
+/**
+ * useOnlineStatus Hook
+ *
+ * Whether the browser thinks it has a network connection, updated on the
+ * window's online / offline events. "Online" only means a network is there -
+ * GitHub or the auth server can still be unreachable.
+ *
+ * Usage:
+ *   const online = useOnlineStatus()
+ */
+
+import { useSyncExternalStore } from 'react'
+
+function subscribe(onChange) {
+    window.addEventListener('online', onChange)
+    window.addEventListener('offline', onChange)
+    return () => {
+        window.removeEventListener('online', onChange)
+        window.removeEventListener('offline', onChange)
+    }
+}
+
+export function useOnlineStatus() {
+    return useSyncExternalStore(subscribe, () => navigator.onLine)
+}
+
+export default useOnlineStatus
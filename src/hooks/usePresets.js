@@ -0,0 +1,49 @@
+/**
+ * usePresets Hook
+ *
+ * Named saved searches (see utils/presets.js). Kept in localStorage, and
+ * synced to the auth server whenever the user is signed in (see useSyncedList).
+ *
+ * Usage:
+ *   const { presets, savePreset, removePreset, importPresets } = usePresets(user?.id)
+ *   savePreset('Rust, unassigned', { language: 'rust', unassignedOnly: true, ... })
+ */
+
+import { useCallback } from 'react'
+import { useSyncedList } from './useSyncedList'
+import { createPreset, PRESETS_LIST } from '../utils/presets'
+
+export function usePresets(account) {
+    const { entries: presets, change, syncing, syncError } = useSyncedList(PRESETS_LIST, account)
+
+    /**
+     * Save `filters` as `name` - replacing the preset of that name, if any
+     */
+    const savePreset = useCallback((name, filters) => {
+        change(prev => {
+            const fresh = createPreset(name, filters)
+            const existing = prev.find(preset => !preset.deleted && preset.name.toLowerCase() === fresh.name.toLowerCase())
+            if (existing) {
+                return prev.map(preset => (preset.id === existing.id
+                    ? { ...preset, filters: fresh.filters, updatedAt: fresh.updatedAt }
+                    : preset))
+            }
+            return [...prev, fresh]
+        })
+    }, [change])
+
+    const removePreset = useCallback((id) => {
+        change(prev => prev.map(preset => (preset.id === id ? { ...preset, deleted: true, updatedAt: Date.now() } : preset)))
+    }, [change])
+
+    /**
+     * Add presets from an imported file (see parsePresetsFile)
+     */
+    const importPresets = useCallback((imported) => {
+        change(prev => [...prev, ...imported])
+    }, [change])
+
+    return { presets, savePreset, removePreset, importPresets, syncing, syncError }
+}
+
+export default usePresets
@@ -0,0 +1,19 @@
+/**
+ * useRateLimit Hook
+ *
+ * Subscribes to the rate-limit budget tracker (utils/rateLimit.js) and
+ * re-renders whenever a GitHub response updates the remaining budget.
+ *
+ * Usage:
+ *   const { resources, backoffUntil } = useRateLimit()
+ *   resources.search?.remaining
+ */
+
+import { useSyncExternalStore } from 'react'
+import { subscribe, getSnapshot } from '../utils/rateLimit'
+
+export function useRateLimit() {
+    return useSyncExternalStore(subscribe, getSnapshot)
+}
+
+export default useRateLimit
@@ -0,0 +1,42 @@
+/**
+ * useRepoActivity Hook
+ *
+ * Looks up maintainer activity (last maintainer comment, median time to
+ * first reply, ...) for every repository in `fullNames` (see
+ * utils/repoActivity.js), filling in progressively as lookups resolve.
+ * Each repository costs two requests, so nothing is looked up unless
+ * `enabled` (e.g. while the results are on screen); activity already in
+ * the cache is returned either way.
+ *
+ * Usage:
+ *   const activity = useRepoActivity(['facebook/react'], activeTab === 'issues')
+ *   activity['facebook/react']?.medianResponseMs
+ */
+
+import { useState, useEffect } from 'react'
+import { fetchRepoActivities, getCachedRepoActivity } from '../utils/repoActivity'
+
+export function useRepoActivity(fullNames, enabled = true) {
+    // The data itself lives in the module-level cache; this only triggers re-renders
+    const [, setVersion] = useState(0)
+
+    // A stable key so a new array with the same repositories doesn't refetch
+    const key = enabled ? fullNames.join('\n') : ''
+
+    useEffect(() => {
+        if (!key) return
+        let cancelled = false
+
+        fetchRepoActivities(key.split('\n'), () => {
+            if (!cancelled) setVersion(version => version + 1)
+        })
+
+        return () => {
+            cancelled = true
+        }
+    }, [key])
+
+    return getCachedRepoActivity(fullNames)
+}
+
+export default useRepoActivity
@@ -0,0 +1,107 @@
+/**
+ * useRepoDetail Hook
+ *
+ * Loads everything the repository page shows for one repository:
+ * - the repository itself (stars, forks, license, ...)
+ * - its README, rendered by GitHub
+ * - the community profile (CONTRIBUTING, code of conduct, templates)
+ * - whether it ships a dev container
+ * - activity signals (see utils/repoActivity.js)
+ * - open beginner issues among its 100 most recent open issues
+ *
+ * Each part that fails to load is left empty (null / false / []) rather
+ * than failing the page; only a missing repository is an error.
+ *
+ * Usage:
+ *   const { repo, readmeHtml, community, hasDevcontainer, activity, beginnerIssues, loading, error } =
+ *     useRepoDetail('facebook/react')
+ */
+
+import { useState, useEffect } from 'react'
+import { PROXY_API, buildHeaders, githubFetch } from '../utils/github'
+import { fetchRepoActivity } from '../utils/repoActivity'
+import { isBeginnerLabel } from '../../shared/labels.js'
+
+const EMPTY = {
+    repo: null,
+    readmeHtml: null,
+    community: null,
+    hasDevcontainer: false,
+    activity: null,
+    beginnerIssues: [],
+    loading: true,
+    error: null
+}
+
+export function useRepoDetail(fullName) {
+    const [state, setState] = useState(EMPTY)
+
+    useEffect(() => {
+        if (!fullName) return
+        const controller = new AbortController()
+
+        const get = (path, accept) => githubFetch(`${PROXY_API}/repos/${fullName}${path}`, {
+            headers: { ...buildHeaders(), ...(accept && { 'Accept': accept }) },
+            signal: controller.signal
+        })
+
+        // Optional parts resolve to `fallback` instead of failing the page
+        const optional = (promise, fallback) => promise.catch(err => {
+            if (err.name === 'AbortError') throw err
+            return fallback
+        })
+
+        const getJson = async (path) => {
+            const response = await get(path)
+            return response.ok ? response.json() : null
+        }
+
+        const load = async () => {
+            setState({ ...EMPTY })
+            try {
+                const repoResponse = await get('')
+                if (!repoResponse.ok) {
+                    throw new Error(repoResponse.status === 404
+                        ? 'This repository doesn\'t exist or is private.'
+                        : 'Failed to load the repository. Please try again.')
+                }
+                const repo = await repoResponse.json()
+                if (controller.signal.aborted) return
+                setState(prev => ({ ...prev, repo }))
+
+                const [readmeHtml, community, hasDevcontainer, openIssues, activity] = await Promise.all([
+                    optional(get('/readme', 'application/vnd.github.html+json').then(r => (r.ok ? r.text() : null)), null),
+                    optional(getJson('/community/profile'), null),
+                    // A .devcontainer/ folder, or a single .devcontainer.json at the root
+                    optional(get('/contents/.devcontainer').then(r => r.ok || get('/contents/.devcontainer.json').then(r2 => r2.ok)), false),
+                    optional(getJson('/issues?state=open&per_page=100'), null),
+                    fetchRepoActivity(fullName)
+                ])
+                if (controller.signal.aborted) return
+
+                setState({
+                    repo,
+                    readmeHtml,
+                    community,
+                    hasDevcontainer,
+                    activity,
+                    beginnerIssues: (openIssues || []).filter(issue =>
+                        !issue.pull_request && issue.labels.some(label => isBeginnerLabel(label.name))
+                    ),
+                    loading: false,
+                    error: null
+                })
+            } catch (err) {
+                if (controller.signal.aborted) return
+                setState(prev => ({ ...prev, loading: false, error: err.message }))
+            }
+        }
+
+        load()
+        return () => controller.abort()
+    }, [fullName])
+
+    return state
+}
+
+export default useRepoDetail
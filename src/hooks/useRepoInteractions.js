@@ -0,0 +1,48 @@
+/**
+ * useRepoInteractions Hook
+ *
+ * Whether the signed-in user stars and watches each repository in
+ * `fullNames` (see utils/repoInteractions.js), filling in as lookups
+ * resolve. Only looks anything up while `enabled` (the user granted
+ * public_repo - without it GitHub won't let the app change either anyway).
+ *
+ * Usage:
+ *   const { interactions, refresh } = useRepoInteractions(['facebook/react'], canWrite)
+ *   interactions['facebook/react']?.starred
+ *   refresh() // after setStarred / setWatching, to show the new state
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { fetchRepoInteractions, getCachedRepoInteractions, getRepoInteractionsGeneration } from '../utils/repoInteractions'
+
+export function useRepoInteractions(fullNames, enabled) {
+    // The data itself lives in the module-level cache; this only triggers re-renders
+    const [, setVersion] = useState(0)
+
+    // A stable key so a new array with the same repositories doesn't refetch
+    const key = enabled ? fullNames.join('\n') : ''
+    // Signing out or switching accounts empties the cache - look everything up again then
+    const generation = getRepoInteractionsGeneration()
+
+    useEffect(() => {
+        if (!key) return
+        let cancelled = false
+
+        fetchRepoInteractions(key.split('\n'), () => {
+            if (!cancelled) setVersion(version => version + 1)
+        })
+
+        return () => {
+            cancelled = true
+        }
+    }, [key, generation])
+
+    const refresh = useCallback(() => setVersion(version => version + 1), [])
+
+    return {
+        interactions: enabled ? getCachedRepoInteractions(fullNames) : {},
+        refresh
+    }
+}
+
+export default useRepoInteractions
@@ -0,0 +1,40 @@
+/**
+ * useRepoMetadata Hook
+ *
+ * Looks up stars, forks, archived status, license, last push date, language
+ * and topics for every repository in `fullNames` (see utils/repoMetadata.js), filling in
+ * progressively as lookups resolve.
+ *
+ * Usage:
+ *   const repoMeta = useRepoMetadata(['facebook/react', 'vitejs/vite'], isAuthenticated)
+ *   repoMeta['facebook/react']?.stars
+ */
+
+import { useState, useEffect } from 'react'
+import { fetchRepoMetadata, getCachedRepoMetadata } from '../utils/repoMetadata'
+
+export function useRepoMetadata(fullNames, signedIn) {
+    // The data itself lives in the module-level cache; this only triggers re-renders
+    const [, setVersion] = useState(0)
+
+    // A stable key so a new array with the same repositories doesn't refetch
+    const key = fullNames.join('\n')
+
+    useEffect(() => {
+        if (!key) return
+        let cancelled = false
+
+        fetchRepoMetadata(key.split('\n'), signedIn, () => {
+            if (!cancelled) setVersion(version => version + 1)
+        })
+
+        return () => {
+            cancelled = true
+        }
+    }, [key, signedIn])
+
+    // Anything already cached (including from earlier searches) shows straight away
+    return getCachedRepoMetadata(fullNames)
+}
+
+export default useRepoMetadata
@@ -0,0 +1,50 @@
+/**
+ * useSavedItems Hook
+ *
+ * Saved issues and repositories with a status and notes each (see
+ * utils/savedItems.js). Kept in localStorage, and synced to the auth
+ * server whenever the user is signed in (see useSyncedList).
+ *
+ * Usage:
+ *   const { items, isSaved, toggleSaved, updateItem, removeItem } = useSavedItems(user?.id)
+ *   toggleSaved(issueToSavedItem(issue))
+ *   updateItem(key, { status: 'working', notes: 'Asked in the issue' })
+ */
+
+import { useCallback } from 'react'
+import { useSyncedList } from './useSyncedList'
+import { SAVED_ITEMS_LIST } from '../utils/savedItems'
+
+export function useSavedItems(account) {
+    const { entries: items, allEntries: allItems, change, syncing, syncError } = useSyncedList(SAVED_ITEMS_LIST, account)
+
+    const isSaved = useCallback(
+        (key) => allItems.some(item => item.key === key && !item.deleted),
+        [allItems]
+    )
+
+    const updateItem = useCallback((key, changes) => {
+        change(prev => prev.map(item => (item.key === key ? { ...item, ...changes, updatedAt: Date.now() } : item)))
+    }, [change])
+
+    const removeItem = useCallback((key) => {
+        updateItem(key, { deleted: true })
+    }, [updateItem])
+
+    // Save a new item, or remove it if it's already saved
+    const toggleSaved = useCallback((item) => {
+        change(prev => {
+            const now = Date.now()
+            const existing = prev.find(saved => saved.key === item.key)
+            if (existing && !existing.deleted) {
+                return prev.map(saved => (saved.key === item.key ? { ...saved, deleted: true, updatedAt: now } : saved))
+            }
+            const saved = { status: 'interested', notes: '', ...item, savedAt: now, updatedAt: now, deleted: false }
+            return [saved, ...prev.filter(other => other.key !== item.key)]
+        })
+    }, [change])
+
+    return { items, isSaved, toggleSaved, updateItem, removeItem, syncing, syncError }
+}
+
+export default useSavedItems
@@ -0,0 +1,102 @@
+/**
+ * useSyncedList Hook
+ *
+ * A list kept in localStorage and synced to the auth server whenever the
+ * user is signed in (see utils/syncedList.js). Signing in pulls in the
+ * account's list and adds whatever was saved while signed out; after that,
+ * local changes are pushed shortly after they're made, and the server's
+ * merged list comes back. Signing out switches back to the signed-out list,
+ * so nothing of the account's list is left showing for whoever comes next.
+ * The list-specific hooks (useSavedItems, usePresets) build on this.
+ *
+ * Usage:
+ *   const { entries, allEntries, change, syncing, syncError } = useSyncedList(SAVED_ITEMS_LIST, user?.id)
+ *   change(prev => [...prev, entry])
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { loadList, storeList, mergeLists, isAhead, fetchList, syncList } from '../utils/syncedList'
+
+// Wait for a pause in edits (e.g. typing notes) before pushing to the server
+const SYNC_DELAY_MS = 1000
+
+export function useSyncedList(list, account = null) {
+    // Every entry, tombstones included - `entries` below hides the removed ones
+    const [allEntries, setAllEntries] = useState(() => loadList(list, account))
+    const [loadedAccount, setLoadedAccount] = useState(account)
+    const [syncing, setSyncing] = useState(false)
+    const [syncError, setSyncError] = useState(null)
+
+    // Switch lists when the user signs in or out - signing in takes along
+    // what was saved while signed out, which then moves to the account
+    if (loadedAccount !== account) {
+        const accountEntries = loadList(list, account)
+        setLoadedAccount(account)
+        setAllEntries(account && !loadedAccount ? mergeLists(list, accountEntries, allEntries) : accountEntries)
+        setSyncing(false)
+        setSyncError(null)
+    }
+
+    // Local changes not yet pushed - only set by local edits, so server responses don't echo back
+    const dirtyRef = useRef(false)
+    // Whether the account's list has been pulled from the server since signing in
+    const pulledRef = useRef(false)
+
+    useEffect(() => {
+        storeList(list, loadedAccount, allEntries)
+    }, [list, loadedAccount, allEntries])
+
+    // The signed-out list now lives in the account (declared before the sync effect so it runs first)
+    useEffect(() => {
+        pulledRef.current = false
+        dirtyRef.current = false
+        if (account) storeList(list, null, [])
+    }, [list, account])
+
+    // Pull the account's list once after signing in, then push local changes
+    useEffect(() => {
+        if (!account || account !== loadedAccount) return
+        if (pulledRef.current && !dirtyRef.current) return
+        let cancelled = false
+        const pushing = pulledRef.current
+
+        const timer = setTimeout(async () => {
+            dirtyRef.current = false
+            setSyncing(true)
+            try {
+                const merged = pushing ? await syncList(list, allEntries) : await fetchList(list)
+                if (cancelled) return
+                pulledRef.current = true
+                // Anything only this browser has (e.g. saved while signed out) goes up next
+                if (!pushing && isAhead(list, allEntries, merged)) dirtyRef.current = true
+                setAllEntries(prev => mergeLists(list, prev, merged))
+                setSyncError(null)
+            } catch (err) {
+                if (cancelled) return
+                if (pushing) dirtyRef.current = true
+                setSyncError(err.message)
+            } finally {
+                if (!cancelled) setSyncing(false)
+            }
+        }, pushing ? SYNC_DELAY_MS : 0)
+
+        return () => {
+            cancelled = true
+            clearTimeout(timer)
+        }
+    }, [list, account, loadedAccount, allEntries])
+
+    /**
+     * Apply a local change - `update` gets the full list, tombstones included
+     */
+    const change = useCallback((update) => {
+        dirtyRef.current = true
+        setAllEntries(update)
+    }, [])
+
+    const entries = allEntries.filter(entry => !entry.deleted)
+
+    return { entries, allEntries, change, syncing, syncError }
+}
+
+export default useSyncedList
@@ -0,0 +1,50 @@
+/**
+ * useUrlSync Hook
+ *
+ * Keeps the address bar in step with app state, and app state in step
+ * with the browser's back/forward buttons.
+ *
+ * - When `url` changes to a new path (a different view or tab) a history
+ *   entry is pushed, so Back returns to the previous screen. Pushed entries
+ *   are marked (see canGoBackInApp in utils/router.js).
+ * - When only the query string changes (filters, typing in the search box)
+ *   the current entry is replaced, so Back doesn't step through every keystroke.
+ * - On popstate, `onPopState` receives the parsed location to restore.
+ *
+ * Usage:
+ *   useUrlSync(buildUrl(view, tab, params), (route) => applyRoute(route))
+ */
+
+import { useEffect, useRef } from 'react'
+import { parseLocation, IN_APP_STATE } from '../utils/router'
+
+export function useUrlSync(url, onPopState) {
+    // Keep the latest callback without re-subscribing on every render
+    const onPopStateRef = useRef(onPopState)
+    useEffect(() => {
+        onPopStateRef.current = onPopState
+    }, [onPopState])
+
+    // State -> URL
+    useEffect(() => {
+        const current = window.location.pathname + window.location.search
+        if (url === current) return
+
+        const target = new URL(url, window.location.origin)
+        if (target.pathname !== window.location.pathname) {
+            window.history.pushState(IN_APP_STATE, '', url)
+        } else {
+            // Keep the entry's state - it says whether Back stays in the app
+            window.history.replaceState(window.history.state, '', url)
+        }
+    }, [url])
+
+    // URL -> state (back/forward)
+    useEffect(() => {
+        const handlePopState = () => onPopStateRef.current(parseLocation())
+        window.addEventListener('popstate', handlePopState)
+        return () => window.removeEventListener('popstate', handlePopState)
+    }, [])
+}
+
+export default useUrlSync
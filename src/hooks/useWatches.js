@@ -0,0 +1,146 @@
+/**
+ * useWatches Hook
+ *
+ * Watched issue searches (see utils/watches.js): re-runs each one every
+ * WATCH_INTERVAL_MS while the app is open, counts the new issues it finds
+ * as unread and announces them with a browser notification.
+ *
+ * Polling only uses spare search budget - a check is put off while less
+ * than half of it is left (see hasSpareBudget in utils/rateLimit.js), so
+ * watches never get in the way of the user's own searches.
+ *
+ * Usage:
+ *   const { watches, unreadCount, addWatch, removeWatch, markRead } = useWatches()
+ *   addWatch('Rust, unassigned', { language: 'rust', unassignedOnly: true })
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { WATCH_INTERVAL_MS, createWatch, loadWatches, storeWatches, fetchWatchResults, recordResults } from '../utils/watches'
+import { hasSpareBudget } from '../utils/rateLimit'
+
+// How often to look for watches that are due
+const POLL_TICK_MS = 60 * 1000
+
+const notificationsSupported = () => typeof Notification !== 'undefined'
+
+/**
+ * Tell the user about new issues for `watch`, if they allowed notifications
+ */
+function notify(watch, newIssues) {
+    if (newIssues.length === 0 || !notificationsSupported() || Notification.permission !== 'granted') return
+
+    const [first] = newIssues
+    try {
+        const notification = new Notification(
+            newIssues.length === 1 ? `New issue for "${watch.name}"` : `${newIssues.length} new issues for "${watch.name}"`,
+            {
+                body: newIssues.slice(0, 3).map(issue => `${issue.repo}#${issue.number}: ${issue.title}`).join('\n'),
+                icon: '/psakhno_favicon_optimized.png',
+                tag: `watch-${watch.id}`
+            }
+        )
+        notification.onclick = () => {
+            window.focus()
+            if (newIssues.length === 1) window.open(first.url, '_blank', 'noopener')
+            notification.close()
+        }
+    } catch (err) {
+        // Some mobile browsers only allow notifications from a service worker
+        console.warn('[Watches] Could not show a notification:', err.message)
+    }
+}
+
+export function useWatches() {
+    const [watches, setWatches] = useState(loadWatches)
+    const [permission, setPermission] = useState(() => (notificationsSupported() ? Notification.permission : 'unsupported'))
+    // Bumped to check new watches straight away
+    const [pollRequest, setPollRequest] = useState(0)
+
+    // The polling loop reads the latest watches from here
+    const watchesRef = useRef(watches)
+    const pollRef = useRef(null)
+
+    useEffect(() => {
+        watchesRef.current = watches
+        storeWatches(watches)
+    }, [watches])
+
+    useEffect(() => {
+        const controller = new AbortController()
+        let running = false
+
+        const poll = async () => {
+            if (running || !navigator.onLine) return
+            running = true
+
+            try {
+                for (const { id } of watchesRef.current) {
+                    const watch = watchesRef.current.find(current => current.id === id)
+                    if (!watch || (watch.lastCheckedAt && Date.now() - watch.lastCheckedAt < WATCH_INTERVAL_MS)) continue
+                    if (!hasSpareBudget('search')) break
+
+                    try {
+                        const issues = await fetchWatchResults(watch.filters, { signal: controller.signal })
+                        const now = Date.now()
+                        notify(watch, recordResults(watch, issues, now).newIssues)
+                        setWatches(prev => prev.map(current => (current.id === id ? recordResults(current, issues, now).watch : current)))
+                    } catch (err) {
+                        if (controller.signal.aborted) return
+                        console.warn(`[Watches] Checking "${watch.name}" failed:`, err.message)
+                    }
+                }
+            } finally {
+                running = false
+            }
+        }
+
+        pollRef.current = poll
+        poll()
+        const timer = setInterval(poll, POLL_TICK_MS)
+
+        return () => {
+            controller.abort()
+            clearInterval(timer)
+            pollRef.current = null
+        }
+    }, [])
+
+    useEffect(() => {
+        if (pollRequest) pollRef.current?.()
+    }, [pollRequest])
+
+    /**
+     * Watch the search described by `filters`
+     * Asks for notification permission the first time (call from a click).
+     */
+    const addWatch = useCallback((name, filters) => {
+        setWatches(prev => [...prev, createWatch(name, filters)])
+        setPollRequest(count => count + 1)
+
+        if (notificationsSupported() && Notification.permission === 'default') {
+            Notification.requestPermission().then(setPermission)
+        }
+    }, [])
+
+    const removeWatch = useCallback((id) => {
+        setWatches(prev => prev.filter(watch => watch.id !== id))
+    }, [])
+
+    /**
+     * The user has seen the new issues of watch `id`
+     */
+    const markRead = useCallback((id) => {
+        setWatches(prev => prev.map(watch => (watch.id === id && watch.unread.length > 0 ? { ...watch, unread: [] } : watch)))
+    }, [])
+
+    return {
+        watches,
+        unreadCount: watches.reduce((sum, watch) => sum + watch.unread.length, 0),
+        notificationPermission: permission,
+        addWatch,
+        removeWatch,
+        markRead
+    }
+}
+
+export default useWatches
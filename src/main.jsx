@@ -8,3 +8,13 @@ createRoot(document.getElementById('root')).render(
     <App />
   </StrictMode>,
 )
+
+// Offline support and installability (see public/sw.js) - production only,
+// so the dev server's hot reloading never gets a cached copy
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => {
+      console.error('[PWA] Service worker registration failed:', err)
+    })
+  })
+}
@@ -0,0 +1,133 @@
+/**
+ * Issue availability
+ *
+ * Works out whether a beginner issue is actually still up for grabs:
+ * - 'assigned'  - someone is assigned on GitHub
+ * - 'claimed'   - a recent comment reads like someone has taken it on
+ *                 ("I'd like to take this", "assigned to me", ...)
+ * - 'available' - neither of the above
+ * - 'unknown'   - has comments that haven't been (or couldn't be) checked
+ *
+ * Assignment comes free with every search result; claim detection needs
+ * the issue's recent comments, so those lookups go through a throttled
+ * queue and are cached for the session like repository metadata.
+ */
+
+import { SESSION_API, buildHeaders, githubFetch } from './github'
+import { createRequestQueue } from './requestQueue'
+
+// Only comments this recent count as a claim - older ones are usually abandoned
+const CLAIM_WINDOW_DAYS = 30
+
+// Phrases people use when claiming an issue
+const CLAIM_PATTERNS = [
+    /\b(i'?d|i would) (like|love|want) to (work on|take|tackle|pick up|handle|try) (this|it)\b/i,
+    /\bcan i (work on|take|tackle|pick up|try|handle|be assigned)\b/i,
+    /\b(please )?assign (this|it)? ?to me\b/i,
+    /\bassigned to me\b/i,
+    /\bi'?m (currently )?working on (this|it)\b/i,
+    /\bi('ll| will) (take|work on|pick up|tackle|handle) (this|it)\b/i,
+    /\b(i'?ve|i have) (started|begun) working on (this|it)\b/i
+]
+
+// issue id + comment count -> availability (a new comment means a fresh check)
+const availabilityCache = new Map()
+
+// issue key -> Promise for checks that haven't finished yet
+const inFlight = new Map()
+
+// Throttle for comment lookups - one request per issue adds up quickly
+const commentQueue = createRequestQueue({ concurrency: 2, interval: 300 })
+
+const cacheKey = (issue) => `${issue.id}:${issue.comments}`
+
+// "owner/name" from the issue's repository_url
+const repoFullName = (issue) => issue.repository_url?.match(/repos\/(.+)$/)?.[1]
+
+/**
+ * Does this comment read like someone claiming the issue?
+ */
+export function isClaimComment(body) {
+    return CLAIM_PATTERNS.some(pattern => pattern.test(body || ''))
+}
+
+/**
+ * Availability from the search result alone, or null if the comments need checking
+ */
+function quickAvailability(issue) {
+    const assignee = issue.assignees?.[0] || issue.assignee
+    if (assignee) return { status: 'assigned', by: assignee.login }
+
+    // Nobody has commented, so nobody has claimed it
+    if (issue.comments === 0) return { status: 'available' }
+
+    return null
+}
+
+async function checkComments(issue) {
+    const key = cacheKey(issue)
+    const since = new Date(Date.now() - CLAIM_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString()
+
+    try {
+        const response = await githubFetch(
+            `${SESSION_API}/repos/${repoFullName(issue)}/issues/${issue.number}/comments?since=${since}&per_page=100`,
+            { headers: buildHeaders() }
+        )
+        if (!response.ok) {
+            availabilityCache.set(key, { status: 'unknown' })
+            return
+        }
+
+        // Comments come back oldest first - the latest claim is the one that matters
+        const claim = (await response.json())
+            .filter(comment => comment.user?.type !== 'Bot' && comment.user?.login !== issue.user?.login)
+            .reverse()
+            .find(comment => isClaimComment(comment.body))
+
+        availabilityCache.set(key, claim
+            ? { status: 'claimed', by: claim.user.login, at: claim.created_at, url: claim.html_url }
+            : { status: 'available' })
+    } catch (err) {
+        // Leave rate-limited checks uncached so a later search can try again
+        if (err.name !== 'RateLimitError') availabilityCache.set(key, { status: 'unknown' })
+    }
+}
+
+/**
+ * Check availability for every issue in `issues`
+ *
+ * Issues that are assigned or have no comments resolve immediately; the
+ * rest have their recent comments scanned for claims. `onUpdate` is called
+ * each time another check finishes so badges can fill in progressively.
+ */
+export async function fetchAvailability(issues, onUpdate = () => {}) {
+    const pending = issues.filter(issue => !quickAvailability(issue) && repoFullName(issue))
+
+    pending.forEach(issue => {
+        const key = cacheKey(issue)
+        if (availabilityCache.has(key) || inFlight.has(key)) return
+
+        const settled = commentQueue.add(() => checkComments(issue))
+        inFlight.set(key, settled)
+        settled.finally(() => {
+            inFlight.delete(key)
+            onUpdate(getCachedAvailability(issues))
+        })
+    })
+
+    await Promise.all(pending.map(issue => inFlight.get(cacheKey(issue))).filter(Boolean))
+    return getCachedAvailability(issues)
+}
+
+/**
+ * Synchronous read of what's known so far, keyed by issue id
+ * Issues whose comments haven't been checked yet are absent.
+ */
+export function getCachedAvailability(issues) {
+    const result = {}
+    issues.forEach(issue => {
+        const availability = quickAvailability(issue) || availabilityCache.get(cacheKey(issue))
+        if (availability) result[issue.id] = availability
+    })
+    return result
+}
@@ -0,0 +1,139 @@
+/**
+ * Contribution history
+ *
+ * Everything the dashboard shows about a signed-in user's open-source
+ * journey, from three searches:
+ * - pull requests they opened against other people's repositories
+ * - how many of those were merged (count only)
+ * - issues in other people's repositories they've commented on
+ *
+ * Search results carry `pull_request.merged_at`, so merged pull requests
+ * don't need a request each. The lists hold the 100 most recent matches;
+ * totals come from each search's total_count.
+ */
+
+import { SESSION_API, buildHeaders, githubFetch } from './github'
+
+const repoOf = (item) => item.repository_url?.match(/repos\/(.+)$/)?.[1]
+
+/**
+ * Normalised pull request / issue entry
+ */
+function toEntry(item) {
+    return {
+        id: item.id,
+        repo: repoOf(item),
+        number: item.number,
+        title: item.title,
+        url: item.html_url,
+        state: item.pull_request?.merged_at ? 'merged' : item.state,
+        createdAt: item.created_at,
+        updatedAt: item.updated_at,
+        mergedAt: item.pull_request?.merged_at || null
+    }
+}
+
+/**
+ * Turn the raw search results into dashboard data
+ *
+ * Returns {
+ *   pullRequests, commented,                 - normalised entries, newest first
+ *   stats: { opened, merged, open, commented, repos },
+ *   repos: [{ name, pullRequests, merged, lastActivityAt }],  - most active first
+ *   timeline: [{ kind, at, repo, title, url }]                - newest first
+ * }
+ */
+export function summarizeContributions({ pullRequests, commented, totals = {} }) {
+    const prs = pullRequests.map(toEntry).sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+    const issues = commented.map(toEntry).sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+
+    const byRepo = new Map()
+    prs.forEach(pr => {
+        const repo = byRepo.get(pr.repo) || { name: pr.repo, pullRequests: 0, merged: 0, lastActivityAt: pr.createdAt }
+        repo.pullRequests++
+        if (pr.state === 'merged') repo.merged++
+        const latest = pr.mergedAt || pr.createdAt
+        if (latest > repo.lastActivityAt) repo.lastActivityAt = latest
+        byRepo.set(pr.repo, repo)
+    })
+    const repos = [...byRepo.values()].sort((a, b) => b.merged - a.merged || b.pullRequests - a.pullRequests)
+
+    // The oldest entries are only the real firsts (and repositories only new)
+    // when the lists hold every match - for prolific users they're just the
+    // oldest of the latest 100
+    const hasFirstPr = prs.length > 0 && (totals.pullRequests ?? prs.length) <= prs.length
+    const mergedCount = prs.filter(pr => pr.mergedAt).length
+    const hasFirstMerge = mergedCount > 0 && (totals.merged ?? mergedCount) <= mergedCount
+
+    // Walk oldest to newest so "first" milestones land on the right entries
+    const timeline = []
+    const seenRepos = new Set()
+    let firstMergeSeen = !hasFirstMerge
+    ;[...prs].reverse().forEach((pr, i) => {
+        if (i === 0 && hasFirstPr) {
+            timeline.push({ kind: 'first-pr', at: pr.createdAt, repo: pr.repo, title: pr.title, url: pr.url })
+        } else if (hasFirstPr && !seenRepos.has(pr.repo)) {
+            timeline.push({ kind: 'new-repo', at: pr.createdAt, repo: pr.repo, title: pr.title, url: pr.url })
+        } else {
+            timeline.push({ kind: 'pr-opened', at: pr.createdAt, repo: pr.repo, title: pr.title, url: pr.url })
+        }
+        seenRepos.add(pr.repo)
+    })
+    prs
+        .filter(pr => pr.mergedAt)
+        .sort((a, b) => Date.parse(a.mergedAt) - Date.parse(b.mergedAt))
+        .forEach(pr => {
+            timeline.push({ kind: firstMergeSeen ? 'pr-merged' : 'first-merge', at: pr.mergedAt, repo: pr.repo, title: pr.title, url: pr.url })
+            firstMergeSeen = true
+        })
+    issues.forEach(issue => {
+        timeline.push({ kind: 'commented', at: issue.updatedAt, repo: issue.repo, title: issue.title, url: issue.url })
+    })
+    timeline.sort((a, b) => Date.parse(b.at) - Date.parse(a.at))
+
+    return {
+        pullRequests: prs,
+        commented: issues,
+        stats: {
+            opened: totals.pullRequests ?? prs.length,
+            merged: totals.merged ?? prs.filter(pr => pr.state === 'merged').length,
+            open: prs.filter(pr => pr.state === 'open').length,
+            commented: totals.commented ?? issues.length,
+            repos: repos.length
+        },
+        repos,
+        timeline
+    }
+}
+
+async function search(query, signal, { sort = 'created', perPage = 100 } = {}) {
+    const response = await githubFetch(
+        `${SESSION_API}/search/issues?q=${encodeURIComponent(query)}&sort=${sort}&order=desc&per_page=${perPage}`,
+        { headers: buildHeaders(), signal }
+    )
+    if (!response.ok) throw new Error('Failed to load your contributions. Please try again.')
+    return response.json()
+}
+
+/**
+ * Fetch and summarise the contributions of `login`
+ */
+export async function fetchContributions(login, { signal } = {}) {
+    const outside = `author:${login} -user:${login}`
+    const [pullRequests, merged, commented] = await Promise.all([
+        search(`type:pr ${outside}`, signal),
+        // Only the total is needed - merged pull requests among the latest 100 are in the list above
+        search(`type:pr is:merged ${outside}`, signal, { perPage: 1 }),
+        search(`type:issue commenter:${login} -user:${login}`, signal, { sort: 'updated' })
+    ])
+
+    return summarizeContributions({
+        pullRequests: pullRequests.items,
+        commented: commented.items,
+        totals: {
+            pullRequests: pullRequests.total_count,
+            merged: merged.total_count,
+            commented: commented.total_count
+        }
+    })
+}
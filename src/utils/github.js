@@ -0,0 +1,133 @@
+/**
+ * GitHub API helpers
+ *
+ * Small, framework-free utilities shared by everything in the app
+ * that talks to the GitHub REST API.
+ */
+
+import { AUTH_SERVER_URL } from '../config'
+import { resourceForUrl, waitForBudget, recordRateLimit, toRateLimitError } from './rateLimit'
+import { networkFetch } from './offlineStore'
+
+// GitHub API configuration
+export const GITHUB_API = 'https://api.github.com'
+
+// Caching proxy on the auth server for search and repository lookups
+// (same paths as the GitHub API, e.g. `${PROXY_API}/search/issues`)
+export const PROXY_API = `${AUTH_SERVER_URL}/api`
+
+// The same, uncached, as the signed-in user: the auth server adds the token
+// from their session, which the browser never holds (e.g. `${SESSION_API}/graphql`)
+export const SESSION_API = `${AUTH_SERVER_URL}/api/github`
+
+// The search API never returns more than 1,000 results for a single query,
+// no matter how large total_count is
+export const SEARCH_RESULT_CAP = 1000
+
+// Results per page for issue searches
+export const ISSUES_PER_PAGE = 20
+
+/**
+ * Parse a GitHub `Link` response header
+ *
+ * Example input:
+ *   <https://api.github.com/search/issues?q=x&page=2>; rel="next",
+ *   <https://api.github.com/search/issues?q=x&page=50>; rel="last"
+ *
+ * Returns an object keyed by rel ({ next, prev, first, last }), where each
+ * entry is { url, page }. Missing relations are simply absent.
+ * Relative URLs (as rewritten by the proxy) are resolved against `baseUrl`.
+ */
+export function parseLinkHeader(header, baseUrl = GITHUB_API) {
+    const links = {}
+    if (!header) return links
+
+    header.split(',').forEach(part => {
+        const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/)
+        if (!match) return
+
+        const url = new URL(match[1], baseUrl)
+        const page = Number(url.searchParams.get('page')) || 1
+        links[match[2]] = { url: url.toString(), page }
+    })
+
+    return links
+}
+
+/**
+ * `url` with its `page` query param set to `page`
+ */
+export function withPage(url, page) {
+    const next = new URL(url)
+    next.searchParams.set('page', page)
+    return next.toString()
+}
+
+/**
+ * Combine the parsed `Link` headers of several searches paged in lockstep
+ *
+ * A search split into several queries (see shared/searchQuery.js) moves
+ * through its pages together: page N means page N of every query. Each
+ * rel becomes { page, urls }, with one URL per query in `urls`. Queries
+ * that run out of results early simply return empty pages.
+ */
+export function mergePageLinks(linkSets, urls, page) {
+    const at = (target) => ({ page: target, urls: urls.map(url => withPage(url, target)) })
+    const links = {}
+
+    if (page > 1) {
+        links.first = at(1)
+        links.prev = at(page - 1)
+    }
+    if (linkSets.some(set => set.next)) links.next = at(page + 1)
+
+    // GitHub's rel="last" already accounts for the 1,000-result search cap
+    const last = Math.max(0, ...linkSets.map(set => set.last?.page || 0))
+    if (last > page) links.last = at(last)
+
+    return links
+}
+
+/**
+ * Base URL for GitHub calls that should be made as the user when signed in:
+ * through the auth server's session proxy, or straight to GitHub otherwise
+ */
+export function apiBase(signedIn) {
+    return signedIn ? SESSION_API : GITHUB_API
+}
+
+/**
+ * Build the standard request headers
+ * (no auth - calls through the auth server carry the session cookie instead)
+ */
+export function buildHeaders() {
+    return {
+        'Accept': 'application/vnd.github.v3+json'
+    }
+}
+
+/**
+ * fetch() for GitHub (and proxy) URLs that plays by the rate limits
+ *
+ * - Waits for budget before sending (see utils/rateLimit.js)
+ * - Records the rate-limit headers of every response
+ * - Throws a RateLimitError for primary and secondary rate limits;
+ *   any other non-OK response (including a genuine 403) is returned as-is
+ * - Sends the session cookie along to the auth server
+ * - Throws a NetworkError when the server can't be reached (see utils/offlineStore.js)
+ */
+export async function githubFetch(url, options = {}) {
+    const resource = resourceForUrl(url)
+    await waitForBudget(resource, options.signal)
+
+    const credentials = url.startsWith(AUTH_SERVER_URL) ? 'include' : 'omit'
+    const response = await networkFetch(url, { credentials, ...options })
+    recordRateLimit(response, resource)
+
+    if (!response.ok) {
+        const rateLimitError = await toRateLimitError(response, resource)
+        if (rateLimitError) throw rateLimitError
+    }
+
+    return response
+}
@@ -0,0 +1,52 @@
+/**
+ * Newcomer friendliness score
+ *
+ * Rolls what the repository page knows about a project into a 0-100 score,
+ * with the individual factors kept so the page can show how it was reached.
+ * Factors we couldn't look up simply score nothing.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * `detail` is what useRepoDetail returns
+ * Returns { score, factors: [{ label, points, max }] }
+ */
+export function scoreNewcomerFriendliness({ repo, community, hasDevcontainer, activity, beginnerIssues }) {
+    const files = community?.files || {}
+    const response = activity?.medianResponseMs
+    const mergeRate = activity?.outsidePRs.closed ? activity.outsidePRs.merged / activity.outsidePRs.closed : null
+
+    const factors = [
+        { label: 'Contributing guide', max: 15, points: files.contributing ? 15 : 0 },
+        { label: 'Code of conduct', max: 10, points: files.code_of_conduct || files.code_of_conduct_file ? 10 : 0 },
+        { label: 'Issue templates', max: 5, points: files.issue_template ? 5 : 0 },
+        { label: 'Pull request template', max: 5, points: files.pull_request_template ? 5 : 0 },
+        { label: 'Dev container', max: 5, points: hasDevcontainer ? 5 : 0 },
+        { label: 'README', max: 5, points: files.readme ? 5 : 0 },
+        { label: 'License', max: 5, points: repo?.license ? 5 : 0 },
+        {
+            label: 'Maintainer response time',
+            max: 20,
+            points: response === null || response === undefined ? 0
+                : response <= 2 * DAY_MS ? 20
+                    : response <= 7 * DAY_MS ? 12
+                        : response <= 30 * DAY_MS ? 5 : 0
+        },
+        {
+            label: 'Outside pull requests merged',
+            max: 15,
+            points: mergeRate === null ? 0 : mergeRate >= 0.6 ? 15 : mergeRate >= 0.3 ? 8 : mergeRate > 0 ? 3 : 0
+        },
+        {
+            label: 'Open beginner issues',
+            max: 15,
+            points: beginnerIssues.length >= 5 ? 15 : beginnerIssues.length > 0 ? 8 : 0
+        }
+    ]
+
+    return {
+        score: factors.reduce((sum, factor) => sum + factor.points, 0),
+        factors
+    }
+}
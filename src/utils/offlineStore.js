@@ -0,0 +1,109 @@
+/**
+ * Offline snapshots
+ *
+ * The last issue and hot repo result sets (with the repository star data
+ * shown next to them) are kept in IndexedDB, so the app has something to
+ * show when GitHub can't be reached. The app shell itself is cached by the
+ * service worker (public/sw.js).
+ *
+ * Storage can be unavailable (private browsing, quota); every function
+ * here then quietly does nothing, and callers carry on without snapshots.
+ *
+ * Usage:
+ *   saveSnapshot('issues', { items, totalCount })
+ *   const snapshot = await loadSnapshot('issues') // { data, savedAt } or null
+ */
+
+const DB_NAME = 'psakhno-offline'
+const DB_VERSION = 1
+const STORE_NAME = 'snapshots'
+
+let dbPromise = null
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'))
+                return
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION)
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'key' })
+            }
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => reject(request.error)
+        })
+        // Let a later call try again rather than cache the failure
+        dbPromise.catch(() => {
+            dbPromise = null
+        })
+    }
+    return dbPromise
+}
+
+// Run one request against the snapshot store
+async function withStore(mode, run) {
+    const db = await openDb()
+    return new Promise((resolve, reject) => {
+        const request = run(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+}
+
+/**
+ * Keep `data` as the latest snapshot under `key`
+ */
+export async function saveSnapshot(key, data) {
+    try {
+        await withStore('readwrite', store => store.put({ key, data, savedAt: Date.now() }))
+    } catch (err) {
+        console.warn(`[Offline] Could not save the ${key} snapshot:`, err.message)
+    }
+}
+
+/**
+ * The latest snapshot under `key` as { data, savedAt }, or null
+ */
+export async function loadSnapshot(key) {
+    try {
+        const entry = await withStore('readonly', store => store.get(key))
+        return entry ? { data: entry.data, savedAt: entry.savedAt } : null
+    } catch (err) {
+        console.warn(`[Offline] Could not read the ${key} snapshot:`, err.message)
+        return null
+    }
+}
+
+/**
+ * Thrown by networkFetch() when the server couldn't be reached at all
+ */
+export class NetworkError extends Error {
+    constructor(cause) {
+        super('Could not reach the server. Check your connection and try again.', { cause })
+        this.name = 'NetworkError'
+    }
+}
+
+/**
+ * fetch(), with a failure to reach the server (offline, DNS, ...) thrown as
+ * a NetworkError - only that is worth falling back to a snapshot for, not a
+ * TypeError from a bug further on. Cancelled requests still throw AbortError.
+ */
+export async function networkFetch(url, options) {
+    try {
+        return await fetch(url, options)
+    } catch (err) {
+        if (err.name === 'AbortError') throw err
+        throw new NetworkError(err)
+    }
+}
+
+/**
+ * Did `err` come from not reaching the server at all? HTTP errors and rate
+ * limits don't count, and neither does anything else going wrong.
+ */
+export function isNetworkError(err) {
+    return err instanceof NetworkError
+}
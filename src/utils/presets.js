@@ -0,0 +1,106 @@
+/**
+ * Saved searches (filter presets)
+ *
+ * Preset shape (shared with server/presets.js):
+ *   { id, name, filters, createdAt, updatedAt, deleted }
+ * where `filters` holds every input of the issue search:
+ *   { searchQuery, language, sortBy, selectedLabels, selectedCategories,
+ *     popularity, unassignedOnly, noLinkedPR }
+ *
+ * Presets live in localStorage; signed-in users also sync them to the auth
+ * server like saved items (see utils/syncedList.js). They can be exported
+ * to and imported from a JSON file.
+ */
+
+// How presets are stored and synced (see useSyncedList)
+export const PRESETS_LIST = {
+    storageKey: 'search_presets',
+    path: '/presets',
+    field: 'presets',
+    key: 'id',
+    // In the order they were made
+    compare: (a, b) => a.createdAt - b.createdAt,
+    syncErrorMessage: 'Failed to sync saved searches'
+}
+
+// Marks files written by exportPresets()
+const EXPORT_FORMAT = 'psakhno-search-presets'
+const EXPORT_VERSION = 1
+
+const SORTS = ['created', 'updated', 'comments', 'reactions', 'responsive']
+
+const text = (value, max = 200) => (typeof value === 'string' ? value.slice(0, max) : '')
+const textList = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string').slice(0, 20) : [])
+
+/**
+ * `filters` reduced to the search inputs, with sane types and lists sorted,
+ * so equal searches compare equal however they were put together
+ */
+export function normalizePresetFilters(filters = {}) {
+    return {
+        searchQuery: text(filters.searchQuery).trim(),
+        language: text(filters.language, 50),
+        sortBy: SORTS.includes(filters.sortBy) ? filters.sortBy : 'created',
+        selectedLabels: [...textList(filters.selectedLabels)].sort(),
+        selectedCategories: [...textList(filters.selectedCategories)].sort(),
+        popularity: text(filters.popularity, 50),
+        unassignedOnly: filters.unassignedOnly === true,
+        noLinkedPR: filters.noLinkedPR === true
+    }
+}
+
+export function presetMatches(preset, filters) {
+    return JSON.stringify(normalizePresetFilters(preset.filters)) === JSON.stringify(normalizePresetFilters(filters))
+}
+
+export function createPreset(name, filters) {
+    const now = Date.now()
+    return {
+        id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name: text(name, 100).trim(),
+        filters: normalizePresetFilters(filters),
+        createdAt: now,
+        updatedAt: now,
+        deleted: false
+    }
+}
+
+/**
+ * JSON file contents for `presets` (names and filters only)
+ */
+export function exportPresets(presets) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        presets: presets.map(({ name, filters }) => ({ name, filters }))
+    }, null, 2)
+}
+
+/**
+ * Presets from a file written by exportPresets(), as new presets
+ * Throws an Error saying what's wrong with anything else.
+ */
+export function parsePresetsFile(contents) {
+    let data
+    try {
+        data = JSON.parse(contents)
+    } catch {
+        throw new Error('That file isn\'t valid JSON.')
+    }
+
+    if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.presets)) {
+        throw new Error('That file doesn\'t contain saved searches exported from this app.')
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw new Error('Those saved searches come from a newer version of the app.')
+    }
+
+    const presets = data.presets
+        .filter(preset => typeof preset?.name === 'string' && preset.name.trim() && preset.filters && typeof preset.filters === 'object')
+        .map(preset => createPreset(preset.name, preset.filters))
+    if (presets.length === 0) {
+        throw new Error('No saved searches found in that file.')
+    }
+    return presets
+}
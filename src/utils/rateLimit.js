@@ -0,0 +1,204 @@
+/**
+ * Rate-limit budget tracker
+ *
+ * Reads GitHub's rate-limit headers from every response and keeps a live
+ * picture of the remaining budget per resource ('core', 'search', 'graphql').
+ *
+ * - waitForBudget() delays requests when the budget is low, spreading what's
+ *   left over the rest of the window, and holds them entirely once it's
+ *   used up or GitHub has asked us to back off
+ * - toRateLimitError() tells primary limits, secondary (abuse) limits and
+ *   genuine 403s apart
+ * - subscribe()/getSnapshot() let React render the budget (see useRateLimit)
+ *
+ * Docs: https://docs.github.com/en/rest/using-the-rest-api/rate-limits-for-the-rest-api
+ */
+
+// Start pacing requests once less than this share of the budget is left
+const LOW_BUDGET_RATIO = 0.1
+
+// Fallback wait for secondary limits without a Retry-After header
+const DEFAULT_BACKOFF_MS = 60 * 1000
+
+// Snapshot handed to React - replaced (never mutated) on every change
+let snapshot = {
+    resources: {},      // resource -> { limit, remaining, reset (ms), used }
+    backoffUntil: 0     // ms timestamp set by secondary rate limits
+}
+
+const listeners = new Set()
+
+// resource -> ms timestamp of the latest request slot handed out
+const lastRequestAt = {}
+
+function update(changes) {
+    snapshot = { ...snapshot, ...changes }
+    listeners.forEach(listener => listener())
+}
+
+export function subscribe(listener) {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+}
+
+export function getSnapshot() {
+    return snapshot
+}
+
+/**
+ * Error thrown for rate-limited responses
+ * `kind` is 'primary' (budget used up) or 'secondary' (abuse/backoff limit),
+ * `retryAt` is the ms timestamp after which it's safe to try again.
+ */
+export class RateLimitError extends Error {
+    constructor(kind, retryAt, resource) {
+        const time = new Date(retryAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+        super(kind === 'primary'
+            ? `GitHub's ${resource} rate limit is used up until ${time}.`
+            : 'GitHub asked us to slow down (secondary rate limit).')
+        this.name = 'RateLimitError'
+        this.kind = kind
+        this.retryAt = retryAt
+        this.resource = resource
+    }
+}
+
+/**
+ * Which rate-limit bucket a GitHub (or proxy) URL draws from
+ */
+export function resourceForUrl(url) {
+    if (url.includes('/graphql')) return 'graphql'
+    if (url.includes('/search/')) return 'search'
+    return 'core'
+}
+
+/**
+ * Record the rate-limit headers of a response
+ * Responses served from the proxy's cache carry stale headers, so they're skipped.
+ */
+export function recordRateLimit(response, fallbackResource) {
+    const cacheStatus = response.headers.get('X-Cache')
+    if (cacheStatus === 'HIT' || cacheStatus === 'STALE') return
+
+    const limit = response.headers.get('X-RateLimit-Limit')
+    const remaining = response.headers.get('X-RateLimit-Remaining')
+    const reset = response.headers.get('X-RateLimit-Reset')
+    if (limit === null || remaining === null || reset === null) return
+
+    const resource = response.headers.get('X-RateLimit-Resource') || fallbackResource
+    update({
+        resources: {
+            ...snapshot.resources,
+            [resource]: {
+                limit: Number(limit),
+                remaining: Number(remaining),
+                reset: Number(reset) * 1000,
+                used: Number(response.headers.get('X-RateLimit-Used')) || Number(limit) - Number(remaining)
+            }
+        }
+    })
+}
+
+/**
+ * Turn a 403/429 response into a RateLimitError, or null for a genuine 403
+ */
+export async function toRateLimitError(response, resource) {
+    if (response.status !== 403 && response.status !== 429) return null
+
+    const now = Date.now()
+    const retryAfter = Number(response.headers.get('Retry-After')) * 1000 || 0
+    const remaining = response.headers.get('X-RateLimit-Remaining')
+    const reset = Number(response.headers.get('X-RateLimit-Reset')) * 1000 || 0
+
+    let message = ''
+    try {
+        message = (await response.clone().json()).message || ''
+    } catch {
+        // Not JSON - fall back to the headers alone
+    }
+
+    // Primary limit: the budget for this window is used up
+    if (remaining === '0') {
+        return new RateLimitError('primary', Math.max(reset, now + retryAfter) + 1000, resource)
+    }
+
+    // Secondary limit: too many requests too quickly, regardless of budget
+    if (retryAfter || /secondary rate limit|abuse/i.test(message) || response.status === 429) {
+        const retryAt = now + (retryAfter || DEFAULT_BACKOFF_MS)
+        update({ backoffUntil: Math.max(snapshot.backoffUntil, retryAt) })
+        return new RateLimitError('secondary', retryAt, resource)
+    }
+
+    if (/rate limit/i.test(message)) {
+        return new RateLimitError('primary', (reset || now + DEFAULT_BACKOFF_MS) + 1000, resource)
+    }
+
+    return null
+}
+
+/**
+ * Sleep for `ms`, rejecting early with an AbortError if `signal` aborts
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'))
+            return
+        }
+        const timer = setTimeout(resolve, ms)
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer)
+            reject(new DOMException('Aborted', 'AbortError'))
+        }, { once: true })
+    })
+}
+
+/**
+ * How long a request against `resource` should wait before it's sent
+ */
+function delayFor(resource, now) {
+    let wait = Math.max(0, snapshot.backoffUntil - now)
+
+    const budget = snapshot.resources[resource]
+    if (budget && budget.reset > now) {
+        if (budget.remaining <= 0) {
+            // Nothing left - hold until the window resets
+            wait = Math.max(wait, budget.reset - now + 1000)
+        } else if (budget.remaining <= Math.max(2, budget.limit * LOW_BUDGET_RATIO)) {
+            // Running low - spread the remaining requests over the rest of the window
+            const spacing = (budget.reset - now) / budget.remaining
+            wait = Math.max(wait, (lastRequestAt[resource] || 0) + spacing - now)
+        }
+    }
+
+    return wait
+}
+
+/**
+ * Wait until a request against `resource` fits in the budget
+ */
+export async function waitForBudget(resource, signal) {
+    const now = Date.now()
+    const wait = delayFor(resource, now)
+
+    // Reserve the slot up front so queued requests line up behind each other
+    lastRequestAt[resource] = now + wait
+
+    if (wait > 0) {
+        await sleep(wait, signal)
+    }
+}
+
+/**
+ * Is there budget to spare for requests nobody is waiting on (background
+ * polling)? False while backing off, or once less than `share` of
+ * `resource`'s budget is left - those requests belong to the user's own searches.
+ */
+export function hasSpareBudget(resource, share = 0.5) {
+    const now = Date.now()
+    if (snapshot.backoffUntil > now) return false
+
+    const budget = snapshot.resources[resource]
+    if (!budget || budget.reset <= now) return true
+    return budget.remaining > budget.limit * share
+}
@@ -0,0 +1,146 @@
+/**
+ * "For you" recommendations
+ *
+ * Finds beginner issues that match a contributor profile (see
+ * utils/userProfile.js) and ranks them. Each issue gets a 0-100 match
+ * score from four signals, blended by weights the user can tune:
+ *
+ * - language:  how much of the user's work is in the repository's language
+ * - topics:    overlap between the repository's topics and the user's
+ * - familiar:  the user has contributed to or starred the repository
+ * - freshness: recently opened issues are less likely to be taken
+ *
+ * Every signal that contributed also yields a short reason, shown on the
+ * card so the user can see why it was recommended.
+ */
+
+import { buildSearchQueries } from '../../shared/searchQuery.js'
+import { expandLabels } from '../../shared/labels.js'
+
+const PREFS_KEY = 'for_you_prefs'
+
+// Languages to search in - the user's top few
+const SEARCH_LANGUAGES = 3
+
+// Characters of the query spent on repo: qualifiers for repositories the user knows
+const MAX_REPO_QUALIFIERS_LENGTH = 120
+
+// Issues older than this get no freshness credit
+const FRESHNESS_WINDOW_MS = 30 * 24 * 60 * 60 * 1000
+
+export const SIGNALS = [
+    { value: 'language', label: 'Language' },
+    { value: 'topics', label: 'Topics' },
+    { value: 'familiar', label: 'Repos you know' },
+    { value: 'freshness', label: 'Freshness' }
+]
+
+export const DEFAULT_PREFS = {
+    weights: { language: 1, topics: 1, familiar: 1, freshness: 0.5 },
+    excludedTopics: []
+}
+
+export function loadPrefs() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PREFS_KEY))
+        return {
+            weights: { ...DEFAULT_PREFS.weights, ...stored?.weights },
+            excludedTopics: Array.isArray(stored?.excludedTopics) ? stored.excludedTopics : []
+        }
+    } catch {
+        return DEFAULT_PREFS
+    }
+}
+
+export function storePrefs(prefs) {
+    localStorage.setItem(PREFS_KEY, JSON.stringify(prefs))
+}
+
+/**
+ * GitHub language names ("C++") as the search `language:` qualifier expects them
+ */
+const languageQualifier = (name) => `language:"${name}"`
+
+/**
+ * Search queries for candidate issues: unassigned beginner issues in the
+ * user's top languages, plus any in repositories they already know
+ */
+export function buildRecommendationQueries(profile) {
+    const labels = expandLabels(['good first issue'])
+    const base = 'is:issue is:open archived:false no:assignee'
+
+    const languageQueries = profile.languages
+        .slice(0, SEARCH_LANGUAGES)
+        .flatMap(language => buildSearchQueries({ base: `${base} ${languageQualifier(language.name)}`, labels }))
+
+    // Several repo: qualifiers are OR'd by GitHub - fit in as many as leaves room for the labels
+    const familiar = [...new Set([...profile.contributedTo, ...profile.starred])]
+    const repoQualifiers = []
+    for (const name of familiar) {
+        if ([...repoQualifiers, `repo:${name}`].join(' ').length > MAX_REPO_QUALIFIERS_LENGTH) break
+        repoQualifiers.push(`repo:${name}`)
+    }
+    const familiarQueries = repoQualifiers.length > 0
+        ? buildSearchQueries({ base: `${base} ${repoQualifiers.join(' ')}`, labels })
+        : []
+
+    return [...languageQueries, ...familiarQueries]
+}
+
+/**
+ * Score one issue against the profile
+ * Returns { score, reasons }, or null if the repository has an excluded topic.
+ */
+export function scoreIssue(issue, repoFullName, meta, profile, prefs, now = Date.now()) {
+    const excluded = new Set(prefs.excludedTopics)
+    const repoTopics = meta?.topics || []
+    if (repoTopics.some(topic => excluded.has(topic))) return null
+
+    const signals = {}
+    const reasons = []
+
+    const language = profile.languages.find(lang => lang.name === meta?.language)
+    signals.language = language?.weight || 0
+    if (language) reasons.push(`You use ${language.name} in ${language.repos} ${language.repos === 1 ? 'repo' : 'repos'} you own or starred`)
+
+    const matchedTopics = profile.topics.filter(topic => !excluded.has(topic.name) && repoTopics.includes(topic.name))
+    signals.topics = Math.min(1, matchedTopics.reduce((sum, topic) => sum + topic.weight, 0))
+    if (matchedTopics.length > 0) reasons.push(`Topics you follow: ${matchedTopics.map(topic => topic.name).slice(0, 3).join(', ')}`)
+
+    if (profile.contributedTo.includes(repoFullName)) {
+        signals.familiar = 1
+        reasons.push(`You've contributed to ${repoFullName} before`)
+    } else if (profile.starred.includes(repoFullName)) {
+        signals.familiar = 0.7
+        reasons.push(`You starred ${repoFullName}`)
+    } else {
+        signals.familiar = 0
+    }
+
+    const age = now - Date.parse(issue.created_at)
+    signals.freshness = Math.max(0, 1 - age / FRESHNESS_WINDOW_MS)
+    if (age < 7 * 24 * 60 * 60 * 1000) reasons.push('Opened this week')
+
+    const totalWeight = SIGNALS.reduce((sum, signal) => sum + prefs.weights[signal.value], 0)
+    const score = totalWeight > 0
+        ? SIGNALS.reduce((sum, signal) => sum + prefs.weights[signal.value] * signals[signal.value], 0) / totalWeight
+        : 0
+
+    return { score: Math.round(score * 100), reasons }
+}
+
+/**
+ * Rank `issues` by match score, best first, dropping excluded topics
+ * `repoMeta` is the full_name -> metadata map from useRepoMetadata.
+ */
+export function rankRecommendations(issues, repoMeta, profile, prefs) {
+    const now = Date.now()
+    return issues
+        .map(issue => {
+            const repo = issue.repository_url?.match(/repos\/(.+)$/)?.[1]
+            const match = scoreIssue(issue, repo, repoMeta[repo], profile, prefs, now)
+            return match && { issue, repo, ...match }
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+}
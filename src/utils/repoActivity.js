@@ -0,0 +1,183 @@
+/**
+ * Repository activity
+ *
+ * How alive and welcoming a repository is, from two cached proxy requests:
+ * - the 100 most recent issue comments, for when maintainers last spoke up
+ *   and how long issues wait for their first maintainer reply
+ * - the 100 most recently updated issues and pull requests, for the merge
+ *   rate of outside contributors' pull requests
+ *
+ * "Maintainer" means an OWNER, MEMBER or COLLABORATOR author association.
+ * GitHub re-labels first-time contributors as CONTRIBUTOR once a pull
+ * request of theirs is merged, so the merge rate counts every pull request
+ * from outside the team rather than only first-timers'.
+ */
+
+import { PROXY_API, buildHeaders, githubFetch } from './github'
+import { createRequestQueue } from './requestQueue'
+
+const MAINTAINER_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR']
+
+// full_name -> activity, or null if it couldn't be worked out
+const activityCache = new Map()
+
+// full_name -> Promise for lookups that haven't finished yet
+const inFlight = new Map()
+
+// Throttle for looking up a whole page of repositories at once
+const activityQueue = createRequestQueue({ concurrency: 2, interval: 300 })
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const isMaintainer = (association) => MAINTAINER_ASSOCIATIONS.includes(association)
+
+const median = (values) => {
+    if (values.length === 0) return null
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+async function getJson(url) {
+    const response = await githubFetch(url, { headers: buildHeaders() })
+    if (!response.ok) throw new Error(`Activity lookup failed (${response.status})`)
+    return response.json()
+}
+
+/**
+ * Work out activity signals from recent issues and comments
+ */
+export function summarizeActivity(issues, comments) {
+    const now = Date.now()
+
+    const maintainerComments = comments.filter(comment => isMaintainer(comment.author_association))
+    const lastMaintainerCommentAt = maintainerComments
+        .map(comment => comment.created_at)
+        .sort()
+        .pop() || null
+
+    // Only issues opened after the oldest comment we have - older ones may have
+    // replies that fall outside the sample
+    const oldestComment = comments.reduce((oldest, comment) => (comment.created_at < oldest ? comment.created_at : oldest), new Date(now).toISOString())
+    const commentsByIssue = new Map()
+    comments.forEach(comment => {
+        const list = commentsByIssue.get(comment.issue_url) || []
+        list.push(comment)
+        commentsByIssue.set(comment.issue_url, list)
+    })
+
+    const responseTimes = issues
+        .filter(issue => !issue.pull_request && !isMaintainer(issue.author_association) && issue.created_at >= oldestComment)
+        .map(issue => {
+            const reply = (commentsByIssue.get(issue.url) || [])
+                .filter(comment => isMaintainer(comment.author_association) && comment.user?.login !== issue.user?.login)
+                .sort((a, b) => a.created_at.localeCompare(b.created_at))[0]
+
+            if (reply) return Date.parse(reply.created_at) - Date.parse(issue.created_at)
+            // Still waiting: counts as at least as long as it's been open, if that's long already
+            const waiting = now - Date.parse(issue.created_at)
+            return waiting > 7 * 24 * 60 * 60 * 1000 ? waiting : null
+        })
+        .filter(time => time !== null)
+
+    const outsidePRs = issues.filter(issue =>
+        issue.pull_request && issue.state === 'closed' && !isMaintainer(issue.author_association)
+    )
+
+    return {
+        lastMaintainerCommentAt,
+        medianResponseMs: median(responseTimes),
+        responseSample: responseTimes.length,
+        outsidePRs: {
+            closed: outsidePRs.length,
+            merged: outsidePRs.filter(issue => issue.pull_request.merged_at).length
+        }
+    }
+}
+
+/**
+ * Activity signals for one repository (cached for the session)
+ */
+export function fetchRepoActivity(fullName) {
+    if (activityCache.has(fullName)) return Promise.resolve(activityCache.get(fullName))
+    if (inFlight.has(fullName)) return inFlight.get(fullName)
+
+    const promise = Promise.all([
+        getJson(`${PROXY_API}/repos/${fullName}/issues?state=all&sort=updated&direction=desc&per_page=100`),
+        getJson(`${PROXY_API}/repos/${fullName}/issues/comments?sort=created&direction=desc&per_page=100`)
+    ])
+        .then(([issues, comments]) => {
+            const activity = summarizeActivity(issues, comments)
+            activityCache.set(fullName, activity)
+            return activity
+        })
+        .catch(err => {
+            // Rate-limited lookups stay uncached so they can be tried again later
+            if (err.name !== 'RateLimitError') activityCache.set(fullName, null)
+            return null
+        })
+        .finally(() => inFlight.delete(fullName))
+
+    inFlight.set(fullName, promise)
+    return promise
+}
+
+/**
+ * Look up activity for every repository in `fullNames`, a couple at a time
+ * `onUpdate` is called each time another repository resolves.
+ */
+export async function fetchRepoActivities(fullNames, onUpdate = () => {}) {
+    const unique = [...new Set(fullNames)]
+    await Promise.all(unique.map(name => {
+        if (activityCache.has(name)) return null
+        const lookup = inFlight.get(name) || activityQueue.add(() => fetchRepoActivity(name))
+        return lookup.then(() => onUpdate(getCachedRepoActivity(fullNames)))
+    }))
+    return getCachedRepoActivity(fullNames)
+}
+
+/**
+ * Has the repository seen a push or a maintainer comment in the last `days` days?
+ * `pushedAt` comes from the repository metadata, `activity` is undefined while
+ * still loading. Null when it can't be told yet.
+ */
+export function isActiveWithin(days, pushedAt, activity) {
+    const latest = [pushedAt, activity?.lastMaintainerCommentAt].filter(Boolean).sort().pop()
+    if (latest && Date.now() - Date.parse(latest) <= days * DAY_MS) return true
+
+    // Activity still loading could hold a recent maintainer comment
+    if (activity === undefined || !latest) return null
+    return false
+}
+
+/**
+ * Do maintainers typically reply to new issues within `days` days?
+ * Null while unknown or without enough recent issues to tell.
+ */
+export function respondsWithin(days, activity) {
+    if (!activity || activity.medianResponseMs === null) return null
+    return activity.medianResponseMs <= days * DAY_MS
+}
+
+/**
+ * "5 hours" / "3 days" / "2 months"
+ */
+export function formatDuration(ms) {
+    const hours = Math.round(ms / (60 * 60 * 1000))
+    if (hours < 1) return 'under an hour'
+    if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`
+    const days = Math.round(ms / DAY_MS)
+    if (days < 60) return `${days} days`
+    return `${Math.round(days / 30)} months`
+}
+
+/**
+ * Synchronous read of the cached activity for `fullNames`
+ */
+export function getCachedRepoActivity(fullNames) {
+    const result = {}
+    fullNames.forEach(name => {
+        if (activityCache.has(name)) result[name] = activityCache.get(name)
+    })
+    return result
+}
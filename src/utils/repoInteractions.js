@@ -0,0 +1,174 @@
+/**
+ * Repository interactions
+ *
+ * Things the signed-in user can do on GitHub without leaving the app:
+ * star and watch repositories, and say they'd like to work on an issue.
+ * All of it goes through the auth server's session proxy and needs the
+ * optional public_repo scope (see requestWriteAccess in useGitHubAuth).
+ *
+ * Whether the user already stars / watches a repository is looked up once
+ * per session and kept in a module-level cache, which the toggles update.
+ * Signing out or in as someone else clears it (see clearRepoInteractions).
+ */
+
+import { SESSION_API, buildHeaders, githubFetch } from './github'
+import { createRequestQueue } from './requestQueue'
+
+// full_name -> { starred, watching }, or null if it couldn't be looked up
+const interactionCache = new Map()
+
+// full_name -> Promise for lookups that haven't finished yet
+const inFlight = new Map()
+
+// Bumped on clear, so lookups started for the previous user aren't cached
+let generation = 0
+
+// Two calls per repository, for a whole page of cards
+const interactionQueue = createRequestQueue({ concurrency: 2, interval: 300 })
+
+/**
+ * Default text of the "I'd like to work on this" comment
+ */
+export function claimCommentTemplate() {
+    return [
+        'Hi! I\'d like to work on this issue.',
+        '',
+        'My plan is to <describe your approach>, then open a pull request that links back here.',
+        '',
+        'Could you assign it to me, or let me know if someone is already working on it? Thanks!'
+    ].join('\n')
+}
+
+/**
+ * Does the user star / watch `fullName`? (cached for the session)
+ * GitHub answers both with 404 for "no".
+ */
+export function fetchRepoInteraction(fullName) {
+    if (interactionCache.has(fullName)) return Promise.resolve(interactionCache.get(fullName))
+    if (inFlight.has(fullName)) return inFlight.get(fullName)
+
+    const check = async (path, yes) => {
+        const response = await githubFetch(`${SESSION_API}${path}`, { headers: buildHeaders() })
+        if (response.status === yes) return true
+        if (response.status === 404) return false
+        throw new Error(`Interaction lookup failed (${response.status})`)
+    }
+
+    const startedIn = generation
+    const promise = Promise.all([
+        check(`/user/starred/${fullName}`, 204),
+        check(`/repos/${fullName}/subscription`, 200)
+    ])
+        .then(([starred, watching]) => {
+            const interaction = { starred, watching }
+            if (startedIn === generation) interactionCache.set(fullName, interaction)
+            return interaction
+        })
+        .catch(err => {
+            // Rate-limited lookups stay uncached so they can be tried again later
+            if (err.name !== 'RateLimitError' && startedIn === generation) interactionCache.set(fullName, null)
+            return null
+        })
+        // A clear may have let a newer lookup of the same repository start meanwhile
+        .finally(() => {
+            if (inFlight.get(fullName) === promise) inFlight.delete(fullName)
+        })
+
+    inFlight.set(fullName, promise)
+    return promise
+}
+
+/**
+ * Forget every cached star / watch state - they belong to the user who was signed in
+ */
+export function clearRepoInteractions() {
+    generation++
+    interactionCache.clear()
+    inFlight.clear()
+}
+
+/**
+ * Changes whenever the cache is cleared - lookups made before then need redoing
+ */
+export function getRepoInteractionsGeneration() {
+    return generation
+}
+
+/**
+ * Look up every repository in `fullNames`, a couple at a time
+ * `onUpdate` is called each time another repository resolves.
+ */
+export async function fetchRepoInteractions(fullNames, onUpdate = () => {}) {
+    const unique = [...new Set(fullNames)]
+    await Promise.all(unique.map(name => {
+        if (interactionCache.has(name)) return null
+        const lookup = inFlight.get(name) || interactionQueue.add(() => fetchRepoInteraction(name))
+        return lookup.then(() => onUpdate(getCachedRepoInteractions(fullNames)))
+    }))
+    return getCachedRepoInteractions(fullNames)
+}
+
+/**
+ * Synchronous read of the cached interactions for `fullNames`
+ */
+export function getCachedRepoInteractions(fullNames) {
+    const result = {}
+    fullNames.forEach(name => {
+        if (interactionCache.has(name)) result[name] = interactionCache.get(name)
+    })
+    return result
+}
+
+async function send(method, path, body, accept) {
+    const headers = buildHeaders()
+    if (accept) headers['Accept'] = accept
+    if (body) headers['Content-Type'] = 'application/json'
+
+    const response = await githubFetch(`${SESSION_API}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    })
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        if (response.status === 403 || response.status === 404) {
+            throw new Error('GitHub refused - grant the app access to public repositories and try again.')
+        }
+        throw new Error(data.message || `GitHub returned ${response.status}`)
+    }
+    return response.status === 204 ? null : response.json()
+}
+
+function updateCache(fullName, change) {
+    const current = interactionCache.get(fullName) || { starred: false, watching: false }
+    interactionCache.set(fullName, { ...current, ...change })
+}
+
+/**
+ * Star or unstar `fullName` as the user
+ */
+export async function setStarred(fullName, starred) {
+    await send(starred ? 'PUT' : 'DELETE', `/user/starred/${fullName}`)
+    updateCache(fullName, { starred })
+}
+
+/**
+ * Watch (all activity) or stop watching `fullName` as the user
+ */
+export async function setWatching(fullName, watching) {
+    await send(
+        watching ? 'PUT' : 'DELETE',
+        `/repos/${fullName}/subscription`,
+        watching ? { subscribed: true } : undefined
+    )
+    updateCache(fullName, { watching })
+}
+
+/**
+ * Comment on issue `number` of `fullName` as the user
+ * Resolves to the new comment, as GitHub returns it (with body_html, like
+ * the comments in the issue drawer).
+ */
+export function postIssueComment(fullName, number, body) {
+    return send('POST', `/repos/${fullName}/issues/${number}/comments`, { body }, 'application/vnd.github.full+json')
+}
@@ -0,0 +1,182 @@
+/**
+ * Repository metadata lookups
+ *
+ * Resolves stars, forks, archived status, license, last push date, primary
+ * language and topics for a batch of repositories:
+ * - Signed in: one GraphQL query per 50 repositories, sent through the
+ *   session proxy (GraphQL needs the user's token)
+ * - Signed out: REST lookups through the caching proxy, throttled by a queue
+ *
+ * Results are kept in a module-level cache, so repositories seen in an
+ * earlier search are never looked up again during the session.
+ */
+
+import { PROXY_API, SESSION_API, buildHeaders, githubFetch } from './github'
+import { createRequestQueue } from './requestQueue'
+import { isNetworkError } from './offlineStore'
+
+// Repositories per GraphQL query - keeps each query well under GitHub's node limits
+const GRAPHQL_BATCH_SIZE = 50
+
+// full_name -> metadata, or null if the repository couldn't be resolved
+const metadataCache = new Map()
+
+// full_name -> Promise for lookups that haven't finished yet
+const inFlight = new Map()
+
+// Throttle for the signed-out REST fallback
+const restQueue = createRequestQueue({ concurrency: 2, interval: 250 })
+
+/**
+ * Normalised shape shared by the GraphQL and REST paths
+ */
+function toMetadata({ stars, forks, archived, license, pushedAt, language, topics }) {
+    return { stars, forks, archived, license, pushedAt, language: language || null, topics: topics || [] }
+}
+
+/**
+ * Build one GraphQL query with an aliased `repository` field per repo
+ * Owner and name go in as variables, so no escaping is needed.
+ */
+function buildGraphQLQuery(fullNames) {
+    const variableDefs = []
+    const fields = []
+    const variables = {}
+
+    fullNames.forEach((fullName, i) => {
+        const [owner, name] = fullName.split('/')
+        variableDefs.push(`$owner${i}: String!, $name${i}: String!`)
+        fields.push(`r${i}: repository(owner: $owner${i}, name: $name${i}) { ...RepoMetadata }`)
+        variables[`owner${i}`] = owner
+        variables[`name${i}`] = name
+    })
+
+    const query = `
+        query (${variableDefs.join(', ')}) {
+            ${fields.join('\n')}
+        }
+        fragment RepoMetadata on Repository {
+            stargazerCount
+            forkCount
+            isArchived
+            pushedAt
+            licenseInfo { spdxId name }
+            primaryLanguage { name }
+            repositoryTopics(first: 20) { nodes { topic { name } } }
+        }
+    `
+    return { query, variables }
+}
+
+async function fetchBatchGraphQL(fullNames) {
+    const response = await githubFetch(`${SESSION_API}/graphql`, {
+        method: 'POST',
+        headers: { ...buildHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildGraphQLQuery(fullNames))
+    })
+
+    if (!response.ok) {
+        throw new Error(`GraphQL request failed (${response.status})`)
+    }
+
+    // Missing or private repositories come back as null with an entry in `errors`,
+    // while the rest of the batch still resolves
+    const { data } = await response.json()
+
+    fullNames.forEach((fullName, i) => {
+        const repo = data?.[`r${i}`]
+        metadataCache.set(fullName, repo ? toMetadata({
+            stars: repo.stargazerCount,
+            forks: repo.forkCount,
+            archived: repo.isArchived,
+            license: repo.licenseInfo?.spdxId !== 'NOASSERTION' ? repo.licenseInfo?.spdxId : repo.licenseInfo?.name,
+            pushedAt: repo.pushedAt,
+            language: repo.primaryLanguage?.name,
+            topics: repo.repositoryTopics?.nodes.map(node => node.topic.name)
+        }) : null)
+    })
+}
+
+async function fetchOneRest(fullName) {
+    try {
+        const response = await githubFetch(`${PROXY_API}/repos/${fullName}`, { headers: buildHeaders() })
+        if (!response.ok) {
+            metadataCache.set(fullName, null)
+            return
+        }
+
+        const repo = await response.json()
+        metadataCache.set(fullName, toMetadata({
+            stars: repo.stargazers_count,
+            forks: repo.forks_count,
+            archived: repo.archived,
+            license: repo.license?.spdx_id !== 'NOASSERTION' ? repo.license?.spdx_id : repo.license?.name,
+            pushedAt: repo.pushed_at,
+            language: repo.language,
+            topics: repo.topics
+        }))
+    } catch (err) {
+        // Mark as fetched to avoid retrying - unless we were only rate limited
+        // or offline, in which case a later search can try again
+        if (err.name !== 'RateLimitError' && !isNetworkError(err)) metadataCache.set(fullName, null)
+    }
+}
+
+/**
+ * Look up metadata for every repository in `fullNames`
+ *
+ * Cached repositories are skipped, and repositories already being looked up
+ * by an earlier call are waited on rather than fetched twice. `onUpdate` is
+ * called with the partial result each time more repositories resolve, so
+ * cards can fill in progressively. Resolves to an object of
+ * full_name -> metadata (or null) covering every requested repository.
+ */
+export async function fetchRepoMetadata(fullNames, signedIn, onUpdate = () => {}) {
+    const unique = [...new Set(fullNames)]
+    const missing = unique.filter(name => !metadataCache.has(name) && !inFlight.has(name))
+    const report = () => onUpdate(getCachedRepoMetadata(fullNames))
+
+    // Register a lookup so concurrent callers can share it
+    const track = (names, promise) => {
+        const settled = promise.then(report)
+        names.forEach(name => inFlight.set(name, settled))
+        settled.finally(() => names.forEach(name => inFlight.delete(name)))
+        return settled
+    }
+
+    if (signedIn) {
+        for (let i = 0; i < missing.length; i += GRAPHQL_BATCH_SIZE) {
+            const batch = missing.slice(i, i + GRAPHQL_BATCH_SIZE)
+            track(batch, fetchBatchGraphQL(batch).catch(err => {
+                console.error('[RepoMetadata] GraphQL lookup failed, falling back to REST:', err.message)
+                return Promise.all(batch.map(name => restQueue.add(() => fetchOneRest(name))))
+            }))
+        }
+    } else {
+        missing.forEach(name => track([name], restQueue.add(() => fetchOneRest(name))))
+    }
+
+    await Promise.all(unique.filter(name => inFlight.has(name)).map(name => inFlight.get(name)))
+    return getCachedRepoMetadata(fullNames)
+}
+
+/**
+ * Fill the cache from an earlier session's results (an offline snapshot),
+ * without replacing anything looked up in this one
+ */
+export function primeRepoMetadata(entries) {
+    Object.entries(entries || {}).forEach(([name, metadata]) => {
+        if (!metadataCache.has(name) && metadata) metadataCache.set(name, metadata)
+    })
+}
+
+/**
+ * Synchronous read of whatever is already cached for `fullNames`
+ */
+export function getCachedRepoMetadata(fullNames) {
+    const result = {}
+    fullNames.forEach(name => {
+        if (metadataCache.has(name)) result[name] = metadataCache.get(name)
+    })
+    return result
+}
@@ -0,0 +1,60 @@
+/**
+ * Request Queue
+ *
+ * Runs async tasks with limited concurrency and a minimum gap between
+ * task starts, so bursts of lookups don't trip GitHub's rate limits.
+ *
+ * Usage:
+ *   const queue = createRequestQueue({ concurrency: 2, interval: 250 })
+ *   const data = await queue.add(() => fetch(url).then(r => r.json()))
+ */
+
+export function createRequestQueue({ concurrency = 2, interval = 0 } = {}) {
+    const pending = []
+    let running = 0
+    let lastStart = 0
+    let timer = null
+
+    const next = () => {
+        if (running >= concurrency || pending.length === 0) return
+
+        // Respect the minimum gap between starts
+        const wait = lastStart + interval - Date.now()
+        if (wait > 0) {
+            if (!timer) {
+                timer = setTimeout(() => {
+                    timer = null
+                    next()
+                }, wait)
+            }
+            return
+        }
+
+        const { task, resolve, reject } = pending.shift()
+        running++
+        lastStart = Date.now()
+
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                running--
+                next()
+            })
+
+        // Fill any remaining slots
+        next()
+    }
+
+    return {
+        add(task) {
+            return new Promise((resolve, reject) => {
+                pending.push({ task, resolve, reject })
+                next()
+            })
+        },
+        get size() {
+            return pending.length + running
+        }
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Router helpers
+ *
+ * A tiny history-API router. Each view has its own path and the active
+ * filters travel in the query string, so any screen can be bookmarked,
+ * shared, or restored with the browser's back/forward buttons.
+ *
+ *   /                      -> hero
+ *   /about                 -> about
+ *   /resources             -> resources
+ *   /explore?lang=rust     -> app, issues tab
+ *   /trending?period=daily -> app, trending tab
+ *   /saved                 -> app, saved tab
+ *   /for-you               -> app, "for you" tab
+ *   /dashboard             -> contributor dashboard (signed in)
+ *   /repo/facebook/react   -> repository page (the repo travels in the path)
+ */
+
+// Path for every (view, tab) pair
+// `pathParam` routes carry that param in the rest of the path instead of the query string
+const ROUTES = [
+    { path: '/', view: 'hero' },
+    { path: '/about', view: 'about' },
+    { path: '/resources', view: 'resources' },
+    { path: '/dashboard', view: 'dashboard' },
+    { path: '/explore', view: 'app', tab: 'issues' },
+    { path: '/trending', view: 'app', tab: 'trending' },
+    { path: '/saved', view: 'app', tab: 'saved' },
+    { path: '/for-you', view: 'app', tab: 'foryou' },
+    { path: '/repo', view: 'repo', pathParam: 'repo' }
+]
+
+// SessionStorage keys for the page (and open issue) to come back to after the OAuth redirect
+const RETURN_LOCATION_KEY = 'auth_return_to'
+const RETURN_ISSUE_KEY = 'auth_return_issue'
+
+/**
+ * Parse a location (window.location or a URL) into { view, tab, params }
+ * Unknown paths fall back to the hero view.
+ */
+export function parseLocation(location = window.location) {
+    const path = location.pathname.replace(/\/+$/, '') || '/'
+    const route = ROUTES.find(r => (r.pathParam ? path.startsWith(`${r.path}/`) : r.path === path)) || ROUTES[0]
+
+    const params = new URLSearchParams(location.search)
+    if (route.pathParam) {
+        params.set(route.pathParam, decodeURIComponent(path.slice(route.path.length + 1)))
+    }
+
+    return {
+        view: route.view,
+        tab: route.tab || 'issues',
+        params
+    }
+}
+
+/**
+ * Build a URL (path + query string) for a view, tab and set of query params
+ * Empty params are dropped to keep shared links short.
+ */
+export function buildUrl(view, tab, params = {}) {
+    const route = ROUTES.find(r => r.view === view && (!r.tab || r.tab === tab)) || ROUTES[0]
+
+    const search = new URLSearchParams()
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && key !== route.pathParam) {
+            search.set(key, value)
+        }
+    })
+
+    const path = route.pathParam
+        ? `${route.path}/${String(params[route.pathParam]).split('/').map(encodeURIComponent).join('/')}`
+        : route.path
+    const query = search.toString()
+    return query ? `${path}?${query}` : path
+}
+
+/**
+ * History state of the entries the app pushes itself (see useUrlSync) -
+ * the entry before one of those is always a screen of this app
+ */
+export const IN_APP_STATE = { fromApp: true }
+
+/**
+ * Would the browser's Back button stay inside the app? It leaves for
+ * another site (or closes nothing at all) on the first page of a visit
+ */
+export function canGoBackInApp() {
+    return window.history.state?.fromApp === true
+}
+
+/**
+ * Remember the current page before leaving for GitHub's login screen
+ */
+export function rememberReturnLocation() {
+    sessionStorage.setItem(RETURN_LOCATION_KEY, window.location.pathname + window.location.search)
+}
+
+/**
+ * Read (and forget) the page remembered by rememberReturnLocation()
+ * Returns a URL object, or null if nothing was stored.
+ */
+export function takeReturnLocation() {
+    const stored = sessionStorage.getItem(RETURN_LOCATION_KEY)
+    sessionStorage.removeItem(RETURN_LOCATION_KEY)
+    return stored ? new URL(stored, window.location.origin) : null
+}
+
+/**
+ * Remember the issue open in the detail drawer before leaving for GitHub,
+ * so it's reopened on the way back (it isn't part of the URL)
+ */
+export function rememberOpenIssue(issue) {
+    sessionStorage.setItem(RETURN_ISSUE_KEY, JSON.stringify(issue))
+}
+
+/**
+ * Read (and forget) the issue remembered by rememberOpenIssue(), or null
+ */
+export function takeOpenIssue() {
+    const stored = sessionStorage.getItem(RETURN_ISSUE_KEY)
+    sessionStorage.removeItem(RETURN_ISSUE_KEY)
+    try {
+        return stored ? JSON.parse(stored) : null
+    } catch {
+        return null
+    }
+}
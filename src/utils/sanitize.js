@@ -0,0 +1,70 @@
+/**
+ * HTML sanitising for GitHub-rendered Markdown
+ *
+ * GitHub renders issue and comment Markdown to HTML for us (`body_html`,
+ * requested with the `application/vnd.github.full+json` media type), which
+ * gets GFM details like task lists and code highlighting exactly right.
+ * We still never inject third-party HTML without running it through DOMPurify.
+ */
+
+import DOMPurify from 'dompurify'
+
+// Open links in a new tab without giving the target page access to ours
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+    if (node.tagName === 'A' && node.getAttribute('href')) {
+        node.setAttribute('target', '_blank')
+        node.setAttribute('rel', 'noopener noreferrer')
+    }
+    // Task list checkboxes are display-only
+    if (node.tagName === 'INPUT') {
+        node.setAttribute('disabled', '')
+    }
+})
+
+export function sanitizeHtml(html) {
+    return DOMPurify.sanitize(html || '', {
+        USE_PROFILES: { html: true },
+        FORBID_TAGS: ['style', 'form', 'button', 'textarea', 'select'],
+        FORBID_ATTR: ['style']
+    })
+}
+
+/**
+ * The opening blocks of a rendered README, sanitised, up to about `maxLength`
+ * characters of text. Relative links and images are pointed at the repository
+ * on GitHub, since the rendered HTML leaves them relative to the repo root.
+ * Returns { html, truncated }.
+ */
+export function readmeExcerpt(html, repoFullName, maxLength = 1500) {
+    const template = document.createElement('template')
+    template.innerHTML = sanitizeHtml(html)
+
+    // GitHub wraps the README in a couple of container elements
+    let root = template.content
+    while (root.children.length === 1 && root.children[0].children.length > 0) {
+        root = root.children[0]
+    }
+
+    const isRelative = (url) => url && !/^([a-z]+:|\/\/|#)/i.test(url)
+    root.querySelectorAll('img[src]').forEach(img => {
+        const src = img.getAttribute('src')
+        if (isRelative(src)) img.setAttribute('src', `https://raw.githubusercontent.com/${repoFullName}/HEAD/${src.replace(/^\.?\//, '')}`)
+    })
+    root.querySelectorAll('a[href]').forEach(link => {
+        const href = link.getAttribute('href')
+        if (isRelative(href)) link.setAttribute('href', `https://github.com/${repoFullName}/blob/HEAD/${href.replace(/^\.?\//, '')}`)
+    })
+
+    const excerpt = document.createElement('div')
+    const blocks = [...root.children]
+    let length = 0
+    let kept = 0
+    for (const block of blocks) {
+        if (kept > 0 && length + block.textContent.length > maxLength) break
+        excerpt.appendChild(block.cloneNode(true))
+        length += block.textContent.length
+        kept++
+    }
+
+    return { html: excerpt.innerHTML, truncated: kept < blocks.length }
+}
@@ -0,0 +1,61 @@
+/**
+ * Saved issues and repositories
+ *
+ * Item shape (shared with server/savedItems.js):
+ *   { key, type: 'issue' | 'repo', title, url, repo, number, description,
+ *     language, status, notes, savedAt, updatedAt, deleted }
+ *
+ * Items live in localStorage; signed-in users also sync them to the auth
+ * server (see utils/syncedList.js).
+ */
+
+// How saved items are stored and synced (see useSyncedList)
+export const SAVED_ITEMS_LIST = {
+    storageKey: 'saved_items',
+    path: '/saved',
+    field: 'items',
+    key: 'key',
+    // Most recently saved first
+    compare: (a, b) => b.savedAt - a.savedAt,
+    syncErrorMessage: 'Failed to sync saved issues'
+}
+
+// Progress of a saved item, in order
+export const SAVED_STATUSES = [
+    { value: 'interested', label: 'Interested', icon: '👀' },
+    { value: 'working', label: 'Working on it', icon: '🛠️' },
+    { value: 'pr-opened', label: 'PR opened', icon: '📬' },
+    { value: 'done', label: 'Done', icon: '🎉' }
+]
+
+/**
+ * Saved item for an issue search result
+ */
+export function issueToSavedItem(issue) {
+    const repo = issue.repository_url?.match(/repos\/(.+)$/)?.[1] || ''
+    return {
+        key: `issue:${repo}#${issue.number}`,
+        type: 'issue',
+        title: issue.title,
+        url: issue.html_url,
+        repo,
+        number: issue.number,
+        description: issue.body?.slice(0, 200) || ''
+    }
+}
+
+/**
+ * Saved item for a repository search result
+ */
+export function repoToSavedItem(repo) {
+    return {
+        key: `repo:${repo.full_name}`,
+        type: 'repo',
+        title: repo.full_name,
+        url: repo.html_url,
+        repo: repo.full_name,
+        number: null,
+        description: repo.description?.slice(0, 200) || '',
+        language: repo.language || ''
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * Synced lists
+ *
+ * Per-user lists kept in localStorage and, for signed-in users, synced to
+ * the auth server (see server/syncedList.js) - saved issues and saved
+ * searches. Entries carry `updatedAt` and are merged one by one, the newest
+ * copy winning; removed entries stay behind as tombstones (`deleted: true`)
+ * so a removal survives merging with an older copy from another device
+ * (see shared/syncedList.js).
+ *
+ * Each account keeps its own copy in the browser, apart from the one used
+ * while signed out, so one account's list never ends up in another's.
+ *
+ * Usage:
+ *   const list = { storageKey: 'saved_items', path: '/saved', field: 'items', key: 'key', compare }
+ *   const merged = await syncList(list, loadList(list, user.id))
+ */
+
+import { AUTH_SERVER_URL } from '../config'
+import { mergeSyncedLists } from '../../shared/syncedList.js'
+
+/**
+ * Merge two lists by `list.key` - the most recently updated copy wins
+ */
+export function mergeLists(list, current, incoming) {
+    return mergeSyncedLists(current, incoming, list)
+}
+
+/**
+ * Does `entries` hold anything `server` lacks, or has an older copy of?
+ */
+export function isAhead(list, entries, server) {
+    const serverByKey = new Map(server.map(entry => [entry[list.key], entry]))
+    return entries.some(entry => !(serverByKey.get(entry[list.key])?.updatedAt >= entry.updatedAt))
+}
+
+// `account` is the signed-in user's id, or null for the signed-out copy
+const storageKey = (list, account) => (account ? `${list.storageKey}:${account}` : list.storageKey)
+
+export function loadList(list, account = null) {
+    try {
+        return JSON.parse(localStorage.getItem(storageKey(list, account))) || []
+    } catch {
+        return []
+    }
+}
+
+export function storeList(list, account, entries) {
+    if (entries.length === 0) {
+        localStorage.removeItem(storageKey(list, account))
+    } else {
+        localStorage.setItem(storageKey(list, account), JSON.stringify(entries))
+    }
+}
+
+async function request(list, options = {}) {
+    const response = await fetch(`${AUTH_SERVER_URL}${list.path}`, {
+        ...options,
+        // The session cookie says whose list this is
+        credentials: 'include'
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+        throw new Error(data.error || list.syncErrorMessage || 'Failed to sync')
+    }
+    return data[list.field]
+}
+
+/**
+ * The signed-in user's copy on the server
+ */
+export function fetchList(list) {
+    return request(list)
+}
+
+/**
+ * Merge `entries` into the signed-in user's copy on the server
+ * Resolves to the merged list.
+ */
+export function syncList(list, entries) {
+    return request(list, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ [list.field]: entries })
+    })
+}
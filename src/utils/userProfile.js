@@ -0,0 +1,116 @@
+/**
+ * Contributor profile
+ *
+ * Works out what a signed-in user is into from their public GitHub footprint:
+ * - repositories they own (forks skipped) - the strongest signal
+ * - repositories they've starred
+ * - repositories they've opened pull requests against (other people's)
+ *
+ * Languages and topics are weighted by where they came from and scaled so
+ * the user's top language (or topic) has a weight of 1. The profile is kept
+ * in localStorage for a day, so the "For you" tab doesn't cost three
+ * requests on every visit.
+ */
+
+import { SESSION_API, buildHeaders, githubFetch } from './github'
+
+const STORAGE_KEY = 'for_you_profile'
+
+// Rebuild the profile once it's older than this
+const PROFILE_TTL_MS = 24 * 60 * 60 * 1000
+
+// How much each source counts towards a language or topic
+const SOURCE_WEIGHTS = { owned: 2, starred: 1 }
+
+// Keep the profile small - the long tail is noise
+const MAX_LANGUAGES = 8
+const MAX_TOPICS = 20
+const MAX_FAMILIAR_REPOS = 50
+
+/**
+ * Tally weighted names into [{ name, weight, repos }], top entry first,
+ * weights scaled to 0-1
+ */
+function rank(tally, limit) {
+    const entries = [...tally.entries()]
+        .map(([name, { weight, repos }]) => ({ name, weight, repos }))
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, limit)
+    const top = entries[0]?.weight || 1
+    return entries.map(entry => ({ ...entry, weight: Math.round((entry.weight / top) * 100) / 100 }))
+}
+
+function add(tally, name, weight) {
+    if (!name) return
+    const entry = tally.get(name) || { weight: 0, repos: 0 }
+    tally.set(name, { weight: entry.weight + weight, repos: entry.repos + 1 })
+}
+
+/**
+ * Build a profile from the raw GitHub lists
+ * `owned` and `starred` are repository objects, `pullRequests` search results.
+ */
+export function buildProfile(login, { owned, starred, pullRequests }) {
+    const languages = new Map()
+    const topics = new Map()
+
+    const count = (repos, weight) => repos.forEach(repo => {
+        add(languages, repo.language, weight)
+        ;(repo.topics || []).forEach(topic => add(topics, topic, weight))
+    })
+    count(owned.filter(repo => !repo.fork), SOURCE_WEIGHTS.owned)
+    count(starred, SOURCE_WEIGHTS.starred)
+
+    const contributedTo = [...new Set(pullRequests
+        .map(pr => pr.repository_url?.match(/repos\/(.+)$/)?.[1])
+        .filter(name => name && name.split('/')[0].toLowerCase() !== login.toLowerCase())
+    )]
+
+    return {
+        login,
+        languages: rank(languages, MAX_LANGUAGES),
+        topics: rank(topics, MAX_TOPICS),
+        starred: starred.slice(0, MAX_FAMILIAR_REPOS).map(repo => repo.full_name),
+        contributedTo: contributedTo.slice(0, MAX_FAMILIAR_REPOS),
+        builtAt: Date.now()
+    }
+}
+
+async function getJson(url, signal) {
+    const response = await githubFetch(url, { headers: buildHeaders(), signal })
+    if (!response.ok) throw new Error('Failed to load your GitHub profile. Please try again.')
+    return response.json()
+}
+
+/**
+ * Fetch and build the profile for `login`
+ * Uses the stored profile while it's fresh, unless `force` is set.
+ */
+export async function fetchUserProfile(login, { force = false, signal } = {}) {
+    const stored = loadUserProfile(login)
+    if (stored && !force && Date.now() - stored.builtAt < PROFILE_TTL_MS) return stored
+
+    const user = encodeURIComponent(login)
+    const prQuery = encodeURIComponent(`type:pr author:${login} -user:${login}`)
+    const [owned, starred, pullRequests] = await Promise.all([
+        getJson(`${SESSION_API}/users/${user}/repos?type=owner&sort=pushed&per_page=100`, signal),
+        getJson(`${SESSION_API}/users/${user}/starred?per_page=100`, signal),
+        getJson(`${SESSION_API}/search/issues?q=${prQuery}&per_page=100`, signal).then(data => data.items)
+    ])
+
+    const profile = buildProfile(login, { owned, starred, pullRequests })
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profile))
+    return profile
+}
+
+/**
+ * The stored profile for `login`, however old, or null
+ */
+export function loadUserProfile(login) {
+    try {
+        const profile = JSON.parse(localStorage.getItem(STORAGE_KEY))
+        return profile?.login === login ? profile : null
+    } catch {
+        return null
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * Watched searches
+ *
+ * A watch is an issue search (the issues tab's filters) that is re-run in
+ * the background to catch newly opened issues before someone else grabs
+ * them. Each watch remembers the issue ids it has already seen, and keeps
+ * the new ones as unread until the user opens the watch.
+ *
+ * Watch shape:
+ *   { id, name, filters, createdAt, lastCheckedAt, seenIds, unread }
+ * `filters` is what buildIssueQueries() takes (see shared/searchQuery.js),
+ * `unread` holds summaries ({ id, number, title, url, repo }) of new issues.
+ *
+ * Watches live in localStorage, per browser.
+ */
+
+import { PROXY_API, buildHeaders, githubFetch } from './github'
+import { buildIssueQueries, mergeSearchResults } from '../../shared/searchQuery.js'
+
+// LocalStorage key
+const STORAGE_KEY = 'issue_watches'
+
+// How often each watch is re-run
+export const WATCH_INTERVAL_MS = 10 * 60 * 1000
+
+// Newest issues fetched per check - more new issues than this between two
+// checks only ever show up as this many
+const RESULTS_PER_CHECK = 30
+
+// Ids remembered per watch; older ones have long dropped out of the newest results
+const MAX_SEEN_IDS = 500
+
+// Unread issues kept per watch
+const MAX_UNREAD = 50
+
+// The filters that make up a search, in a fixed order for comparing
+const FILTER_KEYS = ['searchQuery', 'language', 'popularity', 'unassignedOnly', 'noLinkedPR', 'selectedLabels', 'selectedCategories']
+
+/**
+ * `filters` reduced to the search inputs, with lists sorted, so equal
+ * searches compare equal however they were put together
+ */
+export function normalizeFilters(filters) {
+    const normalized = {}
+    FILTER_KEYS.forEach(key => {
+        const value = filters[key]
+        if (Array.isArray(value)) normalized[key] = [...value].sort()
+        else if (typeof value === 'boolean') normalized[key] = value
+        else normalized[key] = (value || '').trim()
+    })
+    return normalized
+}
+
+export function sameFilters(a, b) {
+    return JSON.stringify(normalizeFilters(a)) === JSON.stringify(normalizeFilters(b))
+}
+
+export function createWatch(name, filters) {
+    return {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name,
+        filters: normalizeFilters(filters),
+        createdAt: Date.now(),
+        lastCheckedAt: null,
+        seenIds: [],
+        unread: []
+    }
+}
+
+export function loadWatches() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || []
+    } catch {
+        return []
+    }
+}
+
+export function storeWatches(watches) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(watches))
+}
+
+/**
+ * The newest open issues matching `filters`
+ */
+export async function fetchWatchResults(filters, { signal } = {}) {
+    const urls = buildIssueQueries(filters).map(query =>
+        `${PROXY_API}/search/issues?q=${encodeURIComponent(query)}&sort=created&order=desc&per_page=${RESULTS_PER_CHECK}`
+    )
+
+    const responses = await Promise.all(urls.map(url => githubFetch(url, { headers: buildHeaders(), signal })))
+    const failed = responses.find(response => !response.ok)
+    if (failed) throw new Error(`Watch search failed (${failed.status})`)
+
+    const { items } = mergeSearchResults(await Promise.all(responses.map(response => response.json())), 'created')
+    return items
+}
+
+/**
+ * `watch` after a check that found `issues`
+ * Returns { watch, newIssues }. The first check only learns what's there,
+ * so a new watch doesn't announce every issue it starts with.
+ */
+export function recordResults(watch, issues, now = Date.now()) {
+    const seen = new Set(watch.seenIds)
+    const newIssues = watch.lastCheckedAt === null
+        ? []
+        : issues.filter(issue => !seen.has(issue.id)).map(issue => ({
+            id: issue.id,
+            number: issue.number,
+            title: issue.title,
+            url: issue.html_url,
+            repo: issue.repository_url?.match(/repos\/(.+)$/)?.[1] || ''
+        }))
+
+    return {
+        newIssues,
+        watch: {
+            ...watch,
+            lastCheckedAt: now,
+            seenIds: [...issues.map(issue => issue.id).filter(id => !seen.has(id)), ...watch.seenIds].slice(0, MAX_SEEN_IDS),
+            unread: [...newIssues, ...watch.unread].slice(0, MAX_UNREAD)
+        }
+    }
+}
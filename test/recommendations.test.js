@@ -0,0 +1,59 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { buildRecommendationQueries, scoreIssue, DEFAULT_PREFS } from '../src/utils/recommendations.js'
+import { MAX_QUERY_LENGTH } from '../shared/searchQuery.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const NOW = Date.UTC(2025, 0, 15)
+
+const profile = {
+    languages: [
+        { name: 'Rust', weight: 0.6, repos: 3 },
+        { name: 'C++', weight: 0.3, repos: 1 },
+        { name: 'Go', weight: 0.1, repos: 1 },
+        { name: 'Ruby', weight: 0.05, repos: 1 }
+    ],
+    topics: [{ name: 'cli', weight: 0.5 }, { name: 'wasm', weight: 0.4 }],
+    contributedTo: ['rust-lang/rustlings'],
+    starred: ['tokio-rs/tokio']
+}
+
+const issue = (ageMs) => ({ created_at: new Date(NOW - ageMs).toISOString() })
+
+test('searches the top three languages and the repositories the user knows', () => {
+    const queries = buildRecommendationQueries(profile)
+
+    assert.ok(queries.some(query => query.includes('language:"Rust"')))
+    assert.ok(queries.some(query => query.includes('language:"C++"')))
+    assert.ok(!queries.some(query => query.includes('language:"Ruby"')))
+    assert.ok(queries.some(query => query.includes('repo:rust-lang/rustlings repo:tokio-rs/tokio')))
+    queries.forEach(query => assert.ok(query.length <= MAX_QUERY_LENGTH, query))
+})
+
+test('skips the repository query when the user knows no repositories', () => {
+    const queries = buildRecommendationQueries({ ...profile, contributedTo: [], starred: [] })
+    assert.ok(!queries.some(query => query.includes('repo:')))
+})
+
+test('scores a fresh issue in a familiar repository in the user\'s language highly, with reasons', () => {
+    const meta = { language: 'Rust', topics: ['cli'] }
+    const match = scoreIssue(issue(DAY_MS), 'rust-lang/rustlings', meta, profile, DEFAULT_PREFS, NOW)
+
+    assert.ok(match.score > 50)
+    assert.equal(match.reasons.length, 4)
+    assert.ok(match.reasons.includes('You\'ve contributed to rust-lang/rustlings before'))
+})
+
+test('scores an old issue in an unknown repository low', () => {
+    const match = scoreIssue(issue(60 * DAY_MS), 'someone/else', { language: 'Haskell', topics: [] }, profile, DEFAULT_PREFS, NOW)
+    assert.deepEqual(match, { score: 0, reasons: [] })
+})
+
+test('follows the weights and drops excluded topics', () => {
+    const meta = { language: 'Go', topics: ['cli'] }
+    const onlyFamiliar = { ...DEFAULT_PREFS, weights: { language: 0, topics: 0, familiar: 1, freshness: 0 } }
+    assert.equal(scoreIssue(issue(DAY_MS), 'tokio-rs/tokio', meta, profile, onlyFamiliar, NOW).score, 70)
+
+    const excluding = { ...DEFAULT_PREFS, excludedTopics: ['cli'] }
+    assert.equal(scoreIssue(issue(DAY_MS), 'tokio-rs/tokio', meta, profile, excluding, NOW), null)
+})
@@ -0,0 +1,68 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    buildSearchQueries,
+    buildIssueQueries,
+    mergeSearchResults,
+    QueryTooComplexError,
+    MAX_QUERY_LENGTH,
+    MAX_QUERY_OPERATORS
+} from '../shared/searchQuery.js'
+import { expandLabels, normalizeLabel } from '../shared/labels.js'
+
+const countOperators = (query) => (query.match(/\b(AND|OR|NOT)\b/g) || []).length
+
+test('normalizes label spellings to one canonical label', () => {
+    assert.equal(normalizeLabel('Good First Issue'), normalizeLabel('good-first-issue'))
+    assert.equal(normalizeLabel('not a beginner label'), null)
+})
+
+test('expands a beginner label to its synonyms and keeps other labels as-is', () => {
+    const labels = expandLabels(['good first issue', 'bug'])
+    assert.ok(labels.length > 2)
+    assert.ok(labels.includes('bug'))
+    assert.equal(new Set(labels.map(label => label.toLowerCase())).size, labels.length)
+})
+
+test('keeps a simple search in one query', () => {
+    assert.deepEqual(
+        buildSearchQueries({ base: 'is:issue is:open', labels: ['bug'], keywords: ['docs'] }),
+        ['is:issue is:open docs label:"bug"']
+    )
+})
+
+test('splits long label lists and many keywords into queries within the limits', () => {
+    const queries = buildSearchQueries({
+        base: 'is:issue is:open language:javascript',
+        labels: expandLabels(['good first issue', 'help wanted']),
+        keywords: ['docs', 'typo', 'readme', 'tests', 'css', 'ui', 'a11y']
+    })
+
+    // Two keyword groups (six keywords fit in five ORs), each split over two label lists
+    assert.equal(queries.length, 4)
+    queries.forEach(query => {
+        assert.ok(query.length <= MAX_QUERY_LENGTH, query)
+        assert.ok(countOperators(query) <= MAX_QUERY_OPERATORS, query)
+    })
+})
+
+test('refuses searches that need too many queries', () => {
+    const keywords = Array.from({ length: 40 }, (_, i) => `keyword${i}`)
+    assert.throws(() => buildSearchQueries({ base: 'is:issue', keywords }), QueryTooComplexError)
+})
+
+test('builds issue queries from the filter state', () => {
+    const [query] = buildIssueQueries({ language: 'go', unassignedOnly: true, noLinkedPR: true, selectedLabels: ['bug'] })
+    assert.equal(query, 'is:issue is:open language:go no:assignee -linked:pr label:"bug"')
+})
+
+test('merges result pages without duplicates, re-sorted', () => {
+    const issue = (id, createdAt) => ({ id, created_at: createdAt })
+    const merged = mergeSearchResults([
+        { total_count: 2, items: [issue(1, '2024-01-01'), issue(2, '2024-03-01')] },
+        { total_count: 2, items: [issue(2, '2024-03-01'), issue(3, '2024-02-01')] }
+    ], 'created')
+
+    assert.deepEqual(merged.items.map(item => item.id), [2, 3, 1])
+    assert.equal(merged.total_count, 4)
+})
@@ -0,0 +1,42 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { mergeSyncedLists, MAX_TOMBSTONES, TOMBSTONE_TTL_MS } from '../shared/syncedList.js'
+
+const NOW = Date.UTC(2025, 0, 1)
+const options = { key: 'key', compare: (a, b) => b.savedAt - a.savedAt }
+
+const entry = (key, updatedAt, extra = {}) => ({ key, savedAt: updatedAt, updatedAt, deleted: false, ...extra })
+
+test('keeps the most recently updated copy of each entry', () => {
+    const merged = mergeSyncedLists(
+        [entry('a', 1, { notes: 'old' }), entry('b', 5, { notes: 'kept' })],
+        [entry('a', 2, { notes: 'new' }), entry('b', 4, { notes: 'stale' })],
+        options,
+        NOW
+    )
+
+    assert.deepEqual(merged.map(item => item.notes), ['kept', 'new'])
+})
+
+test('a removal survives merging with an older copy', () => {
+    const merged = mergeSyncedLists([entry('a', NOW - 1000, { deleted: true })], [entry('a', NOW - 2000)], options, NOW)
+    assert.equal(merged.length, 1)
+    assert.equal(merged[0].deleted, true)
+})
+
+test('drops tombstones older than the TTL', () => {
+    const expired = entry('a', NOW - TOMBSTONE_TTL_MS - 1, { deleted: true })
+    const recent = entry('b', NOW - 1000, { deleted: true })
+    assert.deepEqual(mergeSyncedLists([expired, recent], [], options, NOW).map(item => item.key), ['b'])
+})
+
+test('keeps only the newest tombstones beyond the cap', () => {
+    const tombstones = Array.from({ length: MAX_TOMBSTONES + 10 }, (_, i) => entry(`t${i}`, NOW - i, { deleted: true }))
+    const merged = mergeSyncedLists([entry('live', 0)], tombstones, options, NOW)
+
+    assert.equal(merged.filter(item => item.deleted).length, MAX_TOMBSTONES)
+    assert.ok(merged.some(item => item.key === 't0'))
+    assert.ok(!merged.some(item => item.key === `t${MAX_TOMBSTONES}`))
+    // Live entries never count against the cap
+    assert.ok(merged.some(item => item.key === 'live'))
+})